@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const storePath = path.join(__dirname, '..', 'data', 'apikeys.json');
+const TOKEN_PREFIX = 'sk-suite-';
+const MAX_ACTIVE_KEYS = 10;
+const MAX_LABEL = 60;
+// lastUsedAt is informational, so it is written at most this often per key.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function readStore() {
+  if (!fs.existsSync(storePath)) {
+    return { keys: [] };
+  }
+  const data = JSON.parse(fs.readFileSync(storePath, 'utf8') || '{"keys":[]}');
+  return Array.isArray(data.keys) ? data : { keys: [] };
+}
+
+function writeStore(data) {
+  const tmpPath = `${storePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, storePath);
+}
+
+// Tokens are long random strings, so a plain SHA-256 is enough; a slow
+// password hash would only add latency to every API call.
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseToken(token) {
+  const match = /^sk-suite-([a-f0-9]{12})\.([A-Za-z0-9_-]{43})$/.exec(String(token || ''));
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+function validateKey(input, isKnownBot) {
+  const label = typeof input.label === 'string' ? input.label.trim() : '';
+  if (!label) return { error: 'Label required' };
+  if (label.length > MAX_LABEL) return { error: `Label must be at most ${MAX_LABEL} characters` };
+  const botIds = input.botIds === undefined || input.botIds === null ? [] : input.botIds;
+  if (!Array.isArray(botIds) || !botIds.every(id => typeof id === 'string')) {
+    return { error: 'botIds must be a list of bot ids' };
+  }
+  const unknown = botIds.filter(id => !isKnownBot(id));
+  if (unknown.length) return { error: `Unknown bot: ${unknown.join(', ')}` };
+  return { options: { label, botIds: [...new Set(botIds)] } };
+}
+
+function publicKey(key) {
+  return {
+    id: key.id,
+    label: key.label,
+    prefix: `${TOKEN_PREFIX}${key.id}`,
+    botIds: key.botIds,
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt || null,
+    revokedAt: key.revokedAt || null
+  };
+}
+
+function listKeys(uid) {
+  return readStore().keys
+    .filter(key => key.uid === uid)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Returns the plain token once; only its hash is stored.
+function createKey(uid, input, isKnownBot) {
+  const parsed = validateKey(input || {}, isKnownBot);
+  if (parsed.error) return parsed;
+  const data = readStore();
+  if (data.keys.filter(key => key.uid === uid && !key.revokedAt).length >= MAX_ACTIVE_KEYS) {
+    return { error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys` };
+  }
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = {
+    id,
+    uid,
+    label: parsed.options.label,
+    botIds: parsed.options.botIds,
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  data.keys.push(key);
+  writeStore(data);
+  return { key, token: `${TOKEN_PREFIX}${id}.${secret}` };
+}
+
+function revokeKey(uid, id) {
+  const data = readStore();
+  const key = data.keys.find(k => k.id === id && k.uid === uid);
+  if (!key) return null;
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    writeStore(data);
+  }
+  return key;
+}
+
+function revokeUserKeys(uid, now = new Date()) {
+  const data = readStore();
+  const active = data.keys.filter(k => k.uid === uid && !k.revokedAt);
+  if (!active.length) return 0;
+  active.forEach((key) => {
+    key.revokedAt = now.toISOString();
+  });
+  writeStore(data);
+  return active.length;
+}
+
+function authenticate(token, now = Date.now()) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+  const data = readStore();
+  const key = data.keys.find(k => k.id === parsed.id);
+  if (!key || key.revokedAt) return null;
+  const expected = Buffer.from(key.hash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+  if (!key.lastUsedAt || now - Date.parse(key.lastUsedAt) > TOUCH_INTERVAL_MS) {
+    key.lastUsedAt = new Date(now).toISOString();
+    writeStore(data);
+  }
+  return key;
+}
+
+function allowsBot(key, botId) {
+  return !key || !key.botIds.length || key.botIds.includes(botId);
+}
+
+module.exports = {
+  MAX_ACTIVE_KEYS,
+  publicKey,
+  listKeys,
+  createKey,
+  revokeKey,
+  revokeUserKeys,
+  authenticate,
+  allowsBot
+};
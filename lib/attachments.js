@@ -0,0 +1,77 @@
+const MAX_ATTACHMENTS = 5;
+const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+const TEXT_BUDGET = Number(process.env.ATTACHMENT_CHAR_BUDGET) || 24000;
+
+function truncateText(text, limit = 12000) {
+  if (!text) return '';
+  if (text.length <= limit) return text;
+  return `${text.slice(0, limit)}\n\n[Truncated ${text.length - limit} chars]`;
+}
+
+// Splits the budget so short files keep all their text and the long ones
+// share whatever is left evenly.
+function allocateBudget(lengths, budget) {
+  const limits = lengths.map(() => 0);
+  let remaining = budget;
+  let open = lengths.map((_, i) => i).filter(i => lengths[i] > 0);
+  while (open.length && remaining > 0) {
+    const share = Math.floor(remaining / open.length);
+    const next = open.filter(i => lengths[i] > share);
+    open.filter(i => lengths[i] <= share).forEach((i) => {
+      limits[i] = lengths[i];
+      remaining -= lengths[i];
+    });
+    if (next.length === open.length) {
+      next.forEach((i) => {
+        limits[i] = share;
+      });
+      break;
+    }
+    open = next;
+  }
+  return limits;
+}
+
+function attachmentMeta(file) {
+  return { name: file.originalname, mimeType: file.mimetype, size: file.size };
+}
+
+// Merges the extraction results of every attachment into one view for the
+// prompt: labelled text within the budget, all inline images, the largest
+// table for charts and the combined dataset profile.
+function combineAttachments(items, budget = TEXT_BUDGET) {
+  const sources = items.map(item => item.extracted.fullText || item.extracted.text || '');
+  const limits = allocateBudget(sources.map(text => text.length), budget);
+  const text = items
+    .map((item, i) => (sources[i] ? `[File: ${item.name}]\n${truncateText(sources[i], limits[i])}` : ''))
+    .filter(Boolean)
+    .join('\n\n');
+
+  const tables = items.filter(item => item.extracted.table).map(item => item.extracted.table);
+  const table = tables.sort((a, b) => b.rows.length - a.rows.length)[0] || null;
+  const profile = [];
+  items.forEach((item) => {
+    (item.extracted.profile || []).forEach((sheet) => {
+      profile.push(items.length > 1 ? { ...sheet, name: `${item.name} / ${sheet.name}` } : sheet);
+    });
+  });
+
+  return {
+    text,
+    documents: items
+      .filter(item => item.extracted.fullText)
+      .map(item => ({ name: item.name, text: item.extracted.fullText })),
+    inlineImages: items.map(item => item.extracted.inlineImage).filter(Boolean),
+    table,
+    profile: profile.length ? profile : null
+  };
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_TOTAL_BYTES,
+  truncateText,
+  allocateBudget,
+  attachmentMeta,
+  combineAttachments
+};
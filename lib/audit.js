@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const auditDir = path.join(__dirname, '..', 'data', 'audit');
+const EVENTS = ['login.success', 'login.failure', 'logout', 'nickname.change', 'twofactor.change', 'bot.request', 'upload', 'export'];
+const OUTCOMES = ['success', 'failure', 'rejected', 'stopped'];
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 90;
+// Prompt text and file contents are personal data; they are only kept
+// when an operator opts in, and then only the start of each.
+const INCLUDE_CONTENT = process.env.AUDIT_INCLUDE_CONTENT === '1';
+const CONTENT_FIELDS = ['prompt', 'fileText'];
+const MAX_CONTENT_CHARS = 2000;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT = 50000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayFile(day) {
+  return path.join(auditDir, `${day}.jsonl`);
+}
+
+function hashFile(filePath) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  } catch (err) {
+    return null;
+  }
+}
+
+function fileEntries(uploads) {
+  return (uploads || []).map(item => ({
+    name: item.originalname,
+    mimeType: item.mimetype,
+    size: item.size,
+    sha256: hashFile(item.path)
+  }));
+}
+
+function redact(fields) {
+  const out = { ...fields };
+  CONTENT_FIELDS.forEach((key) => {
+    if (typeof out[key] !== 'string') return;
+    if (INCLUDE_CONTENT) {
+      out[key] = out[key].slice(0, MAX_CONTENT_CHARS);
+    } else {
+      out[`${key}Chars`] = out[key].length;
+      delete out[key];
+    }
+  });
+  return out;
+}
+
+function record(req, event, fields = {}, now = new Date()) {
+  const entry = redact({
+    id: crypto.randomBytes(8).toString('hex'),
+    at: now.toISOString(),
+    event,
+    outcome: 'success',
+    uid: req && req.session && req.session.uid ? req.session.uid : null,
+    ip: req ? req.ip : null,
+    ...fields
+  });
+  Object.keys(entry).forEach((key) => {
+    if (entry[key] === undefined) delete entry[key];
+  });
+  try {
+    if (!fs.existsSync(auditDir)) {
+      fs.mkdirSync(auditDir, { recursive: true });
+    }
+    fs.appendFileSync(dayFile(entry.at.slice(0, 10)), `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    // Auditing must never break the request it describes.
+    console.error('Audit write failed', err.message);
+  }
+  return entry;
+}
+
+function listDays() {
+  if (!fs.existsSync(auditDir)) return [];
+  return fs.readdirSync(auditDir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+    .map(name => name.slice(0, 10))
+    .sort();
+}
+
+function readDay(day) {
+  const raw = fs.readFileSync(dayFile(day), 'utf8');
+  return raw.split('\n').filter(Boolean).map((line) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+function matches(entry, filter) {
+  if (filter.event && entry.event !== filter.event) return false;
+  if (filter.outcome && entry.outcome !== filter.outcome) return false;
+  if (filter.uid && entry.uid !== filter.uid) return false;
+  if (filter.botId && entry.botId !== filter.botId) return false;
+  return true;
+}
+
+// Newest first. Days are read one file at a time from the end of the range.
+function queryAudit(filter, { page = 1, pageSize = 50, limit = null } = {}) {
+  const size = Math.min(Math.max(Number(pageSize) || 50, 1), MAX_PAGE_SIZE);
+  const current = Math.max(Number(page) || 1, 1);
+  const all = [];
+  listDays()
+    .filter(day => day >= filter.from && day <= filter.to)
+    .reverse()
+    .forEach((day) => {
+      if (limit && all.length >= limit) return;
+      all.push(...readDay(day).filter(entry => matches(entry, filter)).reverse());
+    });
+  if (limit) {
+    return { entries: all.slice(0, limit), total: all.length };
+  }
+  return {
+    entries: all.slice((current - 1) * size, current * size),
+    total: all.length,
+    page: current,
+    pageSize: size,
+    pages: Math.max(Math.ceil(all.length / size), 1)
+  };
+}
+
+function exportAudit(filter) {
+  return queryAudit(filter, { limit: MAX_EXPORT }).entries;
+}
+
+function toCsv(entries) {
+  const header = ['at', 'event', 'outcome', 'uid', 'ip', 'botId', 'model', 'via', 'status', 'latencyMs', 'totalTokens', 'images', 'files', 'error'];
+  // Failed logins record whatever account name was typed, so a leading
+  // =, +, - or @ is defused before a spreadsheet reads it as a formula.
+  const escape = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const row = entry => ({
+    ...entry,
+    totalTokens: entry.tokens ? entry.tokens.totalTokens : '',
+    files: (entry.files || []).map(file => `${file.name} (${file.sha256 || 'no hash'})`).join('; ')
+  });
+  return [header.join(',')]
+    .concat(entries.map(entry => header.map(key => escape(row(entry)[key])).join(',')))
+    .join('\n');
+}
+
+function pruneAudit(now = Date.now()) {
+  const cutoff = new Date(now - RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+  const expired = listDays().filter(day => day < cutoff);
+  expired.forEach(day => fs.unlinkSync(dayFile(day)));
+  return expired.length;
+}
+
+module.exports = {
+  EVENTS,
+  OUTCOMES,
+  RETENTION_DAYS,
+  fileEntries,
+  record,
+  queryAudit,
+  exportAudit,
+  toCsv,
+  pruneAudit
+};
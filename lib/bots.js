@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { providers } = require('./providers');
+const { checkSchema } = require('./structured');
+
+const registryPath = process.env.BOT_REGISTRY_PATH || path.join(__dirname, '..', 'data', 'bots.json');
+const CONTROLS = ['chart', 'imageOptions', 'library', 'compare'];
+const FEATURES = ['charts', 'longDocuments', 'reportExport', 'images', 'library', 'references', 'compare', 'query'];
+const COLORS = ['purple', 'blue', 'green', 'orange'];
+const ID_PATTERN = /^[a-z][a-z0-9-]{1,30}$/;
+const ENV_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+class BotRegistryError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'BotRegistryError';
+    this.problems = problems;
+  }
+}
+
+let registry = [];
+
+function isString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function validateBot(entry, seen) {
+  const problems = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['must be an object'];
+  }
+  if (!isString(entry.id) || !ID_PATTERN.test(entry.id)) {
+    problems.push('"id" must be 2-31 lowercase letters, digits or hyphens, starting with a letter');
+  } else if (seen.has(entry.id)) {
+    problems.push(`duplicate id "${entry.id}"`);
+  }
+  if (!isString(entry.name)) problems.push('"name" is required');
+  if (!isString(entry.systemPrompt)) problems.push('"systemPrompt" is required');
+  ['shortName', 'icon', 'description', 'placeholder', 'uploadHint', 'accept', 'model'].forEach((field) => {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') {
+      problems.push(`"${field}" must be a string`);
+    }
+  });
+  if (entry.provider !== undefined && entry.provider !== null && !providers[entry.provider]) {
+    problems.push(`unknown provider "${entry.provider}" (expected one of ${Object.keys(providers).join(', ')})`);
+  }
+  if (entry.fallbacks !== undefined) {
+    if (!Array.isArray(entry.fallbacks)) {
+      problems.push('"fallbacks" must be an array');
+    } else {
+      entry.fallbacks.forEach((fallback, i) => {
+        const at = `fallbacks[${i}]`;
+        if (!fallback || typeof fallback !== 'object' || Array.isArray(fallback)) {
+          problems.push(`${at} must be an object`);
+          return;
+        }
+        if (!isString(fallback.model)) problems.push(`${at}.model is required`);
+        if (fallback.provider !== undefined && !providers[fallback.provider]) {
+          problems.push(`${at}: unknown provider "${fallback.provider}"`);
+        }
+        if (fallback.keyEnv !== undefined && !ENV_NAME_PATTERN.test(String(fallback.keyEnv))) {
+          problems.push(`${at}.keyEnv must be an environment variable name like BOT_REPORT_FALLBACK_KEY`);
+        }
+        if (fallback.baseUrl !== undefined && typeof fallback.baseUrl !== 'string') {
+          problems.push(`${at}.baseUrl must be a string`);
+        }
+      });
+    }
+  }
+  if (entry.color !== undefined && !COLORS.includes(entry.color)) {
+    problems.push(`"color" must be one of ${COLORS.join(', ')}`);
+  }
+  if (entry.generationConfig !== undefined && (typeof entry.generationConfig !== 'object' || Array.isArray(entry.generationConfig) || entry.generationConfig === null)) {
+    problems.push('"generationConfig" must be an object');
+  }
+  [['controls', CONTROLS], ['features', FEATURES]].forEach(([field, known]) => {
+    if (entry[field] === undefined) return;
+    if (!Array.isArray(entry[field])) {
+      problems.push(`"${field}" must be an array`);
+      return;
+    }
+    entry[field].filter(value => !known.includes(value)).forEach((value) => {
+      problems.push(`unknown ${field.slice(0, -1)} "${value}" (expected one of ${known.join(', ')})`);
+    });
+  });
+  if (entry.capabilities !== undefined && (!Array.isArray(entry.capabilities) || !entry.capabilities.every(isString))) {
+    problems.push('"capabilities" must be an array of strings');
+  }
+  if (entry.responseSchema !== undefined && entry.responseSchema !== null) {
+    const schemaProblems = checkSchema(entry.responseSchema);
+    if (!schemaProblems.length && entry.responseSchema.type !== 'object') {
+      schemaProblems.push('responseSchema.type must be "object"');
+    }
+    problems.push(...schemaProblems);
+  }
+  if (entry.page !== undefined && !/^[a-z0-9-]+\.html$/.test(String(entry.page))) {
+    problems.push('"page" must be a file name like "my-bot.html"');
+  }
+  return problems;
+}
+
+function normalizeBot(entry) {
+  return {
+    shortName: entry.name,
+    icon: '🤖',
+    color: 'blue',
+    description: '',
+    capabilities: [],
+    greeting: null,
+    placeholder: 'Type your message...',
+    uploadHint: 'Files are stored privately with the conversation and expire automatically.',
+    accept: '.pdf,.docx,.csv,.xlsx,image/*',
+    provider: null,
+    model: null,
+    responseSchema: null,
+    page: null,
+    ...entry,
+    generationConfig: entry.generationConfig || {},
+    controls: entry.controls || [],
+    features: entry.features || [],
+    fallbacks: entry.fallbacks || []
+  };
+}
+
+// Reads and validates the registry. Every bad entry is reported at once so
+// a broken file can be fixed in one pass.
+function loadRegistry(file = registryPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw new BotRegistryError(`Cannot read bot registry ${file}: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.bots) || !data.bots.length) {
+    throw new BotRegistryError(`Bot registry ${file} must contain a non-empty "bots" array`);
+  }
+  const seen = new Set();
+  const problems = [];
+  data.bots.forEach((entry, i) => {
+    const label = entry && isString(entry.id) ? `bots[${i}] ("${entry.id}")` : `bots[${i}]`;
+    validateBot(entry, seen).forEach(problem => problems.push(`${label}: ${problem}`));
+    if (entry && isString(entry.id)) seen.add(entry.id);
+  });
+  if (problems.length) {
+    throw new BotRegistryError(`Bot registry ${file} has ${problems.length} problem(s)`, problems);
+  }
+  registry = data.bots.map(normalizeBot);
+  return registry;
+}
+
+function listBots() {
+  return registry;
+}
+
+function getBot(id) {
+  return registry.find(bot => bot.id === id) || null;
+}
+
+function findBotByPage(page) {
+  return registry.find(bot => bot.page === page) || null;
+}
+
+function hasFeature(bot, feature) {
+  return !!bot && bot.features.includes(feature);
+}
+
+function publicBot(bot) {
+  return {
+    id: bot.id,
+    name: bot.name,
+    shortName: bot.shortName,
+    icon: bot.icon,
+    color: bot.color,
+    description: bot.description,
+    capabilities: bot.capabilities,
+    greeting: bot.greeting,
+    placeholder: bot.placeholder,
+    uploadHint: bot.uploadHint,
+    accept: bot.accept,
+    controls: bot.controls,
+    features: bot.features,
+    structured: !!bot.responseSchema
+  };
+}
+
+module.exports = {
+  BotRegistryError,
+  loadRegistry,
+  listBots,
+  getBot,
+  findBotByPage,
+  hasFeature,
+  publicBot
+};
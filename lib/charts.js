@@ -0,0 +1,164 @@
+const CHART_TYPES = ['table', 'bar', 'line', 'pie', 'scatter'];
+const AGGREGATES = ['sum', 'mean', 'count', 'min', 'max'];
+const MAX_CATEGORIES = 30;
+const MAX_PIE_SLICES = 8;
+const MAX_POINTS = 500;
+const MAX_TABLE_ROWS = 50;
+const CHART_BLOCK = /```chart\s*([\s\S]*?)```/g;
+
+const CHART_INSTRUCTIONS = [
+  'When a dataset is attached, end your reply with exactly one fenced code block tagged chart containing JSON of the form',
+  '{"type":"bar|line|pie|scatter|table","x":"<column>","y":["<column>"],"aggregate":"sum|mean|count|min|max","title":"...","xTitle":"...","yTitle":"..."}.',
+  'Use only column names that exist in the dataset. Do not put data values in the block; the application computes them from the full file.'
+].join(' ');
+
+function normalizeType(type) {
+  const value = String(type || '').toLowerCase();
+  if (value === 'graph') return 'scatter';
+  return CHART_TYPES.includes(value) ? value : '';
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/,/g, '').trim();
+  if (!text) return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function aggregate(values, method) {
+  if (method === 'count') return values.length;
+  const numbers = values.map(toNumber).filter(v => v !== null);
+  if (!numbers.length) return 0;
+  if (method === 'mean') return round(numbers.reduce((a, b) => a + b, 0) / numbers.length);
+  if (method === 'min') return numbers.reduce((a, b) => Math.min(a, b));
+  if (method === 'max') return numbers.reduce((a, b) => Math.max(a, b));
+  return round(numbers.reduce((a, b) => a + b, 0));
+}
+
+// Pulls the last ```chart block out of the model's reply.
+function extractChartRequest(text) {
+  let match;
+  let last = null;
+  CHART_BLOCK.lastIndex = 0;
+  while ((match = CHART_BLOCK.exec(text || '')) !== null) {
+    last = match[1];
+  }
+  const narrative = (text || '').replace(CHART_BLOCK, '').trim();
+  if (!last) return { request: null, narrative };
+  try {
+    return { request: JSON.parse(last), narrative };
+  } catch (err) {
+    return { request: null, narrative };
+  }
+}
+
+function groupRows(rows, x, ys, method) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const label = row[x] === undefined || row[x] === null || row[x] === '' ? '(blank)' : String(row[x]);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(row);
+  });
+  return Array.from(groups.entries()).map(([label, members]) => ({
+    label,
+    values: ys.length
+      ? ys.map(y => aggregate(members.map(row => row[y]), method))
+      : [members.length]
+  }));
+}
+
+// Turns a chart request into a chart spec whose numbers come from the dataset
+// rows, never from the model. Returns { chart } or { error }.
+function buildChart(request, table, preferredType) {
+  if (!table || !Array.isArray(table.rows) || !table.rows.length) {
+    return { error: 'No tabular dataset attached' };
+  }
+  const columns = table.columns;
+  const type = normalizeType(preferredType) || normalizeType(request && request.type) || 'bar';
+  const x = request && columns.includes(request.x) ? request.x : columns[0];
+  const requestedY = request && request.y ? [].concat(request.y) : [];
+  const ys = requestedY.filter(col => columns.includes(col) && col !== x).slice(0, 4);
+  const method = AGGREGATES.includes(request && request.aggregate) ? request.aggregate : (ys.length ? 'sum' : 'count');
+  const base = {
+    type,
+    title: String((request && request.title) || '').slice(0, 120),
+    xTitle: String((request && request.xTitle) || x).slice(0, 80),
+    yTitle: String((request && request.yTitle) || (ys.length ? `${method} of ${ys.join(', ')}` : 'count')).slice(0, 80),
+    rowCount: table.rows.length
+  };
+
+  if (type === 'scatter') {
+    const yCol = ys[0];
+    if (!yCol) return { error: 'Scatter charts need a numeric y column' };
+    const points = [];
+    table.rows.forEach((row) => {
+      const px = toNumber(row[x]);
+      const py = toNumber(row[yCol]);
+      if (px !== null && py !== null && points.length < MAX_POINTS) points.push([px, py]);
+    });
+    if (!points.length) return { error: `Columns ${x} and ${yCol} have no numeric pairs` };
+    const yTitle = request.yTitle ? base.yTitle : yCol;
+    return { chart: { ...base, yTitle, labels: [], series: [{ name: yCol, points }] } };
+  }
+
+  let groups = groupRows(table.rows, x, ys, method);
+  const seriesNames = ys.length ? ys : ['count'];
+
+  if (type === 'table') {
+    groups = groups.slice(0, MAX_TABLE_ROWS);
+    return {
+      chart: {
+        ...base,
+        labels: groups.map(g => g.label),
+        series: seriesNames.map((name, i) => ({ name, values: groups.map(g => g.values[i]) }))
+      }
+    };
+  }
+
+  if (type === 'line') {
+    groups.sort((a, b) => {
+      const na = toNumber(a.label);
+      const nb = toNumber(b.label);
+      if (na !== null && nb !== null) return na - nb;
+      return a.label.localeCompare(b.label);
+    });
+    groups = groups.slice(0, MAX_POINTS);
+  } else {
+    groups.sort((a, b) => b.values[0] - a.values[0]);
+  }
+
+  if (type === 'pie') {
+    const top = groups.slice(0, MAX_PIE_SLICES);
+    const rest = groups.slice(MAX_PIE_SLICES);
+    if (rest.length) {
+      top.push({ label: 'Other', values: [round(rest.reduce((sum, g) => sum + g.values[0], 0))] });
+    }
+    return {
+      chart: { ...base, labels: top.map(g => g.label), series: [{ name: seriesNames[0], values: top.map(g => g.values[0]) }] }
+    };
+  }
+
+  if (type === 'bar') {
+    groups = groups.slice(0, MAX_CATEGORIES);
+  }
+  return {
+    chart: {
+      ...base,
+      labels: groups.map(g => g.label),
+      series: seriesNames.map((name, i) => ({ name, values: groups.map(g => g.values[i]) }))
+    }
+  };
+}
+
+module.exports = {
+  CHART_TYPES,
+  CHART_INSTRUCTIONS,
+  extractChartRequest,
+  buildChart
+};
@@ -0,0 +1,91 @@
+const { splitSections, mergeUsage } = require('./papers');
+const { generateStructured } = require('./structured');
+
+const ASPECTS = ['objective', 'methods', 'datasets', 'results'];
+const PAPER_CHARS = 20000;
+const MAX_PAPERS = 5;
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    objective: { type: 'string' },
+    methods: { type: 'string' },
+    datasets: { type: 'string' },
+    results: { type: 'string' }
+  },
+  required: ASPECTS
+};
+
+const PROMPT = [
+  'You are helping compare several academic papers. This message contains one of them.',
+  'Summarise its objective, methods, datasets and main results in one or two sentences each.',
+  'Name the datasets exactly, or write "Not stated". Keep numbers and metrics exactly as written.',
+  'Reply with a single JSON object that matches the response schema and nothing else.'
+].join(' ');
+
+// The reference list says nothing about the paper itself, and the rest is
+// cut to a size one call can take.
+function paperText(text) {
+  const body = splitSections(text)
+    .filter(s => s.section !== 'References' && s.section !== 'Acknowledgements')
+    .map(s => (s.section === 'Front matter' ? s.text : `${s.title}\n${s.text}`))
+    .join('\n\n');
+  return body.length > PAPER_CHARS ? `${body.slice(0, PAPER_CHARS)}\n\n[Truncated]` : body;
+}
+
+function cell(value) {
+  return String(value || '').replace(/\|/g, '\\|').replace(/\s*\n+\s*/g, ' ').trim() || '—';
+}
+
+// Papers are columns and aspects rows, so the papers sit side by side.
+function toMarkdownTable(rows) {
+  const header = `| | ${rows.map(row => cell(row.title || row.paper)).join(' | ')} |`;
+  const divider = `|---|${rows.map(() => '---').join('|')}|`;
+  const lines = ASPECTS.map(aspect => `| **${aspect.charAt(0).toUpperCase()}${aspect.slice(1)}** | ${rows.map(row => cell(row[aspect])).join(' | ')} |`);
+  return ['## Paper comparison', '', header, divider, ...lines].join('\n');
+}
+
+// One structured call per paper, then a table built here rather than by the
+// model, so a paper it could not read shows up as a gap instead of being
+// silently merged into the others.
+async function comparePapers({ provider, request, documents, focus, signal, onProgress }) {
+  const rows = [];
+  let usage = null;
+  let model = null;
+  const systemPrompt = focus ? `${PROMPT} The reader is especially interested in: ${focus}` : PROMPT;
+  for (let i = 0; i < documents.length; i += 1) {
+    if (signal && signal.aborted) break;
+    const doc = documents[i];
+    if (onProgress) onProgress({ index: i + 1, total: documents.length, paper: doc.name });
+    const output = await generateStructured({
+      provider,
+      request: {
+        ...request,
+        task: 'compare',
+        systemPrompt,
+        imageOutput: false,
+        contents: [{ role: 'user', parts: [{ text: `[Paper: ${doc.name}]\n${paperText(doc.text)}` }] }]
+      },
+      schema: SCHEMA,
+      signal
+    });
+    usage = mergeUsage(usage, output.usage);
+    model = output.model || model;
+    const data = output.data || {};
+    const row = { paper: doc.name, title: data.title || null };
+    ASPECTS.forEach((aspect) => {
+      row[aspect] = data[aspect] || null;
+    });
+    if (!output.data) row.error = 'The model reply could not be read for this paper';
+    rows.push(row);
+  }
+  const table = { aspects: ASPECTS, rows };
+  return { table, text: toMarkdownTable(rows), usage, model };
+}
+
+module.exports = {
+  ASPECTS,
+  MAX_PAPERS,
+  comparePapers
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { userKey } = require('./users');
+
+const conversationsDir = path.join(__dirname, '..', 'data', 'conversations');
+const HISTORY_CHAR_BUDGET = Number(process.env.CONVERSATION_CHAR_BUDGET) || 30000;
+const SUMMARY_CHAR_BUDGET = 4000;
+const SUMMARY_SNIPPET = 240;
+const MAX_STORED_TURNS = 200;
+
+function userFile(uid) {
+  return path.join(conversationsDir, `${userKey(uid)}.json`);
+}
+
+// Every record names its owner, and records that do not match the file's
+// owner are ignored rather than trusted.
+function readStore(uid) {
+  const file = userFile(uid);
+  if (!fs.existsSync(file)) {
+    return { conversations: [] };
+  }
+  const raw = fs.readFileSync(file, 'utf8');
+  const data = JSON.parse(raw || '{"conversations":[]}');
+  data.conversations = data.conversations.filter(c => c.uid === uid);
+  return data;
+}
+
+function writeStore(uid, data) {
+  if (!fs.existsSync(conversationsDir)) {
+    fs.mkdirSync(conversationsDir, { recursive: true });
+  }
+  fs.writeFileSync(userFile(uid), JSON.stringify(data, null, 2));
+}
+
+function summarize(conversation) {
+  return {
+    id: conversation.id,
+    botId: conversation.botId,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    turnCount: conversation.turns.length
+  };
+}
+
+function deriveTitle(text, file) {
+  const source = (text || '').trim() || (file ? file.name : '') || 'New conversation';
+  return source.length > 60 ? `${source.slice(0, 57)}...` : source;
+}
+
+function listConversations(uid, botId) {
+  const data = readStore(uid);
+  return data.conversations
+    .filter(c => !botId || c.botId === botId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(summarize);
+}
+
+function getConversation(uid, id) {
+  const data = readStore(uid);
+  return data.conversations.find(c => c.id === id) || null;
+}
+
+function createConversation(uid, botId, title) {
+  const data = readStore(uid);
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomBytes(9).toString('hex'),
+    uid,
+    botId,
+    title: title || 'New conversation',
+    createdAt: now,
+    updatedAt: now,
+    turns: []
+  };
+  data.conversations.push(conversation);
+  writeStore(uid, data);
+  return conversation;
+}
+
+function appendTurns(uid, id, turns) {
+  const data = readStore(uid);
+  const conversation = data.conversations.find(c => c.id === id);
+  if (!conversation) return null;
+  const now = new Date().toISOString();
+  turns.forEach((turn) => {
+    conversation.turns.push({ id: crypto.randomBytes(6).toString('hex'), ...turn, createdAt: now });
+  });
+  if (conversation.turns.length > MAX_STORED_TURNS) {
+    conversation.turns = conversation.turns.slice(-MAX_STORED_TURNS);
+  }
+  conversation.updatedAt = now;
+  writeStore(uid, data);
+  return conversation;
+}
+
+function getTurn(uid, id, turnId) {
+  const conversation = getConversation(uid, id);
+  if (!conversation) return null;
+  return conversation.turns.find(t => t.id === turnId) || null;
+}
+
+function renameConversation(uid, id, title) {
+  const data = readStore(uid);
+  const conversation = data.conversations.find(c => c.id === id);
+  if (!conversation) return null;
+  conversation.title = title;
+  conversation.updatedAt = new Date().toISOString();
+  writeStore(uid, data);
+  return conversation;
+}
+
+function deleteConversation(uid, id) {
+  const data = readStore(uid);
+  const before = data.conversations.length;
+  data.conversations = data.conversations.filter(c => c.id !== id);
+  if (data.conversations.length === before) return false;
+  writeStore(uid, data);
+  return true;
+}
+
+function deleteUserConversations(uid) {
+  const count = readStore(uid).conversations.length;
+  fs.rmSync(userFile(uid), { force: true });
+  return count;
+}
+
+function turnFiles(turn) {
+  return turn.files || (turn.file ? [turn.file] : []);
+}
+
+function turnText(turn) {
+  const pieces = [];
+  if (turn.text) pieces.push(turn.text);
+  turnFiles(turn).forEach((file) => {
+    pieces.push(`[Attached file: ${file.name}]`);
+  });
+  if (turn.fileText) {
+    pieces.push(`[File Content]\n${turn.fileText}`);
+  }
+  if (turn.image) {
+    pieces.push('[Generated an image]');
+  }
+  return pieces.join('\n\n');
+}
+
+// Replays stored turns newest-first until the budget is spent. Whatever falls
+// off the front is condensed into a short summary for the system instruction.
+function buildHistory(conversation, budget = HISTORY_CHAR_BUDGET) {
+  const turns = conversation ? conversation.turns : [];
+  const kept = [];
+  let used = 0;
+  let cut = turns.length;
+  for (let i = turns.length - 1; i >= 0; i -= 1) {
+    const text = turnText(turns[i]);
+    if (used + text.length > budget) break;
+    used += text.length;
+    kept.unshift({ role: turns[i].role, text });
+    cut = i;
+  }
+  while (kept.length && kept[0].role !== 'user') {
+    kept.shift();
+    cut += 1;
+  }
+
+  let summary = '';
+  for (let i = 0; i < cut; i += 1) {
+    const turn = turns[i];
+    const label = turn.role === 'user' ? 'User' : 'Assistant';
+    const files = turnFiles(turn);
+    const source = turn.text || (files.length ? `[Attached files: ${files.map(f => f.name).join(', ')}]` : '');
+    const snippet = source.length > SUMMARY_SNIPPET ? `${source.slice(0, SUMMARY_SNIPPET)}...` : source;
+    const line = `- ${label}: ${snippet.replace(/\s+/g, ' ')}\n`;
+    if (summary.length + line.length > SUMMARY_CHAR_BUDGET) {
+      summary += `- (${cut - i} older turns omitted)\n`;
+      break;
+    }
+    summary += line;
+  }
+
+  return {
+    contents: kept.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+    summary: summary.trim()
+  };
+}
+
+module.exports = {
+  deriveTitle,
+  listConversations,
+  getConversation,
+  createConversation,
+  appendTurns,
+  getTurn,
+  renameConversation,
+  deleteConversation,
+  deleteUserConversations,
+  buildHistory,
+  summarize
+};
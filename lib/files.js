@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
+const { defaultStorage, storageFor } = require('./storage');
+const { userKey } = require('./users');
+
+const filesDir = path.join(__dirname, '..', 'data', 'files');
+const RETENTION_DAYS = process.env.FILE_RETENTION_DAYS !== undefined && process.env.FILE_RETENTION_DAYS !== ''
+  ? Number(process.env.FILE_RETENTION_DAYS)
+  : 30;
+const URL_TTL_SECONDS = Number(process.env.FILE_URL_TTL_SECONDS) || 15 * 60;
+const TEMP_MAX_AGE_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function userFile(uid) {
+  return path.join(filesDir, `${userKey(uid)}.json`);
+}
+
+function readStore(uid) {
+  const file = userFile(uid);
+  if (!fs.existsSync(file)) {
+    return { files: [] };
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8') || '{"files":[]}');
+  data.files = data.files.filter(record => record.uid === uid);
+  return data;
+}
+
+function writeStore(uid, data) {
+  if (!fs.existsSync(filesDir)) {
+    fs.mkdirSync(filesDir, { recursive: true });
+  }
+  fs.writeFileSync(userFile(uid), JSON.stringify(data, null, 2));
+}
+
+function signature(secret, uid, id, expires) {
+  return crypto.createHmac('sha256', secret).update(`${uid}:${id}:${expires}`).digest('base64url');
+}
+
+// A link that works without a session until it expires, for API clients
+// and for handing a file to another tool. `secret` is the server's session
+// secret, so the production check on it covers these links too.
+function signedUrl(record, secret, now = Date.now()) {
+  const expires = Math.floor(now / 1000) + URL_TTL_SECONDS;
+  const params = new URLSearchParams({ uid: record.uid, expires: String(expires), signature: signature(secret, record.uid, record.id, expires) });
+  return `/api/files/${record.id}?${params}`;
+}
+
+function verifySignedUrl(id, query, secret, now = Date.now()) {
+  const expires = Number(query.expires);
+  if (!query.uid || !query.signature || !Number.isInteger(expires) || expires * 1000 < now) return null;
+  const expected = Buffer.from(signature(secret, String(query.uid), id, expires));
+  const given = Buffer.from(String(query.signature));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return String(query.uid);
+}
+
+function publicFile(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    mimeType: record.mimeType,
+    size: record.size,
+    botId: record.botId || null,
+    conversationId: record.conversationId || null,
+    createdAt: record.createdAt,
+    expiresAt: RETENTION_DAYS > 0 ? new Date(Date.parse(record.createdAt) + RETENTION_DAYS * DAY_MS).toISOString() : null,
+    url: `/api/files/${record.id}`
+  };
+}
+
+// Copies a multer upload into storage and records it against the owner.
+async function saveUpload(uid, file, { botId, conversationId } = {}) {
+  const storage = defaultStorage();
+  const id = crypto.randomBytes(9).toString('hex');
+  const ext = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const record = {
+    id,
+    uid,
+    name: String(file.originalname || 'file').slice(0, 200),
+    mimeType: file.mimetype || mime.lookup(file.originalname) || 'application/octet-stream',
+    size: file.size,
+    botId: botId || null,
+    conversationId: conversationId || null,
+    storage: storage.name,
+    key: `uploads/${userKey(uid)}/${id}${ext}`,
+    createdAt: new Date().toISOString()
+  };
+  await storage.put(record.key, fs.createReadStream(file.path), record.mimeType);
+  const data = readStore(uid);
+  data.files.push(record);
+  writeStore(uid, data);
+  return record;
+}
+
+function listFiles(uid, { conversationId } = {}) {
+  return readStore(uid).files
+    .filter(file => !conversationId || file.conversationId === conversationId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getFile(uid, id) {
+  return readStore(uid).files.find(file => file.id === id && file.uid === uid) || null;
+}
+
+async function openFile(record) {
+  return storageFor(record.storage).open(record.key);
+}
+
+async function removeRecords(uid, shouldRemove) {
+  const data = readStore(uid);
+  const removed = data.files.filter(shouldRemove);
+  if (!removed.length) return 0;
+  for (const record of removed) {
+    await storageFor(record.storage).remove(record.key);
+  }
+  data.files = data.files.filter(file => !removed.includes(file));
+  writeStore(uid, data);
+  return removed.length;
+}
+
+async function deleteFile(uid, id) {
+  return (await removeRecords(uid, file => file.id === id)) > 0;
+}
+
+function deleteConversationFiles(uid, conversationId) {
+  return removeRecords(uid, file => file.conversationId === conversationId);
+}
+
+async function deleteUserFiles(uid) {
+  const count = await removeRecords(uid, () => true);
+  fs.rmSync(userFile(uid), { force: true });
+  return count;
+}
+
+function listOwners() {
+  if (!fs.existsSync(filesDir)) return [];
+  return fs.readdirSync(filesDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => JSON.parse(fs.readFileSync(path.join(filesDir, name), 'utf8') || '{"files":[]}'))
+    .map(data => (data.files[0] ? data.files[0].uid : null))
+    .filter(Boolean);
+}
+
+// Removes stored uploads older than the retention period. A period of 0
+// keeps them until their owner deletes them.
+async function pruneFiles(now = Date.now()) {
+  if (!(RETENTION_DAYS > 0)) return 0;
+  const cutoff = new Date(now - RETENTION_DAYS * DAY_MS).toISOString();
+  let count = 0;
+  for (const uid of listOwners()) {
+    count += await removeRecords(uid, file => file.createdAt < cutoff);
+  }
+  return count;
+}
+
+// Multer writes each upload to a temporary directory before the route
+// runs. Anything left there after an hour belongs to a request that died
+// before it could clean up.
+function sweepTempDir(dir, now = Date.now()) {
+  if (!fs.existsSync(dir)) return 0;
+  let count = 0;
+  fs.readdirSync(dir).forEach((name) => {
+    const file = path.join(dir, name);
+    const stat = fs.statSync(file);
+    if (stat.isFile() && now - stat.mtimeMs > TEMP_MAX_AGE_MS) {
+      fs.rmSync(file, { force: true });
+      count += 1;
+    }
+  });
+  return count;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  signedUrl,
+  verifySignedUrl,
+  publicFile,
+  saveUpload,
+  listFiles,
+  getFile,
+  openFile,
+  deleteFile,
+  deleteConversationFiles,
+  deleteUserFiles,
+  pruneFiles,
+  sweepTempDir
+};
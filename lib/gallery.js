@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { defaultStorage, storageFor } = require('./storage');
+const { userKey } = require('./users');
+
+const galleryDir = path.join(__dirname, '..', 'data', 'gallery');
+const RETENTION_DAYS = Number(process.env.GALLERY_RETENTION_DAYS) || 0;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+function userFile(uid) {
+  return path.join(galleryDir, `${userKey(uid)}.json`);
+}
+
+function readStore(uid) {
+  const file = userFile(uid);
+  if (!fs.existsSync(file)) {
+    return { images: [] };
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8') || '{"images":[]}');
+  data.images = data.images.filter(img => img.uid === uid);
+  return data;
+}
+
+function writeStore(uid, data) {
+  if (!fs.existsSync(galleryDir)) {
+    fs.mkdirSync(galleryDir, { recursive: true });
+  }
+  fs.writeFileSync(userFile(uid), JSON.stringify(data, null, 2));
+}
+
+// Model output is untrusted: anything but a raster image (HTML, SVG) would
+// be served from the gallery on the app's own origin.
+function parseDataUrl(dataUrl) {
+  const match = String(dataUrl || '').match(/^data:([\w/+.-]+);base64,(.+)$/);
+  if (!match || !EXTENSIONS[match[1]]) return null;
+  return { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') };
+}
+
+function publicImage(record) {
+  return {
+    id: record.id,
+    prompt: record.prompt,
+    model: record.model,
+    botId: record.botId,
+    mimeType: record.mimeType,
+    size: record.size,
+    options: record.options || null,
+    conversationId: record.conversationId || null,
+    createdAt: record.createdAt,
+    url: `/api/gallery/${record.id}/image`
+  };
+}
+
+// Saves a generated image to the default storage backend and records it
+// against the owner.
+async function saveImage(uid, { image, prompt, model, botId, options, conversationId }) {
+  const parsed = parseDataUrl(image);
+  if (!parsed) return null;
+  const id = crypto.randomBytes(9).toString('hex');
+  const fileName = `${id}.${EXTENSIONS[parsed.mimeType]}`;
+  const storage = defaultStorage();
+  const record = {
+    id,
+    uid,
+    prompt: String(prompt || '').slice(0, 2000),
+    model: model || '',
+    botId,
+    mimeType: parsed.mimeType,
+    size: parsed.buffer.length,
+    options: options || null,
+    conversationId: conversationId || null,
+    storage: storage.name,
+    key: `gallery/${userKey(uid)}/${fileName}`,
+    createdAt: new Date().toISOString()
+  };
+  await storage.put(record.key, parsed.buffer, parsed.mimeType);
+
+  const data = readStore(uid);
+  data.images.push(record);
+  writeStore(uid, data);
+  return record;
+}
+
+function listImages(uid, query) {
+  const needle = String(query || '').trim().toLowerCase();
+  return readStore(uid).images
+    .filter(img => !needle || img.prompt.toLowerCase().includes(needle))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getImage(uid, id) {
+  return readStore(uid).images.find(img => img.id === id) || null;
+}
+
+// Resolves to a readable stream of the image bytes.
+async function openImage(record) {
+  return storageFor(record.storage).open(record.key);
+}
+
+async function removeImages(uid, shouldRemove) {
+  const data = readStore(uid);
+  const removed = data.images.filter(shouldRemove);
+  if (!removed.length) return 0;
+  for (const record of removed) {
+    await storageFor(record.storage).remove(record.key);
+  }
+  data.images = data.images.filter(img => !removed.includes(img));
+  writeStore(uid, data);
+  return removed.length;
+}
+
+async function deleteImage(uid, id) {
+  return (await removeImages(uid, img => img.id === id)) > 0;
+}
+
+async function deleteUserImages(uid) {
+  const count = await removeImages(uid, () => true);
+  fs.rmSync(userFile(uid), { force: true });
+  return count;
+}
+
+// Gallery images are kept until their owner deletes them unless
+// GALLERY_RETENTION_DAYS is set.
+async function pruneImages(now = Date.now()) {
+  if (!RETENTION_DAYS || !fs.existsSync(galleryDir)) return 0;
+  const cutoff = new Date(now - RETENTION_DAYS * DAY_MS).toISOString();
+  let count = 0;
+  const owners = fs.readdirSync(galleryDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => JSON.parse(fs.readFileSync(path.join(galleryDir, name), 'utf8') || '{"images":[]}'))
+    .map(data => (data.images[0] ? data.images[0].uid : null))
+    .filter(Boolean);
+  for (const uid of owners) {
+    count += await removeImages(uid, img => img.createdAt < cutoff);
+  }
+  return count;
+}
+
+module.exports = {
+  saveImage,
+  listImages,
+  getImage,
+  openImage,
+  deleteImage,
+  deleteUserImages,
+  pruneImages,
+  publicImage
+};
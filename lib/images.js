@@ -0,0 +1,96 @@
+const { mergeUsage } = require('./papers');
+
+const MODES = ['generate', 'edit', 'variations', 'combine'];
+const ASPECT_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+const MAX_OUTPUTS = 4;
+const MAX_REFERENCES = 4;
+
+const STYLE_PRESETS = {
+  photo: 'photorealistic photograph, natural lighting, sharp focus',
+  illustration: 'clean digital illustration with bold shapes and flat colours',
+  '3d': '3D render with soft global illumination and realistic materials',
+  anime: 'anime key visual with crisp line art and cel shading',
+  watercolor: 'loose watercolour painting on textured paper',
+  'pixel-art': 'pixel art with a limited palette'
+};
+
+const MODE_PROMPTS = {
+  generate: 'Generate a new image from the user\'s description.',
+  edit: 'Edit the attached image according to the user\'s instruction. Keep everything the instruction does not mention unchanged.',
+  variations: 'Create a variation of the attached image. Keep its subject and overall composition but vary details, lighting and colour.',
+  combine: 'Combine the attached reference images into one coherent image, following the user\'s instruction for how they fit together.'
+};
+
+// Reads and validates the image options sent with a request. Returns
+// { options } or { error } when the mode does not match the attachments.
+function parseImageOptions(body, referenceCount) {
+  const input = body || {};
+  const mode = MODES.includes(input.mode) ? input.mode : 'generate';
+  const aspectRatio = ASPECT_RATIOS.includes(input.aspectRatio) ? input.aspectRatio : '';
+  const style = Object.prototype.hasOwnProperty.call(STYLE_PRESETS, input.style) ? input.style : '';
+  const count = Math.min(Math.max(Math.floor(Number(input.count)) || 1, 1), MAX_OUTPUTS);
+
+  if ((mode === 'edit' || mode === 'variations') && referenceCount < 1) {
+    return { error: `The ${mode} mode needs an attached image` };
+  }
+  if (mode === 'combine' && referenceCount < 2) {
+    return { error: 'The combine mode needs at least two reference images' };
+  }
+  if (referenceCount > MAX_REFERENCES) {
+    return { error: `Attach at most ${MAX_REFERENCES} reference images` };
+  }
+  return { options: { mode, aspectRatio, style, count } };
+}
+
+function buildImagePrompt(basePrompt, options) {
+  const lines = [
+    basePrompt,
+    MODE_PROMPTS[options.mode]
+  ];
+  if (options.style) {
+    lines.push(`Render it in this style: ${STYLE_PRESETS[options.style]}.`);
+  }
+  if (options.aspectRatio) {
+    lines.push(`Use a ${options.aspectRatio} aspect ratio.`);
+  }
+  return lines.join(' ');
+}
+
+// One model call per requested output. Calls stop early when the client
+// disconnects; whatever was produced so far is returned, including when
+// the disconnect aborts a call in flight.
+async function generateImages({ provider, request, count, signal, onImage }) {
+  const images = [];
+  let text = '';
+  let usage = null;
+  let model = null;
+  for (let i = 0; i < count; i += 1) {
+    if (signal && signal.aborted) break;
+    let result;
+    try {
+      result = await provider.generate({ ...request, signal });
+    } catch (err) {
+      if (signal && signal.aborted) break;
+      throw err;
+    }
+    usage = mergeUsage(usage, result.usage);
+    model = result.model || model;
+    if (!text && result.text) text = result.text;
+    if (result.image) {
+      images.push(result.image);
+      if (onImage) onImage(result.image, images.length - 1);
+    }
+  }
+  return { text, images, usage, model };
+}
+
+module.exports = {
+  MODES,
+  ASPECT_RATIOS,
+  STYLE_PRESETS,
+  MAX_OUTPUTS,
+  MAX_REFERENCES,
+  parseImageOptions,
+  buildImagePrompt,
+  generateImages
+};
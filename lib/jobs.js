@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const MAX_RUNNING = Number(process.env.JOB_CONCURRENCY) || 2;
+const MAX_RUNNING_PER_USER = Number(process.env.JOB_USER_CONCURRENCY) || 1;
+const MAX_QUEUED = Number(process.env.JOB_QUEUE_LIMIT) || 50;
+const MAX_PENDING_PER_USER = 5;
+const MAX_FINISHED_PER_USER = 20;
+const RETENTION_MS = 60 * 60 * 1000;
+const ACTIVE = ['queued', 'running'];
+// Chunks and image data are only forwarded live; replaying them would keep
+// every generated image in memory.
+const LIVE_ONLY_EVENTS = ['chunk', 'image'];
+
+const jobs = new Map();
+const queue = [];
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function isActive(job) {
+  return ACTIVE.includes(job.status);
+}
+
+function userJobs(uid) {
+  return [...jobs.values()].filter(job => job.uid === uid);
+}
+
+function prune(now = Date.now()) {
+  const finishedByUser = new Map();
+  [...jobs.values()]
+    .filter(job => !isActive(job))
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+    .forEach((job) => {
+      const kept = finishedByUser.get(job.uid) || 0;
+      if (kept >= MAX_FINISHED_PER_USER || now - Date.parse(job.finishedAt) > RETENTION_MS) {
+        jobs.delete(job.id);
+        return;
+      }
+      finishedByUser.set(job.uid, kept + 1);
+    });
+}
+
+function publish(job, event, payload) {
+  if (!LIVE_ONLY_EVENTS.includes(event)) {
+    job.events.push({ event, payload });
+  }
+  emitter.emit(job.id, event, payload);
+}
+
+function finish(job, status, fields = {}) {
+  if (!isActive(job)) return;
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  publish(job, 'status', { status, error: job.error || null });
+  emitter.emit(`${job.id}:end`);
+}
+
+// The output handed to the bot pipeline: the same calls that write SSE
+// events or a JSON body for a live request land on the job instead.
+function createOutput(job) {
+  return {
+    live: true,
+    get started() {
+      return job.started;
+    },
+    open() {
+      job.started = true;
+    },
+    event(event, payload) {
+      if (event === 'start') job.conversationId = payload.conversationId;
+      if (event === 'progress') job.progress = payload;
+      if (event === 'error') job.error = payload.error;
+      publish(job, event, payload);
+    },
+    json(payload) {
+      const result = { ...payload };
+      delete result.raw;
+      delete result.image;
+      delete result.images;
+      job.result = result;
+      if (result.conversationId) job.conversationId = result.conversationId;
+    },
+    error(status, body) {
+      job.error = body.error || 'Bot request failed';
+      job.errorStatus = status;
+    },
+    end() {}
+  };
+}
+
+function runningCount(uid) {
+  return [...jobs.values()].filter(job => job.status === 'running' && (!uid || job.uid === uid)).length;
+}
+
+async function start(job) {
+  queue.splice(queue.indexOf(job), 1);
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  publish(job, 'status', { status: 'running' });
+  try {
+    await job.run(createOutput(job), job.controller.signal);
+    if (job.controller.signal.aborted) {
+      finish(job, 'canceled');
+    } else if (job.error) {
+      finish(job, 'failed');
+    } else {
+      finish(job, 'succeeded');
+    }
+  } catch (err) {
+    finish(job, job.controller.signal.aborted ? 'canceled' : 'failed', { error: job.error || 'Bot request failed' });
+  } finally {
+    if (job.cleanup) job.cleanup();
+    job.run = null;
+    job.cleanup = null;
+    pump();
+  }
+}
+
+// Starts queued jobs in submission order while the global and per-user
+// limits allow it.
+function pump() {
+  for (const job of [...queue]) {
+    if (runningCount() >= MAX_RUNNING) return;
+    if (runningCount(job.uid) < MAX_RUNNING_PER_USER) {
+      start(job);
+    }
+  }
+}
+
+function enqueue(uid, { botId, title, run, cleanup }) {
+  prune();
+  if (queue.length >= MAX_QUEUED) {
+    return { error: 'The job queue is full. Try again in a minute.', status: 503 };
+  }
+  if (userJobs(uid).filter(isActive).length >= MAX_PENDING_PER_USER) {
+    return { error: `You can have at most ${MAX_PENDING_PER_USER} jobs queued or running`, status: 429 };
+  }
+  const job = {
+    id: crypto.randomBytes(9).toString('hex'),
+    uid,
+    botId,
+    title,
+    status: 'queued',
+    progress: null,
+    conversationId: null,
+    result: null,
+    error: null,
+    errorStatus: null,
+    started: false,
+    events: [],
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController(),
+    run,
+    cleanup
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  pump();
+  return { job };
+}
+
+function getJob(uid, id) {
+  prune();
+  const job = jobs.get(id);
+  return job && job.uid === uid ? job : null;
+}
+
+function listJobs(uid, botId) {
+  prune();
+  return userJobs(uid)
+    .filter(job => !botId || job.botId === botId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function cancelJob(job) {
+  if (!isActive(job)) return false;
+  job.controller.abort();
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+    if (job.cleanup) job.cleanup();
+    job.run = null;
+    job.cleanup = null;
+    finish(job, 'canceled');
+  }
+  return true;
+}
+
+function removeJob(job) {
+  if (isActive(job)) return false;
+  jobs.delete(job.id);
+  return true;
+}
+
+// Replays the recorded events, then forwards new ones until the job ends.
+// Returns an unsubscribe function.
+function subscribe(job, onEvent, onEnd) {
+  job.events.forEach(({ event, payload }) => onEvent(event, payload));
+  if (!isActive(job)) {
+    onEnd();
+    return () => {};
+  }
+  const endHandler = () => {
+    emitter.removeListener(job.id, onEvent);
+    onEnd();
+  };
+  emitter.on(job.id, onEvent);
+  emitter.once(`${job.id}:end`, endHandler);
+  return () => {
+    emitter.removeListener(job.id, onEvent);
+    emitter.removeListener(`${job.id}:end`, endHandler);
+  };
+}
+
+function publicJob(job, { withResult = false } = {}) {
+  return {
+    id: job.id,
+    botId: job.botId,
+    title: job.title,
+    status: job.status,
+    position: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+    progress: job.progress,
+    conversationId: job.conversationId,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: withResult ? job.result : undefined
+  };
+}
+
+module.exports = {
+  createOutput,
+  enqueue,
+  getJob,
+  listJobs,
+  cancelJob,
+  removeJob,
+  subscribe,
+  publicJob
+};
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { defaultStorage, storageFor } = require('./storage');
+const { matchHeading } = require('./papers');
+const { userKey } = require('./users');
+
+const libraryDir = path.join(__dirname, '..', 'data', 'library');
+const MAX_DOCUMENTS = 200;
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[\p{L}\p{N} _-]{1,30}$/u;
+const PASSAGE_CHARS = 1200;
+const MAX_PASSAGES = 6;
+const PASSAGE_BUDGET = Number(process.env.LIBRARY_CHAR_BUDGET) || 8000;
+// BM25 parameters; the usual defaults.
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(('a an and are as at be but by can did do does for from had has have how i if in into is it its '
+  + 'not of on or our so than that the their them then there these they this those to was we were what when where which '
+  + 'who why will with you your').split(' '));
+
+const CITATION_INSTRUCTIONS = [
+  'Passages from the user\'s document library follow the message, each headed with its source in square brackets.',
+  'Use them where they are relevant and cite every claim that relies on one with its document name and page, or section',
+  'when there is no page, in square brackets, e.g. [paper.pdf, p. 4] or [notes.docx, Methods].',
+  'Say so when the passages do not answer the question.'
+].join(' ');
+
+function userFile(uid) {
+  return path.join(libraryDir, `${userKey(uid)}.json`);
+}
+
+function indexFile(uid, id) {
+  return path.join(libraryDir, userKey(uid), `${id}.json`);
+}
+
+function readStore(uid) {
+  const file = userFile(uid);
+  if (!fs.existsSync(file)) {
+    return { documents: [] };
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8') || '{"documents":[]}');
+  data.documents = data.documents.filter(doc => doc.uid === uid);
+  return data;
+}
+
+function writeStore(uid, data) {
+  if (!fs.existsSync(libraryDir)) {
+    fs.mkdirSync(libraryDir, { recursive: true });
+  }
+  fs.writeFileSync(userFile(uid), JSON.stringify(data, null, 2));
+}
+
+function readIndex(uid, id) {
+  const file = indexFile(uid, id);
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8') || '{"passages":[]}').passages;
+}
+
+function writeIndex(uid, id, passages) {
+  const file = indexFile(uid, id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ passages }));
+}
+
+// Lowercased words without stopwords, with a plural "s" stripped so
+// "models" finds "model".
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function countTerms(text) {
+  const terms = {};
+  tokenize(text).forEach((term) => {
+    terms[term] = (terms[term] || 0) + 1;
+  });
+  return terms;
+}
+
+// Splits a document into passages of roughly PASSAGE_CHARS, keeping the
+// page each one came from and the last section heading seen. Reference
+// lists are left out; they match almost any query and answer none.
+function buildPassages(units) {
+  const passages = [];
+  let section = null;
+  let skipping = false;
+  units.forEach(({ page, text }) => {
+    let lines = [];
+    let size = 0;
+    const flush = () => {
+      const body = lines.join('\n').trim();
+      if (body && !skipping) passages.push({ page, section, text: body });
+      lines = [];
+      size = 0;
+    };
+    String(text || '').split(/\r?\n/).forEach((line) => {
+      const heading = matchHeading(line);
+      if (heading) {
+        flush();
+        section = heading.title;
+        skipping = heading.section === 'References';
+        return;
+      }
+      lines.push(line);
+      size += line.length + 1;
+      if (size >= PASSAGE_CHARS * 1.5 || (size >= PASSAGE_CHARS && /[.!?:]\s*$/.test(line))) flush();
+    });
+    flush();
+  });
+  return passages.map(passage => ({ ...passage, terms: countTerms(passage.text), length: tokenize(passage.text).length }));
+}
+
+function normalizeTags(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    return { error: `Up to ${MAX_TAGS} tags per document` };
+  }
+  if (tags.some(tag => !TAG_PATTERN.test(tag))) {
+    return { error: 'Tags may use letters, numbers, spaces, "-" and "_", up to 30 characters' };
+  }
+  return { tags };
+}
+
+function publicDocument(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    mimeType: doc.mimeType,
+    size: doc.size,
+    tags: doc.tags,
+    status: doc.status,
+    error: doc.error || null,
+    pages: doc.pages || null,
+    passages: doc.passages || 0,
+    createdAt: doc.createdAt,
+    indexedAt: doc.indexedAt || null
+  };
+}
+
+function listDocuments(uid, { tag } = {}) {
+  return readStore(uid).documents
+    .filter(doc => !tag || doc.tags.includes(tag))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function listTags(uid) {
+  return [...new Set(readStore(uid).documents.flatMap(doc => doc.tags))].sort();
+}
+
+function getDocument(uid, id) {
+  return readStore(uid).documents.find(doc => doc.id === id) || null;
+}
+
+function saveDocument(uid, doc) {
+  const data = readStore(uid);
+  const index = data.documents.findIndex(item => item.id === doc.id);
+  if (index === -1) data.documents.push(doc);
+  else data.documents[index] = doc;
+  writeStore(uid, data);
+  return doc;
+}
+
+// `extract` is the server's file parser; it gets a multer-style file and
+// returns the same shape it does for chat attachments.
+async function indexDocument(uid, doc, file, extract) {
+  try {
+    const extracted = await extract(file);
+    if (extracted.inlineImage) {
+      throw new Error('Images have no text to index');
+    }
+    const units = extracted.pages && extracted.pages.length
+      ? extracted.pages.map((text, i) => ({ page: i + 1, text }))
+      : [{ page: null, text: extracted.fullText || extracted.text }];
+    const passages = buildPassages(units);
+    writeIndex(uid, doc.id, passages);
+    Object.assign(doc, {
+      status: passages.length ? 'ready' : 'empty',
+      error: null,
+      pages: extracted.pages ? extracted.pages.length : null,
+      passages: passages.length,
+      indexedAt: new Date().toISOString()
+    });
+  } catch (err) {
+    fs.rmSync(indexFile(uid, doc.id), { force: true });
+    Object.assign(doc, { status: 'failed', error: err.message, pages: null, passages: 0, indexedAt: new Date().toISOString() });
+  }
+  return saveDocument(uid, doc);
+}
+
+async function addDocument(uid, file, { tags = [] } = {}, extract) {
+  const storage = defaultStorage();
+  const id = crypto.randomBytes(9).toString('hex');
+  const ext = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const doc = {
+    id,
+    uid,
+    name: String(file.originalname || 'document').slice(0, 200),
+    mimeType: file.mimetype || 'application/octet-stream',
+    size: file.size,
+    tags,
+    status: 'indexing',
+    storage: storage.name,
+    key: `library/${userKey(uid)}/${id}${ext}`,
+    createdAt: new Date().toISOString()
+  };
+  await storage.put(doc.key, fs.createReadStream(file.path), doc.mimeType);
+  return indexDocument(uid, doc, file, extract);
+}
+
+// Re-reads the stored original, so documents pick up parser and chunking
+// improvements without being uploaded again.
+async function reindexDocument(uid, id, extract) {
+  const doc = getDocument(uid, id);
+  if (!doc) return null;
+  const tempPath = path.join(os.tmpdir(), `library-${id}-${crypto.randomBytes(4).toString('hex')}`);
+  try {
+    await pipeline(await storageFor(doc.storage).open(doc.key), fs.createWriteStream(tempPath));
+    return await indexDocument(uid, doc, { path: tempPath, originalname: doc.name, mimetype: doc.mimeType, size: doc.size }, extract);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+function updateTags(uid, id, tags) {
+  const doc = getDocument(uid, id);
+  if (!doc) return null;
+  doc.tags = tags;
+  return saveDocument(uid, doc);
+}
+
+async function removeDocuments(uid, shouldRemove) {
+  const data = readStore(uid);
+  const removed = data.documents.filter(shouldRemove);
+  for (const doc of removed) {
+    await storageFor(doc.storage).remove(doc.key);
+    fs.rmSync(indexFile(uid, doc.id), { force: true });
+  }
+  data.documents = data.documents.filter(doc => !removed.includes(doc));
+  writeStore(uid, data);
+  return removed.length;
+}
+
+async function deleteDocument(uid, id) {
+  return (await removeDocuments(uid, doc => doc.id === id)) > 0;
+}
+
+async function deleteUserLibrary(uid) {
+  const count = await removeDocuments(uid, () => true);
+  fs.rmSync(userFile(uid), { force: true });
+  fs.rmSync(path.join(libraryDir, userKey(uid)), { recursive: true, force: true });
+  return count;
+}
+
+// The bot form sends "all", "tag:<tag>" or "docs:<id>,<id>".
+function parseScope(value) {
+  const text = String(value || '').trim();
+  if (!text) return { scope: null };
+  if (text === 'all') return { scope: {} };
+  if (text.startsWith('tag:') && text.length > 4) return { scope: { tag: text.slice(4).toLowerCase() } };
+  if (text.startsWith('docs:')) {
+    const docIds = text.slice(5).split(',').map(id => id.trim()).filter(Boolean);
+    if (docIds.length) return { scope: { docIds } };
+  }
+  return { error: 'library must be "all", "tag:<tag>" or "docs:<id>,<id>"' };
+}
+
+// Ranks the passages of every ready document in scope with BM25 and keeps
+// the best ones that fit the character budget.
+function searchLibrary(uid, query, scope = {}, { limit = MAX_PASSAGES, budget = PASSAGE_BUDGET } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+  const docs = listDocuments(uid, { tag: scope.tag })
+    .filter(doc => doc.status === 'ready' && (!scope.docIds || scope.docIds.includes(doc.id)));
+  const passages = docs.flatMap(doc => readIndex(uid, doc.id).map(passage => ({ ...passage, doc })));
+  if (!passages.length) return [];
+  const avgLength = passages.reduce((sum, p) => sum + p.length, 0) / passages.length || 1;
+  const idf = {};
+  terms.forEach((term) => {
+    const df = passages.filter(p => p.terms[term]).length;
+    idf[term] = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+  });
+  const ranked = passages
+    .map((passage) => {
+      const score = terms.reduce((sum, term) => {
+        const tf = passage.terms[term] || 0;
+        if (!tf) return sum;
+        return sum + idf[term] * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (passage.length / avgLength))));
+      }, 0);
+      return { passage, score };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+  const results = [];
+  let used = 0;
+  for (const { passage, score } of ranked) {
+    if (results.length >= limit) break;
+    if (used + passage.text.length > budget && results.length) continue;
+    used += passage.text.length;
+    results.push({
+      documentId: passage.doc.id,
+      name: passage.doc.name,
+      page: passage.page,
+      section: passage.section,
+      text: passage.text.slice(0, budget),
+      score: Math.round(score * 1000) / 1000
+    });
+  }
+  return results;
+}
+
+function sourceLabel(passage) {
+  return [passage.name, passage.page ? `p. ${passage.page}` : null, passage.section].filter(Boolean).join(', ');
+}
+
+function formatPassages(passages) {
+  return `[Library passages]\n${passages.map(p => `[${sourceLabel(p)}]\n${p.text}`).join('\n\n')}`;
+}
+
+// What the reply and the saved turn carry so the UI can list the sources.
+function citationList(passages) {
+  return passages.map(p => ({ documentId: p.documentId, name: p.name, page: p.page, section: p.section, label: sourceLabel(p) }));
+}
+
+module.exports = {
+  MAX_DOCUMENTS,
+  CITATION_INSTRUCTIONS,
+  tokenize,
+  buildPassages,
+  normalizeTags,
+  publicDocument,
+  listDocuments,
+  listTags,
+  getDocument,
+  addDocument,
+  reindexDocument,
+  updateTags,
+  deleteDocument,
+  deleteUserLibrary,
+  parseScope,
+  searchLibrary,
+  formatPassages,
+  citationList
+};
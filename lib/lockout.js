@@ -0,0 +1,78 @@
+// Per-account login throttling. After a few free attempts every further
+// failure doubles the wait before the next try. Unknown UIDs are tracked
+// the same way, so the responses do not reveal which accounts exist. State
+// is kept in memory: a restart clears it, which the global IP rate limit
+// still covers.
+const FREE_ATTEMPTS = Number(process.env.LOGIN_FREE_ATTEMPTS) || 5;
+const BASE_DELAY_SECONDS = Number(process.env.LOGIN_LOCKOUT_SECONDS) || 30;
+const MAX_DELAY_SECONDS = 60 * 60;
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 10000;
+
+const attempts = new Map();
+
+function accountKey(uid) {
+  return String(uid || '').trim().toLowerCase().slice(0, 64);
+}
+
+function current(uid, now) {
+  const entry = attempts.get(accountKey(uid));
+  if (!entry) return null;
+  if (now - entry.lastFailureAt > RESET_AFTER_MS) {
+    attempts.delete(accountKey(uid));
+    return null;
+  }
+  return entry;
+}
+
+// { locked, retryAfter } where retryAfter is in seconds.
+function check(uid, now = Date.now()) {
+  const entry = current(uid, now);
+  if (!entry || entry.lockedUntil <= now) return { locked: false, retryAfter: 0 };
+  return { locked: true, retryAfter: Math.ceil((entry.lockedUntil - now) / 1000) };
+}
+
+function prune(now) {
+  attempts.forEach((entry, key) => {
+    if (now - entry.lastFailureAt > RESET_AFTER_MS) attempts.delete(key);
+  });
+  // Still full after pruning: drop the oldest entries rather than grow
+  // without bound under a spray of made-up UIDs.
+  while (attempts.size >= MAX_ENTRIES) {
+    attempts.delete(attempts.keys().next().value);
+  }
+}
+
+function recordFailure(uid, now = Date.now()) {
+  const key = accountKey(uid);
+  let entry = current(uid, now);
+  if (!entry) {
+    if (attempts.size >= MAX_ENTRIES) prune(now);
+    entry = { failures: 0, lockedUntil: 0, lastFailureAt: now };
+    attempts.set(key, entry);
+  }
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+  const over = entry.failures - FREE_ATTEMPTS;
+  if (over > 0) {
+    const delay = Math.min(BASE_DELAY_SECONDS * (2 ** (over - 1)), MAX_DELAY_SECONDS);
+    entry.lockedUntil = now + delay * 1000;
+  }
+  return { failures: entry.failures, ...check(uid, now) };
+}
+
+function reset(uid) {
+  attempts.delete(accountKey(uid));
+}
+
+function lockedUntil(uid, now = Date.now()) {
+  const entry = current(uid, now);
+  return entry && entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null;
+}
+
+module.exports = {
+  check,
+  recordFailure,
+  reset,
+  lockedUntil
+};
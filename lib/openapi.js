@@ -0,0 +1,608 @@
+const { version } = require('../package.json');
+const images = require('./images');
+const attachments = require('./attachments');
+const { CHART_TYPES } = require('./charts');
+const references = require('./references');
+const comparison = require('./comparison');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const error = description => ({ description, content: json(ref('Error')) });
+const keyOrSession = [{ bearerAuth: [] }, { cookieAuth: [] }];
+const sessionOnly = [{ cookieAuth: [] }];
+const idParam = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string', description: 'A message that can be shown to the user' },
+      retryAfter: { type: 'integer', description: 'Seconds to wait before retrying, on 429' }
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      authenticated: { type: 'boolean' },
+      uid: { type: 'string', nullable: true },
+      nickname: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ['user', 'admin'], nullable: true },
+      mustChangePassword: { type: 'boolean' },
+      twoFactorPending: { type: 'boolean', description: 'The password was accepted and POST /api/login/2fa is waiting for a code' }
+    }
+  },
+  LoginResult: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean' },
+      twoFactorRequired: { type: 'boolean', description: 'Send a code to /api/login/2fa to finish logging in' },
+      needsNickname: { type: 'boolean' },
+      mustChangePassword: { type: 'boolean' },
+      recoveryCodesLeft: { type: 'integer', description: 'Only after logging in with a recovery code' }
+    }
+  },
+  TwoFactorCode: {
+    type: 'object',
+    required: ['code'],
+    properties: { code: { type: 'string', description: 'A 6-digit authenticator code or an unused recovery code' } }
+  },
+  Bot: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      shortName: { type: 'string' },
+      description: { type: 'string' },
+      capabilities: { type: 'array', items: { type: 'string' } },
+      accept: { type: 'string', description: 'File types the bot accepts, as for an HTML file input' },
+      controls: { type: 'array', items: { type: 'string', enum: ['chart', 'imageOptions', 'library', 'compare'] } },
+      features: { type: 'array', items: { type: 'string', enum: ['charts', 'longDocuments', 'reportExport', 'images', 'library', 'references', 'compare', 'query'] } },
+      structured: { type: 'boolean', description: 'Send structured=1 to get a schema-validated `structured` object' }
+    }
+  },
+  BotRequest: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'The user message' },
+      file: {
+        type: 'array',
+        maxItems: attachments.MAX_ATTACHMENTS,
+        items: { type: 'string', format: 'binary' },
+        description: `Attachments (PDF, DOCX, CSV, XLSX or images). Image bots take at most ${images.MAX_REFERENCES} reference images.`
+      },
+      conversationId: { type: 'string', description: 'Continue an existing conversation with the same bot' },
+      stream: { type: 'string', enum: ['1'], description: 'Reply as server-sent events (same as Accept: text/event-stream)' },
+      job: { type: 'string', enum: ['1'], description: 'Queue the turn as a background job and return 202 right away' },
+      chartType: { type: 'string', enum: CHART_TYPES, description: 'Chart bots only' },
+      structured: { type: 'string', enum: ['1'], description: 'Structured bots: reply with a schema-validated `structured` object instead of streamed free text' },
+      mode: { type: 'string', enum: images.MODES, description: 'Image bots only' },
+      aspectRatio: { type: 'string', enum: images.ASPECT_RATIOS, description: 'Image bots only' },
+      style: { type: 'string', enum: Object.keys(images.STYLE_PRESETS), description: 'Image bots only' },
+      count: { type: 'integer', minimum: 1, maximum: images.MAX_OUTPUTS, description: 'Image bots only' },
+      library: { type: 'string', example: 'tag:thesis', description: 'Bots with the library feature: "all", "tag:<tag>" or "docs:<id>,<id>" to add matching passages from your document library' },
+      compare: { type: 'string', enum: ['1'], description: `Bots with the compare feature: compare 2 to ${comparison.MAX_PAPERS} attached papers side by side instead of analyzing them` }
+    }
+  },
+  BotReply: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'Markdown reply' },
+      structured: { type: 'object', nullable: true },
+      structuredErrors: { type: 'array', items: { type: 'string' } },
+      image: { type: 'string', nullable: true, description: 'First generated image as a data URL' },
+      images: { type: 'array', items: { type: 'string' } },
+      imageUrls: { type: 'array', items: { type: 'string' }, description: 'Gallery URLs of the saved images; fetch them with the same API key' },
+      chart: { type: 'object', nullable: true },
+      profile: { type: 'object', nullable: true },
+      sections: { type: 'array', items: { type: 'string' }, nullable: true },
+      fileUrls: { type: 'array', items: { type: 'string' }, description: 'Signed download links for the attachments; they expire after a few minutes' },
+      citations: { type: 'array', items: ref('Citation'), nullable: true, description: 'Library passages given to the model' },
+      references: { type: 'array', items: ref('Reference'), description: 'Entries parsed from the reference lists of attached PDF and DOCX papers' },
+      comparison: ref('Comparison'),
+      query: ref('Query'),
+      conversationId: { type: 'string' },
+      messageId: { type: 'string' },
+      report: { type: 'boolean', description: 'The reply can be exported as a report' },
+      model: { type: 'string', nullable: true, description: 'The model that answered, which may be a fallback' }
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      botId: { type: 'string' },
+      title: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'canceled'] },
+      position: { type: 'integer', nullable: true, description: 'Place in the queue while queued' },
+      progress: { type: 'object', nullable: true },
+      conversationId: { type: 'string', nullable: true },
+      error: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time', nullable: true },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true },
+      result: { allOf: [ref('BotReply')], description: 'Only on GET /api/jobs/{id}, once the job has succeeded' }
+    }
+  },
+  Conversation: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      botId: { type: 'string' },
+      title: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      turnCount: { type: 'integer' }
+    }
+  },
+  Citation: {
+    type: 'object',
+    properties: {
+      documentId: { type: 'string' },
+      name: { type: 'string' },
+      page: { type: 'integer', nullable: true },
+      section: { type: 'string', nullable: true },
+      label: { type: 'string', example: 'paper.pdf, p. 4, Methods' }
+    }
+  },
+  Reference: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['article', 'inproceedings', 'misc'] },
+      authors: { type: 'array', items: { type: 'string' }, example: ['Vaswani, A.', 'Shazeer, N.'] },
+      title: { type: 'string' },
+      venue: { type: 'string', nullable: true },
+      year: { type: 'string', nullable: true },
+      doi: { type: 'string', nullable: true },
+      raw: { type: 'string', description: 'The entry as it appears in the paper' },
+      source: { type: 'string', description: 'Name of the attachment it came from' }
+    }
+  },
+  Comparison: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      aspects: { type: 'array', items: { type: 'string', enum: comparison.ASPECTS } },
+      rows: {
+        type: 'array',
+        description: 'One row per paper, with a value for each aspect',
+        items: {
+          type: 'object',
+          properties: {
+            paper: { type: 'string' },
+            title: { type: 'string', nullable: true },
+            objective: { type: 'string', nullable: true },
+            methods: { type: 'string', nullable: true },
+            datasets: { type: 'string', nullable: true },
+            results: { type: 'string', nullable: true },
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Query: {
+    type: 'object',
+    nullable: true,
+    description: 'Bots with the query feature: the plan the model wrote for a dataset question and the exact result the server computed. Follow-up turns reuse the dataset stored with the conversation.',
+    properties: {
+      plan: { type: 'object', nullable: true, description: 'table, derive, filter, groupBy, aggregates, having, select, sort and limit' },
+      result: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          table: { type: 'string' },
+          columns: { type: 'array', items: { type: 'string' } },
+          rows: { type: 'array', items: { type: 'array', items: {} } },
+          rowCount: { type: 'integer', description: 'Rows before the limit' },
+          truncated: { type: 'boolean' },
+          scannedRows: { type: 'integer' }
+        }
+      },
+      error: { type: 'string', nullable: true },
+      file: { type: 'string', nullable: true, description: 'Name of the earlier upload when the dataset was reused' }
+    }
+  },
+  File: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      mimeType: { type: 'string' },
+      size: { type: 'integer' },
+      botId: { type: 'string', nullable: true },
+      conversationId: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the retention policy removes the file' },
+      url: { type: 'string' }
+    }
+  },
+  Turn: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', nullable: true },
+      role: { type: 'string', enum: ['user', 'model'] },
+      text: { type: 'string' },
+      files: { type: 'array', items: { type: 'object' } },
+      imageUrls: { type: 'array', items: { type: 'string' } },
+      chart: { type: 'object', nullable: true },
+      structured: { type: 'object', nullable: true },
+      citations: { type: 'array', items: ref('Citation'), nullable: true },
+      comparison: ref('Comparison'),
+      query: ref('Query'),
+      referenceCount: { type: 'integer', description: 'Entries available from the references endpoint' },
+      model: { type: 'string', nullable: true },
+      report: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+function paths(botIds) {
+  return {
+    '/api/login': {
+      post: {
+        tags: ['Session'],
+        summary: 'Log in and receive the session cookie',
+        security: [],
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            required: ['uid', 'password'],
+            properties: { uid: { type: 'string' }, password: { type: 'string' } }
+          })
+        },
+        responses: {
+          200: {
+            description: 'Logged in, or waiting for a second factor when twoFactorRequired is true; the response sets the suite.sid cookie',
+            content: json(ref('LoginResult'))
+          },
+          401: error('Invalid credentials'),
+          403: error('Account disabled'),
+          429: error('Too many failed attempts for this account; see Retry-After')
+        }
+      }
+    },
+    '/api/login/2fa': {
+      post: {
+        tags: ['Session'],
+        summary: 'Finish logging in with an authenticator or recovery code',
+        security: [],
+        requestBody: { required: true, content: json(ref('TwoFactorCode')) },
+        responses: {
+          200: { description: 'Logged in', content: json(ref('LoginResult')) },
+          401: error('Invalid code, or the password step expired'),
+          429: error('Too many failed attempts for this account; see Retry-After')
+        }
+      }
+    },
+    '/api/account/2fa': {
+      get: {
+        tags: ['Session'],
+        summary: 'Two-factor status of the signed-in account',
+        security: sessionOnly,
+        responses: {
+          200: {
+            description: 'Status',
+            content: json({
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean' },
+                enabledAt: { type: 'string', format: 'date-time', nullable: true },
+                recoveryCodesLeft: { type: 'integer' }
+              }
+            })
+          }
+        }
+      }
+    },
+    '/api/account/2fa/setup': {
+      post: {
+        tags: ['Session'],
+        summary: 'Start enrolling an authenticator app',
+        security: sessionOnly,
+        requestBody: { required: true, content: json({ type: 'object', required: ['password'], properties: { password: { type: 'string' } } }) },
+        responses: {
+          200: {
+            description: 'A new secret to confirm with /api/account/2fa/enable',
+            content: json({
+              type: 'object',
+              properties: {
+                secret: { type: 'string', description: 'Base32 key for manual entry' },
+                otpauthUrl: { type: 'string' },
+                qrCode: { type: 'string', description: 'PNG data URL of the otpauth URL' }
+              }
+            })
+          },
+          401: error('Password is incorrect'),
+          409: error('Two-factor authentication is already on')
+        }
+      }
+    },
+    '/api/account/2fa/enable': {
+      post: {
+        tags: ['Session'],
+        summary: 'Confirm enrollment with a code from the app',
+        security: sessionOnly,
+        requestBody: { required: true, content: json(ref('TwoFactorCode')) },
+        responses: {
+          200: {
+            description: 'Turned on; the recovery codes are only returned here',
+            content: json({ type: 'object', properties: { ok: { type: 'boolean' }, recoveryCodes: { type: 'array', items: { type: 'string' } } } })
+          },
+          400: error('No setup in progress or the code did not match')
+        }
+      }
+    },
+    '/api/account/2fa/recovery-codes': {
+      post: {
+        tags: ['Session'],
+        summary: 'Replace the recovery codes',
+        security: sessionOnly,
+        requestBody: { required: true, content: json(ref('TwoFactorCode')) },
+        responses: {
+          200: {
+            description: 'New codes; the old ones stop working',
+            content: json({ type: 'object', properties: { ok: { type: 'boolean' }, recoveryCodes: { type: 'array', items: { type: 'string' } } } })
+          },
+          401: error('Invalid code'),
+          429: error('Too many failed attempts for this account; see Retry-After')
+        }
+      }
+    },
+    '/api/account/2fa/disable': {
+      post: {
+        tags: ['Session'],
+        summary: 'Turn two-factor authentication off',
+        security: sessionOnly,
+        requestBody: {
+          required: true,
+          content: json({ type: 'object', required: ['password', 'code'], properties: { password: { type: 'string' }, code: { type: 'string' } } })
+        },
+        responses: {
+          200: { description: 'Turned off' },
+          401: error('Password or code is incorrect'),
+          429: error('Too many failed attempts for this account; see Retry-After')
+        }
+      }
+    },
+    '/api/logout': {
+      post: {
+        tags: ['Session'],
+        summary: 'End the session',
+        security: [],
+        responses: { 200: { description: 'Logged out' } }
+      }
+    },
+    '/api/session': {
+      get: {
+        tags: ['Session'],
+        summary: 'Describe the current session',
+        security: [],
+        responses: { 200: { description: 'Session state', content: json(ref('Session')) } }
+      }
+    },
+    '/api/bots': {
+      get: {
+        tags: ['Bots'],
+        summary: 'List the bots this caller may use',
+        security: keyOrSession,
+        responses: {
+          200: { description: 'Bots', content: json({ type: 'object', properties: { bots: { type: 'array', items: ref('Bot') } } }) },
+          401: error('Not authenticated')
+        }
+      }
+    },
+    '/api/bot/{botId}': {
+      post: {
+        tags: ['Bots'],
+        summary: 'Send a message to a bot',
+        description: 'Replies with JSON by default, with server-sent events (start, profile, progress, chunk, image, chart, error, done) when streaming, or with 202 and a job when `job=1`. Calls count against the same usage quota as the web app.',
+        security: keyOrSession,
+        parameters: [{ ...idParam('botId', 'Bot id'), schema: { type: 'string', enum: botIds } }],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': { schema: ref('BotRequest') },
+            'application/x-www-form-urlencoded': { schema: ref('BotRequest') }
+          }
+        },
+        responses: {
+          200: {
+            description: 'The reply',
+            content: { ...json(ref('BotReply')), 'text/event-stream': { schema: { type: 'string' } } }
+          },
+          202: { description: 'Queued as a background job', content: json({ type: 'object', properties: { job: ref('Job') } }) },
+          400: error('Invalid input'),
+          401: error('Not authenticated'),
+          403: error('The API key is not allowed to use this bot'),
+          404: error('Unknown bot or conversation'),
+          413: error('Attachments are too large'),
+          429: error('Usage quota or job limit reached, or the model is rate limited'),
+          501: error('Bot is not configured'),
+          502: error('The model service failed after retries and fallbacks'),
+          504: error('The model did not answer in time')
+        }
+      }
+    },
+    '/api/jobs': {
+      get: {
+        tags: ['Jobs'],
+        summary: 'List queued, running and recently finished jobs',
+        security: keyOrSession,
+        parameters: [{ name: 'botId', in: 'query', schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Jobs, newest first', content: json({ type: 'object', properties: { jobs: { type: 'array', items: ref('Job') } } }) }
+        }
+      }
+    },
+    '/api/jobs/{id}': {
+      get: {
+        tags: ['Jobs'],
+        summary: 'Poll a job',
+        security: keyOrSession,
+        parameters: [idParam('id', 'Job id')],
+        responses: {
+          200: { description: 'The job, with its result once finished', content: json({ type: 'object', properties: { job: ref('Job') } }) },
+          404: error('Job not found')
+        }
+      },
+      delete: {
+        tags: ['Jobs'],
+        summary: 'Remove a finished job from the list',
+        security: keyOrSession,
+        parameters: [idParam('id', 'Job id')],
+        responses: { 200: { description: 'Removed' }, 404: error('Job not found'), 409: error('Job is still active') }
+      }
+    },
+    '/api/jobs/{id}/events': {
+      get: {
+        tags: ['Jobs'],
+        summary: 'Subscribe to job events',
+        description: 'Replays the events so far, then streams new ones. Ends with a `job` event carrying the final job.',
+        security: keyOrSession,
+        parameters: [idParam('id', 'Job id')],
+        responses: { 200: { description: 'Server-sent events', content: { 'text/event-stream': { schema: { type: 'string' } } } }, 404: error('Job not found') }
+      }
+    },
+    '/api/jobs/{id}/cancel': {
+      post: {
+        tags: ['Jobs'],
+        summary: 'Cancel a queued or running job',
+        security: keyOrSession,
+        parameters: [idParam('id', 'Job id')],
+        responses: { 200: { description: 'Canceled' }, 404: error('Job not found'), 409: error('Job has already finished') }
+      }
+    },
+    '/api/conversations': {
+      get: {
+        tags: ['Conversations'],
+        summary: 'List conversations',
+        security: keyOrSession,
+        parameters: [{ name: 'botId', in: 'query', schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'Conversations', content: json({ type: 'object', properties: { conversations: { type: 'array', items: ref('Conversation') } } }) }
+        }
+      }
+    },
+    '/api/conversations/{id}': {
+      get: {
+        tags: ['Conversations'],
+        summary: 'Get a conversation with its turns',
+        security: keyOrSession,
+        parameters: [idParam('id', 'Conversation id')],
+        responses: {
+          200: {
+            description: 'The conversation',
+            content: json({ allOf: [ref('Conversation'), { type: 'object', properties: { turns: { type: 'array', items: ref('Turn') } } }] })
+          },
+          404: error('Conversation not found')
+        }
+      },
+      patch: {
+        tags: ['Conversations'],
+        summary: 'Rename a conversation',
+        security: sessionOnly,
+        parameters: [idParam('id', 'Conversation id')],
+        requestBody: { required: true, content: json({ type: 'object', required: ['title'], properties: { title: { type: 'string', maxLength: 120 } } }) },
+        responses: { 200: { description: 'Renamed' }, 400: error('Title required'), 404: error('Conversation not found') }
+      },
+      delete: {
+        tags: ['Conversations'],
+        summary: 'Delete a conversation',
+        security: sessionOnly,
+        parameters: [idParam('id', 'Conversation id')],
+        responses: { 200: { description: 'Deleted' }, 404: error('Conversation not found') }
+      }
+    },
+    '/api/conversations/{id}/messages/{messageId}/export': {
+      get: {
+        tags: ['Conversations'],
+        summary: 'Download a reply as a report',
+        security: keyOrSession,
+        parameters: [
+          idParam('id', 'Conversation id'),
+          idParam('messageId', 'Message id'),
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['md', 'docx', 'pdf'], default: 'md' } }
+        ],
+        responses: { 200: { description: 'The report file' }, 400: error('Unknown format'), 404: error('Report not found') }
+      }
+    },
+    '/api/conversations/{id}/messages/{messageId}/references': {
+      get: {
+        tags: ['Conversations'],
+        summary: 'Download the references parsed from the papers attached to a turn',
+        security: keyOrSession,
+        parameters: [
+          idParam('id', 'Conversation id'),
+          idParam('messageId', 'Message id of the reply'),
+          { name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(references.FORMATS), default: 'json' } }
+        ],
+        responses: { 200: { description: 'The references file' }, 400: error('Unknown format'), 404: error('References not found') }
+      }
+    },
+    '/api/files': {
+      get: {
+        tags: ['Files'],
+        summary: 'List stored attachments',
+        security: keyOrSession,
+        parameters: [{ name: 'conversationId', in: 'query', schema: { type: 'string' } }],
+        responses: {
+          200: {
+            description: 'Files, newest first',
+            content: json({ type: 'object', properties: { files: { type: 'array', items: ref('File') }, retentionDays: { type: 'integer' } } })
+          }
+        }
+      }
+    },
+    '/api/files/{id}': {
+      get: {
+        tags: ['Files'],
+        summary: 'Download a stored attachment',
+        description: 'Needs a key or session, or the uid, expires and signature parameters of a signed link.',
+        security: keyOrSession,
+        parameters: [
+          idParam('id', 'File id'),
+          { name: 'uid', in: 'query', schema: { type: 'string' } },
+          { name: 'expires', in: 'query', schema: { type: 'integer' } },
+          { name: 'signature', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: { 200: { description: 'The file' }, 403: error('Invalid or expired link'), 404: error('File not found') }
+      },
+      delete: {
+        tags: ['Files'],
+        summary: 'Delete a stored attachment',
+        security: sessionOnly,
+        parameters: [idParam('id', 'File id')],
+        responses: { 200: { description: 'Deleted' }, 404: error('File not found') }
+      }
+    }
+  };
+}
+
+// Built per request so the bot id list follows the registry.
+function buildOpenApiSpec(botList) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'AI Assistant Suite API',
+      version,
+      description: 'Create a personal API key on the API keys page and send it as `Authorization: Bearer <key>`. Keys can be limited to some bots and revoked at any time. While an account still has a temporary password from an admin, every call except POST /api/password returns 403 with `mustChangePassword: true`.'
+    },
+    servers: [{ url: '/' }],
+    tags: [{ name: 'Session' }, { name: 'Bots' }, { name: 'Jobs' }, { name: 'Conversations' }, { name: 'Files' }],
+    paths: paths(botList.map(bot => bot.id)),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Personal API key (sk-suite-…)' },
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'suite.sid' }
+      },
+      schemas
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec
+};
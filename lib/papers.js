@@ -0,0 +1,181 @@
+const LONG_DOCUMENT_CHARS = 12000;
+const CHUNK_CHARS = 10000;
+const MAX_CHUNKS = 24;
+
+const HEADINGS = [
+  ['materials and methods', 'Methods'],
+  ['results and discussion', 'Results'],
+  ['experimental setup', 'Methods'],
+  ['literature review', 'Background'],
+  ['related work', 'Background'],
+  ['future work', 'Future Work'],
+  ['acknowledgements', 'Acknowledgements'],
+  ['acknowledgments', 'Acknowledgements'],
+  ['acknowledgement', 'Acknowledgements'],
+  ['acknowledgment', 'Acknowledgements'],
+  ['bibliography', 'References'],
+  ['introduction', 'Introduction'],
+  ['methodology', 'Methods'],
+  ['experiments', 'Methods'],
+  ['experiment', 'Methods'],
+  ['limitations', 'Limitations'],
+  ['conclusions', 'Conclusion'],
+  ['conclusion', 'Conclusion'],
+  ['background', 'Background'],
+  ['discussion', 'Discussion'],
+  ['references', 'References'],
+  ['abstract', 'Abstract'],
+  ['appendix', 'Appendix'],
+  ['methods', 'Methods'],
+  ['method', 'Methods'],
+  ['results', 'Results'],
+  ['result', 'Results']
+];
+
+const HEADING_PATTERN = new RegExp(
+  `^(?:(?:\\d+(?:\\.\\d+)*|[IVX]+|[A-Z])[.)]?\\s+)?(${HEADINGS.map(h => h[0]).join('|')})(?:\\s+(?:and|&)\\s+[A-Za-z ]{1,30})?\\s*:?$`,
+  'i'
+);
+
+const SKIPPED_SECTIONS = new Set(['References', 'Acknowledgements']);
+
+function matchHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 60) return null;
+  const match = trimmed.match(HEADING_PATTERN);
+  if (!match) return null;
+  const keyword = match[1].toLowerCase();
+  const entry = HEADINGS.find(h => h[0] === keyword);
+  return { title: trimmed.replace(/:$/, ''), section: entry[1] };
+}
+
+// Splits extracted paper text on recognised section headings. Text before the
+// first heading is kept as "Front matter" (title, authors, unlabelled abstract).
+function splitSections(text) {
+  const sections = [];
+  let current = { title: 'Front matter', section: 'Front matter', lines: [] };
+  String(text || '').split(/\r?\n/).forEach((line) => {
+    const heading = matchHeading(line);
+    if (heading) {
+      sections.push(current);
+      current = { ...heading, lines: [] };
+      return;
+    }
+    current.lines.push(line);
+  });
+  sections.push(current);
+  return sections
+    .map(s => ({ title: s.title, section: s.section, text: s.lines.join('\n').trim() }))
+    .filter(s => s.text.length > 0);
+}
+
+function splitLongText(text, size) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > size) {
+    let cut = rest.lastIndexOf('\n\n', size);
+    if (cut < size / 2) cut = rest.lastIndexOf('\n', size);
+    if (cut < size / 2) cut = size;
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Groups sections into chunks of roughly CHUNK_CHARS. Small neighbouring
+// sections share a chunk; oversized ones are split into numbered parts.
+function buildChunks(sections) {
+  const analysed = sections.filter(s => !SKIPPED_SECTIONS.has(s.section));
+  const total = analysed.reduce((sum, s) => sum + s.text.length, 0);
+  const size = Math.max(CHUNK_CHARS, Math.ceil(total / MAX_CHUNKS));
+  const pieces = [];
+  analysed.forEach((s) => {
+    const parts = splitLongText(s.text, size);
+    parts.forEach((part, i) => {
+      const label = parts.length > 1 ? `${s.title} (part ${i + 1}/${parts.length})` : s.title;
+      pieces.push({ labels: [label], text: part });
+    });
+  });
+  const chunks = [];
+  pieces.forEach((piece) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.text.length + piece.text.length <= size) {
+      last.labels.push(...piece.labels);
+      last.text += `\n\n[${piece.labels[0]}]\n${piece.text}`;
+      return;
+    }
+    chunks.push({ labels: [...piece.labels], text: `[${piece.labels[0]}]\n${piece.text}` });
+  });
+  return chunks.map(c => ({ label: c.labels.join(' + '), text: c.text }));
+}
+
+// Chunks each attached document separately; with several papers the labels
+// carry the file name so the merge step can tell them apart.
+function buildDocumentChunks(documents) {
+  return documents.flatMap((doc) => {
+    const chunks = buildChunks(splitSections(doc.text));
+    if (documents.length < 2) return chunks;
+    return chunks.map(c => ({ label: `${doc.name}: ${c.label}`, text: `[${doc.name}]\n${c.text}` }));
+  });
+}
+
+function isLongDocument(text) {
+  return String(text || '').length > LONG_DOCUMENT_CHARS;
+}
+
+const MAP_PROMPT = [
+  'You are reading one part of a longer academic paper. The part is labelled with its section headings in square brackets.',
+  'Extract terse bullet-point notes under these headings, only for what this part actually states: Objective, Methods, Results, Limitations, Future Work.',
+  'Write "none" under a heading with nothing relevant. Keep numbers, datasets and metrics exactly as written.'
+].join(' ');
+
+const REDUCE_INSTRUCTIONS = [
+  'The paper was too long to read at once, so it was analysed section by section.',
+  'Below are the notes from each part, labelled with the section they came from.',
+  'Merge them into the final analysis with objective, methods, key results, limitations and future work.',
+  'After every finding, cite the section(s) it came from in square brackets, e.g. [Methods] or [Results (part 2/3)].'
+].join(' ');
+
+function mergeUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    totalTokens: a.totalTokens + b.totalTokens
+  };
+}
+
+// Map step: one model call per chunk. Returns the labelled notes plus the
+// combined token usage of the map calls. The caller puts
+// REDUCE_INSTRUCTIONS in front of the notes in the reduce prompt.
+async function analyzeChunks({ provider, request, chunks, onProgress, signal }) {
+  const notes = [];
+  let usage = null;
+  for (let i = 0; i < chunks.length; i += 1) {
+    if (signal && signal.aborted) break;
+    if (onProgress) onProgress({ index: i + 1, total: chunks.length, section: chunks[i].label });
+    const result = await provider.generate({
+      ...request,
+      systemPrompt: MAP_PROMPT,
+      imageOutput: false,
+      signal,
+      contents: [{ role: 'user', parts: [{ text: chunks[i].text }] }]
+    });
+    usage = mergeUsage(usage, result.usage);
+    notes.push(`### Notes from ${chunks[i].label}\n${result.text}`);
+  }
+  return { notes: notes.join('\n\n'), usage };
+}
+
+module.exports = {
+  matchHeading,
+  splitSections,
+  buildChunks,
+  buildDocumentChunks,
+  isLongDocument,
+  REDUCE_INSTRUCTIONS,
+  analyzeChunks,
+  mergeUsage
+};
@@ -0,0 +1,204 @@
+const NULL_TOKENS = new Set(['', 'na', 'n/a', 'null', 'nan', 'none', '-']);
+const BOOLEAN_TOKENS = new Set(['true', 'false', 'yes', 'no']);
+const DATE_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{2,4})$/;
+const TYPE_THRESHOLD = 0.95;
+const MAX_DISTINCT = 10000;
+const TOP_CATEGORIES = 5;
+const MAX_CORRELATION_COLUMNS = 20;
+const TOP_CORRELATIONS = 10;
+
+function isNull(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'number') return Number.isNaN(value);
+  if (value instanceof Date) return Number.isNaN(value.getTime());
+  return NULL_TOKENS.has(String(value).trim().toLowerCase());
+}
+
+function asNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value instanceof Date || typeof value === 'boolean') return null;
+  const text = String(value).replace(/,/g, '').trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?%?$/.test(text)) return null;
+  const number = Number(text.replace(/%$/, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function asDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const text = String(value).trim();
+  if (!DATE_PATTERN.test(text)) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function round(value, digits = 4) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function inferType(values) {
+  if (!values.length) return 'empty';
+  const ratio = test => values.filter(test).length / values.length;
+  if (ratio(v => asNumber(v) !== null) >= TYPE_THRESHOLD) return 'number';
+  if (ratio(v => asDate(v) !== null) >= TYPE_THRESHOLD) return 'date';
+  if (ratio(v => typeof v === 'boolean' || BOOLEAN_TOKENS.has(String(v).trim().toLowerCase())) >= TYPE_THRESHOLD) return 'boolean';
+  return 'string';
+}
+
+function numericStats(numbers) {
+  if (!numbers.length) return {};
+  const sorted = Float64Array.from(numbers).sort();
+  let mean = 0;
+  let m2 = 0;
+  for (let i = 0; i < sorted.length; i += 1) {
+    const delta = sorted[i] - mean;
+    mean += delta / (i + 1);
+    m2 += delta * (sorted[i] - mean);
+  }
+  const mid = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: round(mean),
+    median: round(median),
+    stddev: round(sorted.length > 1 ? Math.sqrt(m2 / (sorted.length - 1)) : 0)
+  };
+}
+
+function categoryStats(values) {
+  const counts = new Map();
+  let capped = false;
+  values.forEach((value) => {
+    const key = value instanceof Date ? value.toISOString() : String(value).trim();
+    if (counts.has(key)) {
+      counts.set(key, counts.get(key) + 1);
+    } else if (counts.size < MAX_DISTINCT) {
+      counts.set(key, 1);
+    } else {
+      capped = true;
+    }
+  });
+  const top = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_CATEGORIES)
+    .map(([value, count]) => ({ value, count }));
+  return { distinct: counts.size, distinctCapped: capped, top };
+}
+
+function profileColumn(name, rows) {
+  const present = [];
+  let nulls = 0;
+  rows.forEach((row) => {
+    const value = row[name];
+    if (isNull(value)) {
+      nulls += 1;
+    } else {
+      present.push(value);
+    }
+  });
+  const type = inferType(present);
+  const column = { name, type, count: present.length, nulls, ...categoryStats(present) };
+  if (type === 'number') {
+    Object.assign(column, numericStats(present.map(asNumber).filter(v => v !== null)));
+    delete column.top;
+  }
+  if (type === 'date') {
+    let min = Infinity;
+    let max = -Infinity;
+    present.forEach((value) => {
+      const date = asDate(value);
+      if (!date) return;
+      min = Math.min(min, date.getTime());
+      max = Math.max(max, date.getTime());
+    });
+    if (min <= max) {
+      column.dateRange = { min: new Date(min).toISOString(), max: new Date(max).toISOString() };
+    }
+  }
+  return column;
+}
+
+function pearson(rows, a, b) {
+  let n = 0;
+  let sumA = 0;
+  let sumB = 0;
+  let sumAA = 0;
+  let sumBB = 0;
+  let sumAB = 0;
+  rows.forEach((row) => {
+    const x = asNumber(row[a]);
+    const y = asNumber(row[b]);
+    if (x === null || y === null) return;
+    n += 1;
+    sumA += x;
+    sumB += y;
+    sumAA += x * x;
+    sumBB += y * y;
+    sumAB += x * y;
+  });
+  if (n < 3) return null;
+  const denom = Math.sqrt((n * sumAA - sumA * sumA) * (n * sumBB - sumB * sumB));
+  if (!denom) return null;
+  return { r: round((n * sumAB - sumA * sumB) / denom, 3), n };
+}
+
+function correlations(rows, columns) {
+  const numeric = columns.filter(c => c.type === 'number').slice(0, MAX_CORRELATION_COLUMNS).map(c => c.name);
+  const pairs = [];
+  for (let i = 0; i < numeric.length; i += 1) {
+    for (let j = i + 1; j < numeric.length; j += 1) {
+      const result = pearson(rows, numeric[i], numeric[j]);
+      if (result) pairs.push({ a: numeric[i], b: numeric[j], ...result });
+    }
+  }
+  return pairs.sort((x, y) => Math.abs(y.r) - Math.abs(x.r)).slice(0, TOP_CORRELATIONS);
+}
+
+function profileTable(name, columnNames, rows) {
+  const columns = columnNames.map(col => profileColumn(col, rows));
+  return {
+    name,
+    rowCount: rows.length,
+    columnCount: columnNames.length,
+    columns,
+    correlations: correlations(rows, columns)
+  };
+}
+
+function formatValue(value) {
+  if (typeof value === 'number') return String(value);
+  return String(value).length > 40 ? `${String(value).slice(0, 37)}...` : String(value);
+}
+
+// Compact text form of a profile for the model prompt.
+function formatProfile(sheets) {
+  const lines = [];
+  sheets.forEach((sheet) => {
+    lines.push(`Sheet "${sheet.name}": ${sheet.rowCount} rows x ${sheet.columnCount} columns (statistics cover every row)`);
+    sheet.columns.forEach((col) => {
+      let detail = `- ${col.name} [${col.type}] non-null=${col.count} nulls=${col.nulls} distinct=${col.distinct}${col.distinctCapped ? '+' : ''}`;
+      if (col.type === 'number') {
+        detail += ` min=${col.min} max=${col.max} mean=${col.mean} median=${col.median} stddev=${col.stddev}`;
+      }
+      if (col.dateRange) {
+        detail += ` range=${col.dateRange.min.slice(0, 10)}..${col.dateRange.max.slice(0, 10)}`;
+      }
+      if (col.top && col.top.length) {
+        detail += ` top=${col.top.map(t => `${formatValue(t.value)} (${t.count})`).join(', ')}`;
+      }
+      lines.push(detail);
+    });
+    if (sheet.correlations.length) {
+      lines.push(`Strongest correlations: ${sheet.correlations.map(c => `${c.a}~${c.b} r=${c.r}`).join('; ')}`);
+    }
+    lines.push('');
+  });
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  profileTable,
+  formatProfile
+};
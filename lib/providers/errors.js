@@ -0,0 +1,63 @@
+class ProviderError extends Error {
+  constructor(message, status, details, retryAfterMs) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status || 502;
+    this.details = details || null;
+    this.retryAfterMs = retryAfterMs || null;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+async function errorFromResponse(response) {
+  const details = await response.json().catch(() => null);
+  return new ProviderError('Bot request failed', response.status, details, parseRetryAfter(response.headers.get('retry-after')));
+}
+
+function isRetryable(err) {
+  return err instanceof ProviderError && (err.status === 408 || err.status === 429 || err.status >= 500) && err.status !== 501;
+}
+
+// Worth trying the next model or key after retries: the same failures plus
+// a rejected key or an unknown model. Bad requests would fail everywhere.
+function shouldFallBack(err) {
+  return isRetryable(err) || (err instanceof ProviderError && [401, 403, 404].includes(err.status));
+}
+
+// What the user sees. Upstream payloads are logged, never forwarded.
+function describeProviderError(err) {
+  if (err.status === 501) {
+    return { status: 501, error: 'This bot is not configured yet. Ask an administrator to set it up.' };
+  }
+  if (err.status === 429) {
+    const retryAfter = err.retryAfterMs ? Math.ceil(err.retryAfterMs / 1000) : null;
+    return { status: 429, retryAfter, error: 'The model is busy right now. Please try again in a minute.' };
+  }
+  if (err.status === 408 || err.status === 504) {
+    return { status: 504, error: 'The model took too long to answer. Please try again.' };
+  }
+  if (err.status === 401 || err.status === 403) {
+    return { status: 502, error: 'The bot could not sign in to its model provider. Ask an administrator to check its API key.' };
+  }
+  if (err.status === 400 || err.status === 413) {
+    return { status: 400, error: 'The model could not process this request. Try a shorter message or fewer attachments.' };
+  }
+  return { status: 502, error: 'The model service is having problems. Please try again shortly.' };
+}
+
+module.exports = {
+  ProviderError,
+  parseRetryAfter,
+  errorFromResponse,
+  isRetryable,
+  shouldFallBack,
+  describeProviderError
+};
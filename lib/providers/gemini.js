@@ -0,0 +1,117 @@
+const { readSseData } = require('./sse');
+const { errorFromResponse } = require('./errors');
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+function toGeminiParts(parts) {
+  return parts.map((part) => {
+    if (part.inlineImage) {
+      return {
+        inline_data: {
+          mime_type: part.inlineImage.mimeType,
+          data: part.inlineImage.data
+        }
+      };
+    }
+    return { text: part.text };
+  });
+}
+
+// Gemini takes an OpenAPI-style schema with upper-case types and an
+// explicit property order.
+function toGeminiSchema(schema) {
+  const out = { type: schema.type.toUpperCase() };
+  if (schema.description) out.description = schema.description;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.properties) {
+    out.properties = {};
+    Object.entries(schema.properties).forEach(([key, child]) => {
+      out.properties[key] = toGeminiSchema(child);
+    });
+    out.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) out.required = schema.required;
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (schema.minItems) out.minItems = schema.minItems;
+  return out;
+}
+
+function buildBody({ systemPrompt, contents, generationConfig, imageOutput, aspectRatio, responseSchema }) {
+  const config = { ...(generationConfig || {}) };
+  if (responseSchema) {
+    config.responseMimeType = 'application/json';
+    config.responseSchema = toGeminiSchema(responseSchema);
+  }
+  if (imageOutput) {
+    config.responseModalities = ['TEXT', 'IMAGE'];
+    if (aspectRatio) {
+      config.imageConfig = { aspectRatio };
+    }
+  }
+  return JSON.stringify({
+    systemInstruction: {
+      role: 'system',
+      parts: [{ text: systemPrompt }]
+    },
+    generationConfig: config,
+    contents: contents.map(turn => ({ role: turn.role, parts: toGeminiParts(turn.parts) }))
+  });
+}
+
+function collectParts(partsOut) {
+  const textParts = partsOut.filter(p => typeof p.text === 'string').map(p => p.text);
+  const text = textParts.join('\n\n').trim();
+  const imagePart = partsOut.find(p => p.inlineData || p.inline_data);
+  const inline = imagePart ? (imagePart.inlineData || imagePart.inline_data) : null;
+  const image = inline && inline.data ? `data:${inline.mimeType || inline.mime_type};base64,${inline.data}` : null;
+  return { text, image };
+}
+
+function readUsage(data) {
+  const meta = data && data.usageMetadata;
+  if (!meta) return null;
+  return {
+    promptTokens: meta.promptTokenCount || 0,
+    outputTokens: meta.candidatesTokenCount || 0,
+    totalTokens: meta.totalTokenCount || 0
+  };
+}
+
+async function post(url, key, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': key
+    },
+    body,
+    signal
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  return response;
+}
+
+async function generate(request) {
+  const response = await post(`${BASE_URL}/models/${request.model}:generateContent`, request.key, buildBody(request), request.signal);
+  const data = await response.json();
+  const { text, image } = collectParts(data?.candidates?.[0]?.content?.parts || []);
+  return { text, image, usage: readUsage(data), raw: data };
+}
+
+async function* stream(request) {
+  const response = await post(`${BASE_URL}/models/${request.model}:streamGenerateContent?alt=sse`, request.key, buildBody(request), request.signal);
+  for await (const chunk of readSseData(response.body)) {
+    const partsOut = chunk?.candidates?.[0]?.content?.parts || [];
+    const text = partsOut.filter(p => typeof p.text === 'string').map(p => p.text).join('');
+    yield { text, image: collectParts(partsOut).image, usage: readUsage(chunk) };
+  }
+}
+
+module.exports = {
+  name: 'gemini',
+  requiresKey: true,
+  generate,
+  stream
+};
@@ -0,0 +1,54 @@
+const gemini = require('./gemini');
+const openai = require('./openai');
+const mock = require('./mock');
+const { ProviderError, describeProviderError } = require('./errors');
+const { createResilientProvider } = require('./resilient');
+
+const providers = { gemini, openai, mock };
+
+function describeTarget(providerName, model, key, baseUrl) {
+  const provider = providers[providerName] || null;
+  const configured = !!(provider && model && (key || !provider.requiresKey));
+  return { provider, providerName, model, key, baseUrl, configured };
+}
+
+// Environment variables win over the registry entry so deployments can
+// swap models without editing data/bots.json. Fallbacks name the variable
+// that holds their key so secrets stay out of the registry; without one
+// they reuse the primary key when the provider is the same.
+function resolveBotConfig(bot) {
+  const prefix = `BOT_${bot.id.toUpperCase().replace(/-/g, '_')}`;
+  const providerName = (process.env[`${prefix}_PROVIDER`] || bot.provider || process.env.MODEL_PROVIDER || 'gemini').toLowerCase();
+  const model = process.env[`${prefix}_MODEL`] || bot.model || (providers[providerName] === mock ? 'mock' : '');
+  const key = process.env[`${prefix}_KEY`] || '';
+  const baseUrl = process.env[`${prefix}_BASE_URL`] || '';
+  const primary = describeTarget(providerName, model, key, baseUrl);
+  const fallbacks = (bot.fallbacks || []).map((entry) => {
+    const name = (entry.provider || providerName).toLowerCase();
+    const sameProvider = name === providerName;
+    return describeTarget(
+      name,
+      entry.model,
+      entry.keyEnv ? process.env[entry.keyEnv] || '' : (sameProvider ? key : ''),
+      entry.baseUrl || (sameProvider ? baseUrl : '')
+    );
+  });
+  const chain = [primary, ...fallbacks].filter(target => target.configured);
+  return {
+    provider: chain.length ? createResilientProvider(chain) : null,
+    providerName,
+    model,
+    key,
+    baseUrl,
+    configured: chain.length > 0,
+    chain,
+    unconfigured: [primary, ...fallbacks].filter(target => !target.configured)
+  };
+}
+
+module.exports = {
+  providers,
+  resolveBotConfig,
+  ProviderError,
+  describeProviderError
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+let fixtures = null;
+
+function loadFixtures() {
+  if (!fixtures) {
+    fixtures = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'mock.json'), 'utf8'));
+  }
+  return fixtures;
+}
+
+function lastUserText(contents) {
+  const last = [...contents].reverse().find(turn => turn.role === 'user');
+  if (!last) return '';
+  const first = last.parts.find(part => typeof part.text === 'string');
+  return first ? first.text.trim() : '';
+}
+
+function respond(request) {
+  const all = loadFixtures();
+  const fixture = (request.task && all[`${request.botId}.${request.task}`]) || all[request.botId] || all.default;
+  const input = lastUserText(request.contents).slice(0, 200) || 'No input provided.';
+  const text = request.responseSchema && fixture.structured
+    ? JSON.stringify(fixture.structured, null, 2).replace(/\{input\}/g, JSON.stringify(input).slice(1, -1))
+    : fixture.text.replace(/\{input\}/g, input);
+  let image = null;
+  if (fixture.image && request.imageOutput) {
+    const data = fs.readFileSync(path.join(fixturesDir, fixture.image)).toString('base64');
+    image = `data:image/png;base64,${data}`;
+  }
+  const promptChars = request.systemPrompt.length + request.contents
+    .reduce((sum, turn) => sum + turn.parts.reduce((n, part) => n + (part.text || '').length, 0), 0);
+  const usage = {
+    promptTokens: Math.ceil(promptChars / 4),
+    outputTokens: Math.ceil(text.length / 4),
+    totalTokens: Math.ceil(promptChars / 4) + Math.ceil(text.length / 4)
+  };
+  return { text, image, usage };
+}
+
+async function generate(request) {
+  const { text, image, usage } = respond(request);
+  return { text, image, usage, raw: { provider: 'mock', model: request.model } };
+}
+
+async function* stream(request) {
+  const { text, image, usage } = respond(request);
+  const words = text.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += 4) {
+    if (request.signal && request.signal.aborted) return;
+    yield { text: words.slice(i, i + 4).join(''), image: null, usage: null };
+  }
+  yield { text: '', image, usage };
+}
+
+module.exports = {
+  name: 'mock',
+  requiresKey: false,
+  generate,
+  stream
+};
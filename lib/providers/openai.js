@@ -0,0 +1,94 @@
+const { readSseData } = require('./sse');
+const { ProviderError, errorFromResponse } = require('./errors');
+
+function toMessages({ systemPrompt, contents }) {
+  const messages = [{ role: 'system', content: systemPrompt }];
+  contents.forEach((turn) => {
+    const role = turn.role === 'model' ? 'assistant' : 'user';
+    const hasImage = turn.parts.some(part => part.inlineImage);
+    if (!hasImage) {
+      messages.push({ role, content: turn.parts.map(part => part.text).join('') });
+      return;
+    }
+    messages.push({
+      role,
+      content: turn.parts.map((part) => {
+        if (part.inlineImage) {
+          return {
+            type: 'image_url',
+            image_url: { url: `data:${part.inlineImage.mimeType};base64,${part.inlineImage.data}` }
+          };
+        }
+        return { type: 'text', text: part.text };
+      })
+    });
+  });
+  return messages;
+}
+
+function readUsage(data) {
+  const usage = data && data.usage;
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+}
+
+async function post(request, streaming) {
+  if (!request.baseUrl) {
+    throw new ProviderError('Bot API not configured', 501);
+  }
+  const body = {
+    ...(request.generationConfig || {}),
+    model: request.model,
+    messages: toMessages(request)
+  };
+  if (request.responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: request.responseSchema }
+    };
+  }
+  if (streaming) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  const response = await fetch(`${request.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${request.key}`
+    },
+    body: JSON.stringify(body),
+    signal: request.signal
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  return response;
+}
+
+async function generate(request) {
+  const response = await post(request, false);
+  const data = await response.json();
+  const message = data?.choices?.[0]?.message || {};
+  const text = typeof message.content === 'string' ? message.content.trim() : '';
+  return { text, image: null, usage: readUsage(data), raw: data };
+}
+
+async function* stream(request) {
+  const response = await post(request, true);
+  for await (const chunk of readSseData(response.body)) {
+    const delta = chunk?.choices?.[0]?.delta || {};
+    yield { text: typeof delta.content === 'string' ? delta.content : '', image: null, usage: readUsage(chunk) };
+  }
+}
+
+module.exports = {
+  name: 'openai',
+  requiresKey: true,
+  generate,
+  stream
+};
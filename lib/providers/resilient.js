@@ -0,0 +1,150 @@
+const { ProviderError, isRetryable, shouldFallBack } = require('./errors');
+
+const MAX_RETRIES = process.env.PROVIDER_MAX_RETRIES !== undefined ? Number(process.env.PROVIDER_MAX_RETRIES) : 2;
+const TIMEOUT_MS = Number(process.env.PROVIDER_TIMEOUT_MS) || 60 * 1000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  if (signal && signal.aborted) return resolve();
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Exponential backoff with full jitter. A Retry-After longer than we are
+// willing to wait returns null so the caller moves on to the next target.
+function retryDelay(attempt, err, random = Math.random) {
+  if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+    return err.retryAfterMs <= MAX_DELAY_MS ? err.retryAfterMs : null;
+  }
+  return Math.round(random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt));
+}
+
+// One attempt gets its own abort signal so a timeout cancels only that
+// attempt; aborting the parent (the user pressed Stop) cancels everything.
+function attemptSignal(parent) {
+  const controller = new AbortController();
+  const state = { timedOut: false };
+  const onAbort = () => controller.abort();
+  if (parent) {
+    if (parent.aborted) controller.abort();
+    else parent.addEventListener('abort', onAbort, { once: true });
+  }
+  let timer = null;
+  const startTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      state.timedOut = true;
+      controller.abort();
+    }, TIMEOUT_MS);
+  };
+  startTimer();
+  state.signal = controller.signal;
+  state.startTimer = startTimer;
+  state.stopTimer = () => clearTimeout(timer);
+  state.release = () => {
+    clearTimeout(timer);
+    if (parent) parent.removeEventListener('abort', onAbort);
+  };
+  return state;
+}
+
+function normalizeError(err, attempt) {
+  if (attempt.timedOut) {
+    return new ProviderError(`Timed out after ${TIMEOUT_MS} ms`, 504);
+  }
+  if (err instanceof ProviderError) return err;
+  // fetch rejects with a TypeError for DNS, TLS and connection failures.
+  return new ProviderError(`Network error: ${err.message}`, 502);
+}
+
+function logFailure(target, err, willRetry) {
+  const details = err.details ? ` ${JSON.stringify(err.details).slice(0, 500)}` : '';
+  console.warn(`Provider ${target.providerName} (${target.model}) failed: ${err.status} ${err.message}${willRetry ? ', retrying' : ''}${details}`);
+}
+
+// Runs `call` against each configured target in order, retrying the
+// transient failures of each before falling back to the next one.
+async function runChain(chain, request, call) {
+  let lastError = null;
+  for (const target of chain) {
+    const targetRequest = { ...request, model: target.model, key: target.key, baseUrl: target.baseUrl };
+    for (let retry = 0; ; retry += 1) {
+      if (request.signal && request.signal.aborted) throw lastError || new ProviderError('Aborted', 499);
+      const attempt = attemptSignal(request.signal);
+      try {
+        return await call(target, { ...targetRequest, signal: attempt.signal }, attempt);
+      } catch (raw) {
+        attempt.release();
+        if (request.signal && request.signal.aborted) throw raw;
+        const err = normalizeError(raw, attempt);
+        lastError = err;
+        const delay = retry < MAX_RETRIES && isRetryable(err) ? retryDelay(retry, err) : null;
+        logFailure(target, err, delay !== null);
+        if (delay === null) {
+          if (!shouldFallBack(err)) throw err;
+          break;
+        }
+        await sleep(delay, request.signal);
+      }
+    }
+  }
+  throw lastError || new ProviderError('Bot API not configured', 501);
+}
+
+// Presents a fallback chain as a single provider. Results carry the model
+// that actually answered.
+function createResilientProvider(chain) {
+  return {
+    name: chain.map(target => target.providerName).join('+'),
+    generate(request) {
+      return runChain(chain, request, async (target, attemptRequest, attempt) => {
+        const result = await target.provider.generate(attemptRequest);
+        attempt.release();
+        return { ...result, model: target.model };
+      });
+    },
+    // Retries and fallbacks only happen before the first piece arrives;
+    // after that the reply is already on its way to the user. From then on
+    // the timeout restarts for every piece, so a stream that stalls midway
+    // fails instead of hanging.
+    async* stream(request) {
+      const opened = await runChain(chain, request, async (target, attemptRequest, attempt) => {
+        const pieces = target.provider.stream(attemptRequest);
+        const first = await pieces.next();
+        attempt.stopTimer();
+        return { pieces, first, attempt, model: target.model };
+      });
+      const { attempt } = opened;
+      const stalled = () => new ProviderError(`No data for ${TIMEOUT_MS} ms`, 504);
+      try {
+        for (let step = opened.first; !step.done;) {
+          yield { ...step.value, model: opened.model };
+          attempt.startTimer();
+          try {
+            step = await opened.pieces.next();
+          } catch (err) {
+            throw attempt.timedOut ? stalled() : err;
+          }
+          attempt.stopTimer();
+          // Some providers end quietly on abort rather than throwing.
+          if (attempt.timedOut) throw stalled();
+        }
+      } finally {
+        opened.attempt.release();
+      }
+    }
+  };
+}
+
+module.exports = {
+  retryDelay,
+  createResilientProvider
+};
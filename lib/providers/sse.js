@@ -0,0 +1,22 @@
+async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+    let idx = buffer.indexOf('\n\n');
+    while (idx !== -1) {
+      const block = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      const data = block.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+      if (data && data !== '[DONE]') {
+        yield JSON.parse(data);
+      }
+      idx = buffer.indexOf('\n\n');
+    }
+  }
+}
+
+module.exports = { readSseData };
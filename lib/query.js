@@ -0,0 +1,596 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const fileStore = require('./files');
+const { formatProfile } = require('./profile');
+const { mergeUsage } = require('./papers');
+
+const AGGREGATES = ['count', 'count_distinct', 'sum', 'mean', 'median', 'min', 'max'];
+const OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'in', 'not in', 'contains', 'between', 'is null', 'not null'];
+const DATASET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_DERIVED = 10;
+const MAX_FILTERS = 20;
+const MAX_GROUP_BY = 5;
+const MAX_AGGREGATES = 10;
+const MAX_SORT = 5;
+const MAX_EXPRESSION_CHARS = 300;
+const MAX_DEPTH = 20;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const PROMPT_ROWS = 100;
+const MAX_ATTEMPTS = 2;
+const TIME_LIMIT_MS = Number(process.env.QUERY_TIME_LIMIT_MS) || 5000;
+const QUERY_BLOCK = /```query\s*([\s\S]*?)```/g;
+
+const QUERY_INSTRUCTIONS = [
+  'You translate questions about an attached dataset into a query plan that the application runs over every row.',
+  'Reply with exactly one fenced code block tagged query containing JSON of the form',
+  '{"table":"<sheet>","derive":[{"name":"<new column>","expr":"<expression>"}],"filter":[{"column":"<column>","op":"=","value":"..."}],',
+  '"groupBy":["<column>"],"aggregates":[{"fn":"count|count_distinct|sum|mean|median|min|max","column":"<column>","as":"<name>"}],',
+  '"having":[<filters on groupBy or aggregate names>],"select":["<column>"],"sort":[{"column":"<column>","direction":"asc|desc"}],"limit":50}.',
+  'Every key is optional. Filter ops are =, !=, >, >=, <, <=, in, not in, contains, between, is null and not null; in, not in and between take an array.',
+  'Expressions use column names (in backticks when they contain spaces), numbers, strings in single quotes, + - * / % and the functions',
+  'year, month, quarter, day, date, lower, upper, trim, length, round, abs, floor, ceil, coalesce and concat.',
+  'Use only the columns in the dataset profile. If answering needs no computation over the rows, reply without a code block.'
+].join(' ');
+
+const NARRATION_INSTRUCTIONS = 'The query result in this message was computed by the application from every row of the dataset. '
+  + 'Base all figures on it, quote them exactly and do not estimate. If the query failed, say so instead of guessing.';
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+function isNull(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'number') return Number.isNaN(value);
+  if (value instanceof Date) return Number.isNaN(value.getTime());
+  return String(value).trim() === '';
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isNull(value) || value instanceof Date || typeof value === 'boolean') return null;
+  const text = String(value).replace(/,/g, '').trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?%?$/.test(text)) return null;
+  return Number(text.replace(/%$/, ''));
+}
+
+function toDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (isNull(value)) return null;
+  const text = String(value).trim();
+  if (!/^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}\/\d{2,4})/.test(text)) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Dates become ISO strings so they compare, group and serialise like text.
+function plain(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return isNull(value) ? null : value;
+}
+
+function compareValues(a, b) {
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) return na - nb;
+  return String(plain(a)).localeCompare(String(plain(b)));
+}
+
+function sameValue(a, b) {
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) return na === nb;
+  return String(plain(a)).trim().toLowerCase() === String(plain(b)).trim().toLowerCase();
+}
+
+function cell(row, column) {
+  return Object.prototype.hasOwnProperty.call(row, column) ? row[column] : null;
+}
+
+function datePart(part) {
+  return (value) => {
+    const date = toDate(value);
+    return date ? part(date) : null;
+  };
+}
+
+function numeric(fn) {
+  return (...args) => {
+    const numbers = args.map(toNumber);
+    return numbers[0] === null ? null : fn(...numbers);
+  };
+}
+
+// The only functions an expression can call, with their [min, max] arity.
+const FUNCTIONS = {
+  year: [1, 1, datePart(d => d.getUTCFullYear())],
+  month: [1, 1, datePart(d => d.getUTCMonth() + 1)],
+  quarter: [1, 1, datePart(d => Math.floor(d.getUTCMonth() / 3) + 1)],
+  day: [1, 1, datePart(d => d.getUTCDate())],
+  date: [1, 1, datePart(d => d.toISOString().slice(0, 10))],
+  lower: [1, 1, v => (isNull(v) ? null : String(plain(v)).toLowerCase())],
+  upper: [1, 1, v => (isNull(v) ? null : String(plain(v)).toUpperCase())],
+  trim: [1, 1, v => (isNull(v) ? null : String(plain(v)).trim())],
+  length: [1, 1, v => (isNull(v) ? null : String(plain(v)).length)],
+  round: [1, 2, numeric((n, digits) => round(n, Math.max(0, Math.min(10, digits || 0))))],
+  abs: [1, 1, numeric(Math.abs)],
+  floor: [1, 1, numeric(Math.floor)],
+  ceil: [1, 1, numeric(Math.ceil)],
+  coalesce: [1, 10, (...args) => {
+    const found = args.find(v => !isNull(v));
+    return found === undefined ? null : found;
+  }],
+  concat: [1, 10, (...args) => args.map(v => (isNull(v) ? '' : String(plain(v)))).join('')]
+};
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b),
+  '%': (a, b) => (b === 0 ? null : a % b)
+};
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|'((?:[^'\\]|\\.)*)'|`([^`]+)`|"([^"]+)"|([A-Za-z_]\w*)|([-+*/%(),]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    if (!source.slice(TOKEN.lastIndex).trim()) break;
+    const at = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw new QueryError(`Unexpected character "${source.slice(at).trim()[0]}" in expression "${source}"`);
+    const [, number, string, backtick, quoted, word, symbol] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+    else if (string !== undefined) tokens.push({ type: 'string', value: string.replace(/\\(.)/g, '$1') });
+    else if (backtick !== undefined || quoted !== undefined) tokens.push({ type: 'column', value: backtick !== undefined ? backtick : quoted });
+    else if (word !== undefined) tokens.push({ type: 'word', value: word });
+    else tokens.push({ type: 'symbol', value: symbol });
+  }
+  return tokens;
+}
+
+// Recursive descent over + - * / % with unary minus, parentheses, column
+// names and whitelisted function calls. Builds closures; nothing is eval'd.
+function compileExpression(source, columns) {
+  const text = String(source || '');
+  if (!text.trim()) throw new QueryError('An expression is empty');
+  if (text.length > MAX_EXPRESSION_CHARS) throw new QueryError(`Expressions are limited to ${MAX_EXPRESSION_CHARS} characters`);
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) throw new QueryError(`Expected "${value}" in expression "${text}"`);
+    pos += 1;
+  };
+  const columnRef = (name) => {
+    if (!columns.includes(name)) throw new QueryError(`Unknown column "${name}" in expression "${text}"`);
+    return row => cell(row, name);
+  };
+
+  let parseSum;
+  const parsePrimary = (depth) => {
+    if (depth > MAX_DEPTH) throw new QueryError('The expression is nested too deeply');
+    const token = peek();
+    if (!token) throw new QueryError(`Expression "${text}" ends too early`);
+    pos += 1;
+    if (token.type === 'number' || token.type === 'string') return () => token.value;
+    if (token.type === 'column') return columnRef(token.value);
+    if (token.type === 'symbol' && token.value === '(') {
+      const inner = parseSum(depth + 1);
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'symbol' && token.value === '-') {
+      const inner = parsePrimary(depth + 1);
+      return (row) => {
+        const n = toNumber(inner(row));
+        return n === null ? null : -n;
+      };
+    }
+    if (token.type === 'word') {
+      if (!isSymbol('(')) return columnRef(token.value);
+      const name = token.value.toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) throw new QueryError(`Unknown function "${token.value}"`);
+      pos += 1;
+      const args = [];
+      if (!isSymbol(')')) {
+        args.push(parseSum(depth + 1));
+        while (isSymbol(',')) {
+          pos += 1;
+          args.push(parseSum(depth + 1));
+        }
+      }
+      expect(')');
+      const [min, max, fn] = FUNCTIONS[name];
+      if (args.length < min || args.length > max) throw new QueryError(`${name}() takes ${min === max ? min : `${min} to ${max}`} argument(s)`);
+      return row => fn(...args.map(arg => arg(row)));
+    }
+    throw new QueryError(`Unexpected "${token.value}" in expression "${text}"`);
+  };
+  const parseBinary = (ops, next) => (depth) => {
+    let left = next(depth);
+    while (peek() && peek().type === 'symbol' && ops.includes(peek().value)) {
+      const op = BINARY[peek().value];
+      pos += 1;
+      const lhs = left;
+      const rhs = next(depth);
+      left = (row) => {
+        const a = toNumber(lhs(row));
+        const b = toNumber(rhs(row));
+        return a === null || b === null ? null : op(a, b);
+      };
+    }
+    return left;
+  };
+  const parseProduct = parseBinary(['*', '/', '%'], parsePrimary);
+  parseSum = parseBinary(['+', '-'], parseProduct);
+
+  const compiled = parseSum(0);
+  if (pos < tokens.length) throw new QueryError(`Unexpected "${tokens[pos].value}" in expression "${text}"`);
+  return compiled;
+}
+
+function compileFilter(filter, columns, at) {
+  if (!filter || typeof filter !== 'object') throw new QueryError(`${at} must be an object`);
+  const column = String(filter.column || '');
+  if (!columns.includes(column)) throw new QueryError(`${at} uses unknown column "${column}"`);
+  const op = String(filter.op || '=').toLowerCase();
+  if (!OPERATORS.includes(op)) throw new QueryError(`${at} has unknown op "${filter.op}"; use one of ${OPERATORS.join(', ')}`);
+  const { value } = filter;
+  const listOp = ['in', 'not in', 'between'].includes(op);
+  if (listOp && !Array.isArray(value)) throw new QueryError(`${at}: ${op} needs an array value`);
+  if (op === 'between' && value.length !== 2) throw new QueryError(`${at}: between needs [low, high]`);
+  if (!listOp && !['is null', 'not null'].includes(op) && (value === undefined || value === null || typeof value === 'object')) {
+    throw new QueryError(`${at}: ${op} needs a single value`);
+  }
+  const get = row => cell(row, column);
+  const tests = {
+    '=': v => !isNull(v) && sameValue(v, value),
+    '!=': v => isNull(v) || !sameValue(v, value),
+    '>': v => !isNull(v) && compareValues(v, value) > 0,
+    '>=': v => !isNull(v) && compareValues(v, value) >= 0,
+    '<': v => !isNull(v) && compareValues(v, value) < 0,
+    '<=': v => !isNull(v) && compareValues(v, value) <= 0,
+    in: v => !isNull(v) && value.some(item => sameValue(v, item)),
+    'not in': v => isNull(v) || !value.some(item => sameValue(v, item)),
+    contains: v => !isNull(v) && String(plain(v)).toLowerCase().includes(String(value).toLowerCase()),
+    between: v => !isNull(v) && compareValues(v, value[0]) >= 0 && compareValues(v, value[1]) <= 0,
+    'is null': v => isNull(v),
+    'not null': v => !isNull(v)
+  };
+  const test = tests[op];
+  return { plan: { column, op, value: ['is null', 'not null'].includes(op) ? undefined : value }, test: row => test(get(row)) };
+}
+
+function listOf(value, name, max) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length > max) throw new QueryError(`${name} allows at most ${max} entries`);
+  return list;
+}
+
+function pickTable(name, tables) {
+  const usable = tables.filter(t => t.rows.length);
+  if (!usable.length) throw new QueryError('The dataset has no rows');
+  if (!name) return usable[0];
+  const wanted = String(name).toLowerCase();
+  const table = usable.find(t => t.name.toLowerCase() === wanted);
+  if (!table) throw new QueryError(`Unknown table "${name}"; tables: ${usable.map(t => t.name).join(', ')}`);
+  return table;
+}
+
+// Checks the model's plan against the dataset and turns it into closures.
+// Throws QueryError with a message the model can act on.
+function compilePlan(raw, tables) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new QueryError('The query plan must be a JSON object');
+  const table = pickTable(raw.table, tables);
+  const columns = [...table.columns];
+
+  const derive = listOf(raw.derive, 'derive', MAX_DERIVED).map((item, i) => {
+    const name = String((item && item.name) || '').trim().slice(0, 60);
+    if (!name) throw new QueryError(`derive[${i}] needs a name`);
+    if (columns.includes(name)) throw new QueryError(`derive[${i}] name "${name}" is already a column`);
+    const fn = compileExpression(item.expr, columns);
+    columns.push(name);
+    return { plan: { name, expr: String(item.expr) }, fn };
+  });
+  const filter = listOf(raw.filter, 'filter', MAX_FILTERS).map((item, i) => compileFilter(item, columns, `filter[${i}]`));
+
+  const groupBy = listOf(raw.groupBy, 'groupBy', MAX_GROUP_BY).map(String);
+  groupBy.forEach((column) => {
+    if (!columns.includes(column)) throw new QueryError(`groupBy uses unknown column "${column}"`);
+  });
+  const aggregates = listOf(raw.aggregates, 'aggregates', MAX_AGGREGATES).map((item, i) => {
+    const fn = String((item && item.fn) || '').toLowerCase().replace(/^avg$|^average$/, 'mean');
+    if (!AGGREGATES.includes(fn)) throw new QueryError(`aggregates[${i}] has unknown fn "${item && item.fn}"; use one of ${AGGREGATES.join(', ')}`);
+    const column = item.column ? String(item.column) : null;
+    if (column && !columns.includes(column)) throw new QueryError(`aggregates[${i}] uses unknown column "${column}"`);
+    if (!column && fn !== 'count') throw new QueryError(`aggregates[${i}]: ${fn} needs a column`);
+    return { fn, column, as: String(item.as || (column ? `${fn}_${column}` : 'count')).slice(0, 60) };
+  });
+  const grouped = groupBy.length > 0 || aggregates.length > 0;
+  if (grouped && !aggregates.length) aggregates.push({ fn: 'count', column: null, as: 'count' });
+
+  let output = grouped ? [...groupBy, ...aggregates.map(a => a.as)] : columns;
+  if (new Set(output).size !== output.length) throw new QueryError('Output column names must be unique');
+  const select = listOf(raw.select, 'select', 50).map(String);
+  select.forEach((column) => {
+    if (!output.includes(column)) throw new QueryError(`select uses unknown column "${column}"`);
+  });
+  const sortable = output;
+  if (select.length) output = select;
+
+  const having = listOf(raw.having, 'having', MAX_FILTERS).map((item, i) => {
+    if (!grouped) throw new QueryError('having needs groupBy or aggregates');
+    return compileFilter(item, sortable, `having[${i}]`);
+  });
+  const sort = listOf(raw.sort, 'sort', MAX_SORT).map((item, i) => {
+    const column = String((item && (item.column || item.by)) || '');
+    if (!sortable.includes(column)) throw new QueryError(`sort[${i}] uses unknown column "${column}"`);
+    const direction = String(item.direction || (item.desc ? 'desc' : 'asc')).toLowerCase() === 'desc' ? 'desc' : 'asc';
+    return { column, direction };
+  });
+  const limit = raw.limit === undefined || raw.limit === null ? DEFAULT_LIMIT : Number(raw.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new QueryError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+
+  const plan = {
+    table: table.name,
+    derive: derive.map(d => d.plan),
+    filter: filter.map(f => f.plan),
+    groupBy,
+    aggregates,
+    having: having.map(h => h.plan),
+    select,
+    sort,
+    limit
+  };
+  Object.keys(plan).forEach((key) => {
+    if (Array.isArray(plan[key]) && !plan[key].length) delete plan[key];
+  });
+  return { plan, table, derive, filter, grouped, groupBy, aggregates, having, output, sort, limit };
+}
+
+function aggregate(fn, values) {
+  if (fn === 'count') return values.length;
+  if (fn === 'count_distinct') return new Set(values.map(v => String(plain(v)).trim().toLowerCase())).size;
+  const numbers = values.map(toNumber).filter(n => n !== null);
+  if (fn === 'sum') return numbers.reduce((a, b) => a + b, 0);
+  if (fn === 'mean') return numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+  if (fn === 'median') {
+    if (!numbers.length) return null;
+    const sorted = Float64Array.from(numbers).sort();
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+  // min and max fall back to text order for dates and labels.
+  const pool = numbers.length ? numbers : values;
+  if (!pool.length) return null;
+  const sign = fn === 'min' ? 1 : -1;
+  return pool.reduce((best, v) => (compareValues(v, best) * sign < 0 ? v : best));
+}
+
+function sortRows(rows, sort) {
+  if (!sort.length) return rows;
+  return rows.sort((a, b) => {
+    for (const { column, direction } of sort) {
+      const va = a[column];
+      const vb = b[column];
+      if (isNull(va) !== isNull(vb)) return isNull(va) ? 1 : -1;
+      const diff = isNull(va) ? 0 : compareValues(va, vb);
+      if (diff) return direction === 'desc' ? -diff : diff;
+    }
+    return 0;
+  });
+}
+
+function outputValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? round(value) : null;
+  const out = plain(value);
+  return out === undefined ? null : out;
+}
+
+function execute(compiled, now = Date.now) {
+  const { table, derive, filter, grouped, groupBy, aggregates, having, output, sort, limit } = compiled;
+  const deadline = now() + TIME_LIMIT_MS;
+  const matched = [];
+  const groups = new Map();
+  table.rows.forEach((source, i) => {
+    if (i % 1000 === 0 && now() > deadline) throw new QueryError('The query took too long; narrow it down with filters');
+    let row = source;
+    if (derive.length) {
+      row = Object.assign(Object.create(null), source);
+      derive.forEach(({ plan, fn }) => {
+        row[plan.name] = fn(row);
+      });
+    }
+    if (!filter.every(f => f.test(row))) return;
+    if (!grouped) {
+      matched.push(row);
+      return;
+    }
+    const keyValues = groupBy.map(column => plain(cell(row, column)));
+    const key = JSON.stringify(keyValues);
+    if (!groups.has(key)) groups.set(key, { keyValues, values: aggregates.map(() => []) });
+    const group = groups.get(key);
+    aggregates.forEach((agg, j) => {
+      if (!agg.column) {
+        group.values[j].push(1);
+        return;
+      }
+      const value = cell(row, agg.column);
+      if (!isNull(value)) group.values[j].push(value);
+    });
+  });
+
+  let rows = matched;
+  if (grouped) {
+    rows = Array.from(groups.values()).map((group) => {
+      const out = Object.create(null);
+      groupBy.forEach((column, j) => {
+        out[column] = group.keyValues[j];
+      });
+      aggregates.forEach((agg, j) => {
+        out[agg.as] = aggregate(agg.fn, group.values[j]);
+      });
+      return out;
+    });
+    // An aggregate over no matching rows still answers with one row.
+    if (!groupBy.length && !rows.length) {
+      const out = Object.create(null);
+      aggregates.forEach((agg) => {
+        out[agg.as] = aggregate(agg.fn, []);
+      });
+      rows.push(out);
+    }
+    rows = rows.filter(row => having.every(h => h.test(row)));
+  }
+  sortRows(rows, sort);
+  return {
+    table: table.name,
+    columns: output,
+    rows: rows.slice(0, limit).map(row => output.map(column => outputValue(cell(row, column)))),
+    rowCount: rows.length,
+    truncated: rows.length > limit,
+    scannedRows: table.rows.length
+  };
+}
+
+// Runs a plan from the model over the full parsed rows. Returns
+// { plan, result } or { plan, error }; the engine only reads the rows it is
+// given and can only call the functions listed above.
+function runQuery(raw, tables) {
+  try {
+    const compiled = compilePlan(raw, tables);
+    return { plan: compiled.plan, result: execute(compiled), error: null };
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    return { plan: raw, result: null, error: err.message };
+  }
+}
+
+// Pulls the last ```query block out of the model's reply.
+function extractQueryPlan(text) {
+  let match;
+  let last = null;
+  QUERY_BLOCK.lastIndex = 0;
+  while ((match = QUERY_BLOCK.exec(text || '')) !== null) {
+    last = match[1];
+  }
+  if (last === null) return { found: false };
+  try {
+    return { found: true, plan: JSON.parse(last) };
+  } catch (err) {
+    return { found: true, error: 'The query block is not valid JSON' };
+  }
+}
+
+function markdownCell(value) {
+  return value === null ? '' : String(value).replace(/\|/g, '\\|').replace(/\s*\n+\s*/g, ' ');
+}
+
+// The plan and result as the narration prompt sees them.
+function formatQuery(query, maxRows = PROMPT_ROWS) {
+  const lines = ['[Query plan]', JSON.stringify(query.plan)];
+  if (query.error) {
+    lines.push('', `[Query failed] ${query.error}`);
+    return lines.join('\n');
+  }
+  const { result } = query;
+  const shown = result.rows.slice(0, maxRows);
+  lines.push('', `[Query result] ${result.rowCount} row(s) from "${result.table}", computed over all ${result.scannedRows} rows${result.rowCount > shown.length ? `; first ${shown.length} shown` : ''}`);
+  lines.push(`| ${result.columns.map(markdownCell).join(' | ')} |`);
+  lines.push(`|${result.columns.map(() => '---').join('|')}|`);
+  shown.forEach(row => lines.push(`| ${row.map(markdownCell).join(' | ')} |`));
+  return lines.join('\n');
+}
+
+// Asks the model for a plan and runs it, feeding a failed plan's error back
+// once. `query` is null when the model decided no computation is needed.
+async function planQuery({ provider, request, question, dataset, signal }) {
+  const prompt = {
+    role: 'user',
+    parts: [{ text: `${question}\n\n[Dataset profile]\n${formatProfile(dataset.profile || [])}` }]
+  };
+  let contents = [...request.contents, prompt];
+  let usage = null;
+  let query = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    if (signal && signal.aborted) break;
+    const result = await provider.generate({
+      ...request,
+      task: 'query',
+      systemPrompt: QUERY_INSTRUCTIONS,
+      imageOutput: false,
+      contents,
+      signal
+    });
+    usage = mergeUsage(usage, result.usage);
+    const extracted = extractQueryPlan(result.text);
+    if (!extracted.found) return { query: null, usage };
+    query = extracted.error ? { plan: null, result: null, error: extracted.error } : runQuery(extracted.plan, dataset.tables);
+    if (!query.error) break;
+    contents = [
+      ...request.contents,
+      prompt,
+      { role: 'model', parts: [{ text: result.text || '(empty reply)' }] },
+      { role: 'user', parts: [{ text: `That query could not run: ${query.error}\nReply again with only the corrected query block.` }] }
+    ];
+  }
+  return { query, usage };
+}
+
+function isDatasetName(name) {
+  return DATASET_EXTENSIONS.includes(path.extname(String(name || '')).toLowerCase());
+}
+
+// Re-reads the newest CSV/XLSX stored with the conversation so follow-up
+// questions can query it without another upload. `extract` is the server's
+// file parser. Returns null once the file has expired or been deleted.
+async function loadConversationDataset(uid, conversationId, extract) {
+  const record = fileStore.listFiles(uid, { conversationId }).find(file => isDatasetName(file.name));
+  if (!record) return null;
+  const tempPath = path.join(os.tmpdir(), `dataset-${record.id}-${crypto.randomBytes(4).toString('hex')}`);
+  try {
+    await pipeline(await fileStore.openFile(record), fs.createWriteStream(tempPath));
+    const extracted = await extract({ path: tempPath, originalname: record.name, mimetype: record.mimeType, size: record.size });
+    const tables = (extracted.tables || []).filter(t => t.rows.length);
+    return tables.length ? { tables, profile: extracted.profile || [], file: record.name, fileId: record.id } : null;
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+module.exports = {
+  AGGREGATES,
+  OPERATORS,
+  QUERY_INSTRUCTIONS,
+  NARRATION_INSTRUCTIONS,
+  QueryError,
+  compileExpression,
+  compilePlan,
+  execute,
+  runQuery,
+  extractQueryPlan,
+  formatQuery,
+  planQuery,
+  isDatasetName,
+  loadConversationDataset
+};
@@ -0,0 +1,227 @@
+const { splitSections } = require('./papers');
+
+const MAX_ENTRIES = 300;
+const FORMATS = {
+  bibtex: { extension: 'bib', mimeType: 'application/x-bibtex; charset=utf-8' },
+  ris: { extension: 'ris', mimeType: 'application/x-research-info-systems; charset=utf-8' },
+  json: { extension: 'json', mimeType: 'application/json; charset=utf-8' }
+};
+
+const NUMBERED_MARKER = /^\s*(?:\[(\d{1,3})\]|\((\d{1,3})\)|(\d{1,3})\.)\s+/;
+// "Vaswani, A." or "van der Berg, J.-P." at the start of an author-year entry.
+const AUTHOR_START = /^(?:(?:van|von|de|der|den|da|di|le|la|del)\s+)*[\p{Lu}][\p{L}'’-]+(?:\s[\p{Lu}][\p{L}'’-]+)?,\s+(?:\p{Lu}\.|\p{Lu}[\p{Ll}])/u;
+// "Smith JK, Doe A": also passes AUTHOR_START, but the initials follow the
+// surname without a comma.
+const VANCOUVER_START = /^(?:[\p{Lu}][\p{L}'’-]+\s)+\p{Lu}{1,3}(?:,|$)/u;
+const SURNAME_INITIALS = /((?:(?:van|von|de|der|den|da|di|le|la|del)\s+)*[\p{Lu}][\p{L}'’-]+(?:\s[\p{Lu}][\p{L}'’-]+)?),\s+((?:\p{Lu}[\p{Ll}]*\.?[\s-]?)+)/gu;
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+)/i;
+// Not the digits of an arXiv id, page range or DOI.
+const YEAR_PATTERN = /(?<![\d:./-])(1[89]\d{2}|20\d{2})[a-z]?(?!\d|\.\d)/g;
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Joins the wrapped lines of one entry, undoing end-of-line hyphenation.
+function joinLines(lines) {
+  return cleanText(lines.reduce((out, line) => {
+    const next = line.trim();
+    if (!out) return next;
+    if (/[\p{Ll}]-$/u.test(out) && /^[\p{Ll}]/u.test(next)) return out.slice(0, -1) + next;
+    return `${out} ${next}`;
+  }, ''));
+}
+
+// The reference list is the last References/Bibliography section; papers
+// with an appendix after it still end the list at the next heading.
+function referenceSection(text) {
+  const sections = splitSections(text).filter(s => s.section === 'References');
+  return sections.length ? sections[sections.length - 1].text : '';
+}
+
+function splitEntries(block) {
+  const lines = block.split(/\r?\n/);
+  const numbered = lines.filter(line => NUMBERED_MARKER.test(line)).length >= 2;
+  const entries = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) entries.push(joinLines(current));
+    current = [];
+  };
+  lines.forEach((line) => {
+    if (!line.trim()) {
+      if (!numbered) flush();
+      return;
+    }
+    const startsEntry = numbered
+      ? NUMBERED_MARKER.test(line)
+      : AUTHOR_START.test(line.trim()) && (!current.length || !/(?:,|&|\band)\s*$/.test(current[current.length - 1]));
+    if (startsEntry) flush();
+    current.push(line);
+  });
+  flush();
+  return entries
+    .map(entry => entry.replace(NUMBERED_MARKER, ''))
+    .filter(entry => entry.length > 20 && /[\p{L}]{3}/u.test(entry));
+}
+
+function nameParts(raw) {
+  const name = cleanText(raw.replace(/^(?:and|&)\s+/i, '').replace(/[,;]+$/, ''));
+  if (!name || /^et\.? al\.?$/i.test(name)) return null;
+  if (name.includes(',')) {
+    const [family, ...given] = name.split(',');
+    return { family: family.trim(), given: given.join(',').trim() };
+  }
+  const tokens = name.split(' ');
+  // Vancouver style: "Vaswani A" or "Smith JK".
+  if (tokens.length > 1 && /^\p{Lu}{1,3}$/u.test(tokens[tokens.length - 1])) {
+    return { family: tokens.slice(0, -1).join(' '), given: tokens[tokens.length - 1].split('').join('. ') + '.' };
+  }
+  if (tokens.length === 1) return { family: tokens[0], given: '' };
+  return { family: tokens[tokens.length - 1], given: tokens.slice(0, -1).join(' ') };
+}
+
+function parseAuthors(text) {
+  const source = cleanText(text).replace(/,?\s*et al\.?/i, '');
+  // "Surname, A." lists use the comma inside each name, so they are
+  // matched pair by pair instead of split on commas.
+  const names = AUTHOR_START.test(source) && !VANCOUVER_START.test(source)
+    ? [...source.matchAll(SURNAME_INITIALS)].map(m => `${m[1]}, ${m[2].trim()}`)
+    : source.split(/\s*(?:;|,\s*(?:and|&)\s+|,|\s+and\s+|\s+&\s+)\s*/);
+  return names.map(nameParts).filter(Boolean).map(({ family, given }) => (given ? `${family}, ${given}` : family));
+}
+
+function findYear(text) {
+  const bracketed = text.match(/\((1[89]\d{2}|20\d{2})[a-z]?\)/);
+  if (bracketed) return bracketed[1];
+  const years = [...text.matchAll(YEAR_PATTERN)].map(m => m[1]);
+  return years.length ? years[years.length - 1] : null;
+}
+
+function trimVenue(text) {
+  return cleanText(String(text || '').trim()
+    .replace(/^in:?\s+/i, '')
+    .replace(DOI_PATTERN, '')
+    .replace(/\b(?:doi|https?):\S*/gi, '')
+    .replace(/[,.]?\s*\(?(?<![\d:./-])(1[89]\d{2}|20\d{2})[a-z]?\)?(?:[.,;:].*)?$/, '')
+    .replace(/[,(]?\s*(?:pp?\.|vol\.|no\.)\s.*$/i, '')
+    .replace(/[\s.,;:]+$/, ''));
+}
+
+// Handles the three shapes that cover most reference lists:
+//   APA/Harvard:  Surname, A., & Other, B. (2017). Title. Venue, 1(2), 3-4.
+//   IEEE:         A. Surname and B. Other, "Title," in Venue, 2017, pp. 1-2.
+//   Vancouver:    Surname A, Other B. Title. Venue. 2017;1(2):3-4.
+function parseEntry(raw) {
+  const doiMatch = raw.match(DOI_PATTERN);
+  const doi = doiMatch ? doiMatch[1].replace(/[.,;)\]]+$/, '') : null;
+  const year = findYear(raw);
+  let authors = '';
+  let title = '';
+  let venue = '';
+
+  const quoted = raw.match(/^(.*?)[,.]?\s*["“](.+?)[,.]?["”],?\s*(.*)$/);
+  const authorYear = raw.match(/^(.+?)\s*\((1[89]\d{2}|20\d{2})[a-z]?(?:, [^)]*)?\)\.?\s*(.*)$/);
+  if (quoted) {
+    [, authors, title, venue] = quoted;
+  } else if (authorYear) {
+    authors = authorYear[1];
+    const rest = authorYear[3];
+    const cut = rest.search(/[.?!]\s+(?=[\p{Lu}\d])/u);
+    title = cut === -1 ? rest : rest.slice(0, cut + 1);
+    venue = cut === -1 ? '' : rest.slice(cut + 1);
+  } else {
+    const parts = raw.split(/\.\s+(?=[\p{Lu}\d"“]|arXiv)/u);
+    [authors = '', title = '', ...venue] = parts;
+    venue = venue.join('. ');
+  }
+
+  return {
+    authors: parseAuthors(authors),
+    title: cleanText(title).replace(/[.,]+$/, ''),
+    venue: trimVenue(venue) || null,
+    year,
+    doi,
+    raw
+  };
+}
+
+function entryType(entry) {
+  const venue = entry.venue || '';
+  if (/\b(?:proc\.?|proceedings|conference|conf\.|workshop|symposium)\b/i.test(venue)) return 'inproceedings';
+  if (/\b(?:journal|trans\.|transactions|letters|review|magazine)\b/i.test(venue) || /\d+\s*\(\d+\)/.test(venue)) return 'article';
+  return 'misc';
+}
+
+function extractReferences(text) {
+  const block = referenceSection(text);
+  if (!block) return [];
+  return splitEntries(block).slice(0, MAX_ENTRIES).map(parseEntry).map(entry => ({ ...entry, type: entryType(entry) }));
+}
+
+// One list for all attached documents, each entry tagged with its source.
+function extractFromDocuments(documents) {
+  return documents.flatMap(doc => extractReferences(doc.text).map(entry => ({ ...entry, source: doc.name })));
+}
+
+function citationKeys(entries) {
+  const used = {};
+  return entries.map((entry) => {
+    const family = entry.authors.length ? entry.authors[0].split(',')[0] : 'anon';
+    const word = (entry.title.toLowerCase().match(/[a-z]{4,}/) || ['ref'])[0];
+    const base = `${family.normalize('NFD').replace(/[^A-Za-z]/g, '').toLowerCase() || 'anon'}${entry.year || ''}${word}`;
+    used[base] = (used[base] || 0) + 1;
+    return used[base] > 1 ? `${base}${String.fromCharCode(96 + used[base])}` : base;
+  });
+}
+
+function bibValue(value) {
+  return String(value).replace(/([&%$#_])/g, '\\$1').replace(/[{}]/g, '');
+}
+
+function toBibtex(entries) {
+  const keys = citationKeys(entries);
+  const venueField = { article: 'journal', inproceedings: 'booktitle', misc: 'howpublished' };
+  return entries.map((entry, i) => {
+    const fields = [
+      ['author', entry.authors.join(' and ')],
+      ['title', entry.title],
+      [venueField[entry.type], entry.venue],
+      ['year', entry.year],
+      ['doi', entry.doi]
+    ].filter(([, value]) => value);
+    if (!entry.title) fields.push(['note', entry.raw]);
+    return `@${entry.type}{${keys[i]},\n${fields.map(([key, value]) => `  ${key} = {${bibValue(value)}}`).join(',\n')}\n}`;
+  }).join('\n\n') + (entries.length ? '\n' : '');
+}
+
+function toRis(entries) {
+  const types = { article: 'JOUR', inproceedings: 'CONF', misc: 'GEN' };
+  return entries.map((entry) => {
+    const lines = [`TY  - ${types[entry.type]}`];
+    entry.authors.forEach(author => lines.push(`AU  - ${author}`));
+    if (entry.title) lines.push(`TI  - ${entry.title}`);
+    if (entry.venue) lines.push(`${entry.type === 'article' ? 'JO' : 'T2'}  - ${entry.venue}`);
+    if (entry.year) lines.push(`PY  - ${entry.year}`);
+    if (entry.doi) lines.push(`DO  - ${entry.doi}`);
+    if (!entry.title) lines.push(`N1  - ${entry.raw}`);
+    lines.push('ER  - ');
+    return lines.join('\r\n');
+  }).join('\r\n\r\n') + (entries.length ? '\r\n' : '');
+}
+
+function renderReferences(entries, format) {
+  if (format === 'bibtex') return toBibtex(entries);
+  if (format === 'ris') return toRis(entries);
+  return JSON.stringify({ references: entries }, null, 2);
+}
+
+module.exports = {
+  FORMATS,
+  extractReferences,
+  extractFromDocuments,
+  parseEntry,
+  toBibtex,
+  toRis,
+  renderReferences
+};
@@ -0,0 +1,407 @@
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, ImageRun, LevelFormat, AlignmentType } = require('docx');
+const PDFDocument = require('pdfkit');
+
+const FORMATS = {
+  md: { mimeType: 'text/markdown; charset=utf-8', extension: 'md' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' }
+};
+
+const INLINE_PATTERN = /(\*\*([^*]+)\*\*|__([^_]+)__|`([^`]+)`|\*([^*\s][^*]*)\*|_([^_\s][^_]*)_)/g;
+
+// Inline Markdown becomes runs of { text, bold, italic, code }.
+function parseInline(text) {
+  const runs = [];
+  let last = 0;
+  let match;
+  INLINE_PATTERN.lastIndex = 0;
+  while ((match = INLINE_PATTERN.exec(text)) !== null) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index) });
+    if (match[2] || match[3]) runs.push({ text: match[2] || match[3], bold: true });
+    else if (match[4]) runs.push({ text: match[4], code: true });
+    else runs.push({ text: match[5] || match[6], italic: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last) });
+  return runs;
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+function imageBlocks(images) {
+  return images.map(src => String(src || '').match(/^data:(image\/(?:png|jpeg));base64,(.+)$/))
+    .filter(Boolean)
+    .map(match => ({ type: 'image', mimeType: match[1], data: match[2] }));
+}
+
+// Markdown to blocks: heading | paragraph | list | table | code | quote.
+function parseBlocks(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (!paragraph.length) return;
+    blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      flush();
+      continue;
+    }
+
+    if (trimmed.startsWith('```')) {
+      flush();
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: Math.min(heading[1].length, 4), text: heading[2].replace(/\*\*/g, '') });
+      continue;
+    }
+
+    if (trimmed.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      flush();
+      const header = splitRow(trimmed);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_, c) => cells[c] || ''));
+        i += 1;
+      }
+      i -= 1;
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flush();
+      const ordered = /\d/.test(item[2]);
+      const list = { type: 'list', ordered, items: [] };
+      while (i < lines.length) {
+        const current = lines[i].match(LIST_ITEM);
+        if (current) {
+          const level = Math.min(Math.floor(current[1].replace(/\t/g, '  ').length / 2), 2);
+          list.items.push({ level, runs: parseInline(current[3].trim()) });
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && list.items.length) {
+          const previous = list.items[list.items.length - 1];
+          previous.runs = previous.runs.concat(parseInline(` ${lines[i].trim()}`));
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      i -= 1;
+      blocks.push(list);
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      flush();
+      const quote = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quote.push(lines[i].trim().replace(/^>\s?/, ''));
+        i += 1;
+      }
+      i -= 1;
+      blocks.push({ type: 'quote', runs: parseInline(quote.join(' ')) });
+      continue;
+    }
+
+    if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      flush();
+      continue;
+    }
+
+    paragraph.push(trimmed);
+  }
+  flush();
+  return blocks;
+}
+
+// Builds the structured report the exports are rendered from:
+// { title, blocks: [heading | paragraph | list | table | code | quote | image] }.
+function buildReport(markdown, { title, images = [] } = {}) {
+  const blocks = parseBlocks(markdown).concat(imageBlocks(images));
+  let heading = '';
+  if (blocks[0] && blocks[0].type === 'heading' && blocks[0].level === 1) {
+    heading = blocks.shift().text;
+  }
+  return {
+    title: String(title || heading || 'Report').slice(0, 120),
+    blocks
+  };
+}
+
+// Same shape from the Report bot's validated JSON. Section bodies may still
+// carry lists or tables, so only they go through the Markdown parser.
+function reportFromStructured(data, { images = [] } = {}) {
+  const blocks = [];
+  if (data.executiveSummary) {
+    blocks.push({ type: 'heading', level: 2, text: 'Executive summary' }, ...parseBlocks(data.executiveSummary));
+  }
+  (data.sections || []).forEach((section) => {
+    blocks.push({ type: 'heading', level: 2, text: section.heading }, ...parseBlocks(section.body));
+  });
+  if (data.keyFindings && data.keyFindings.length) {
+    blocks.push(
+      { type: 'heading', level: 2, text: 'Key findings' },
+      { type: 'list', ordered: false, items: data.keyFindings.map(finding => ({ level: 0, runs: parseInline(String(finding)) })) }
+    );
+  }
+  if (data.conclusion) {
+    blocks.push({ type: 'heading', level: 2, text: 'Conclusion' }, ...parseBlocks(data.conclusion));
+  }
+  blocks.push(...imageBlocks(images));
+  return {
+    title: String(data.title || 'Report').slice(0, 120),
+    blocks
+  };
+}
+
+function inlineMarkdown(runs) {
+  return runs.map((run) => {
+    if (run.code) return `\`${run.text}\``;
+    if (run.bold) return `**${run.text}**`;
+    if (run.italic) return `*${run.text}*`;
+    return run.text;
+  }).join('');
+}
+
+function toMarkdown(report) {
+  const out = [`# ${report.title}`];
+  report.blocks.forEach((block) => {
+    if (block.type === 'heading') out.push(`${'#'.repeat(block.level)} ${block.text}`);
+    if (block.type === 'paragraph') out.push(inlineMarkdown(block.runs));
+    if (block.type === 'quote') out.push(`> ${inlineMarkdown(block.runs)}`);
+    if (block.type === 'code') out.push(`\`\`\`\n${block.text}\n\`\`\``);
+    if (block.type === 'list') {
+      out.push(block.items.map((item, i) => `${'  '.repeat(item.level)}${block.ordered ? `${i + 1}.` : '-'} ${inlineMarkdown(item.runs)}`).join('\n'));
+    }
+    if (block.type === 'table') {
+      const row = cells => `| ${cells.map(c => String(c).replace(/\|/g, '\\|')).join(' | ')} |`;
+      out.push([row(block.header), row(block.header.map(() => '---')), ...block.rows.map(row)].join('\n'));
+    }
+    if (block.type === 'image') out.push(`![Generated image](data:${block.mimeType};base64,${block.data})`);
+  });
+  return `${out.join('\n\n')}\n`;
+}
+
+// Pixel size from the PNG IHDR chunk or the first JPEG SOF marker.
+function imageSize(buffer, mimeType) {
+  if (mimeType === 'image/png' && buffer.length > 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) break;
+    const marker = buffer[offset + 1];
+    if (marker >= 0xc0 && marker <= 0xc3) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return { width: 512, height: 512 };
+}
+
+const HEADING_LEVELS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4];
+
+function docxRuns(runs) {
+  return runs.map(run => new TextRun({
+    text: run.text,
+    bold: !!run.bold,
+    italics: !!run.italic,
+    font: run.code ? 'Consolas' : undefined
+  }));
+}
+
+function toDocx(report) {
+  const children = [new Paragraph({ text: report.title, heading: HeadingLevel.TITLE })];
+  let listInstance = 0;
+  report.blocks.forEach((block) => {
+    if (block.type === 'heading') {
+      children.push(new Paragraph({ text: block.text, heading: HEADING_LEVELS[block.level - 1] }));
+    } else if (block.type === 'paragraph') {
+      children.push(new Paragraph({ children: docxRuns(block.runs), spacing: { after: 120 } }));
+    } else if (block.type === 'quote') {
+      children.push(new Paragraph({ children: docxRuns(block.runs.map(r => ({ ...r, italic: true }))), indent: { left: 720 } }));
+    } else if (block.type === 'code') {
+      block.text.split('\n').forEach((line) => {
+        children.push(new Paragraph({ children: [new TextRun({ text: line, font: 'Consolas', size: 18 })] }));
+      });
+    } else if (block.type === 'list') {
+      listInstance += 1;
+      block.items.forEach((item) => {
+        children.push(new Paragraph({
+          children: docxRuns(item.runs),
+          ...(block.ordered
+            ? { numbering: { reference: 'ordered-list', level: item.level, instance: listInstance } }
+            : { bullet: { level: item.level } })
+        }));
+      });
+    } else if (block.type === 'table') {
+      const cell = (text, bold) => new TableCell({ children: [new Paragraph({ children: [new TextRun({ text: String(text), bold })] })] });
+      children.push(new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+          new TableRow({ tableHeader: true, children: block.header.map(h => cell(h, true)) }),
+          ...block.rows.map(row => new TableRow({ children: row.map(c => cell(c, false)) }))
+        ]
+      }));
+      children.push(new Paragraph({ text: '' }));
+    } else if (block.type === 'image') {
+      const data = Buffer.from(block.data, 'base64');
+      const size = imageSize(data, block.mimeType);
+      const scale = Math.min(1, 600 / size.width);
+      children.push(new Paragraph({
+        children: [new ImageRun({
+          type: block.mimeType === 'image/png' ? 'png' : 'jpg',
+          data,
+          transformation: { width: Math.round(size.width * scale), height: Math.round(size.height * scale) }
+        })]
+      }));
+    }
+  });
+
+  const doc = new Document({
+    title: report.title,
+    numbering: {
+      config: [{
+        reference: 'ordered-list',
+        levels: [0, 1, 2].map(level => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{ children }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+function pdfRuns(doc, runs, options = {}) {
+  runs.forEach((run, i) => {
+    let font = 'Helvetica';
+    if (run.code) font = 'Courier';
+    else if (run.bold) font = 'Helvetica-Bold';
+    else if (run.italic || options.italic) font = 'Helvetica-Oblique';
+    doc.font(font).text(run.text, { ...options, continued: i < runs.length - 1 });
+  });
+}
+
+function pdfTable(doc, block) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const colWidth = width / Math.max(block.header.length, 1);
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map(c => doc.heightOfString(String(c), { width: colWidth - 8 }))) + 8;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const top = doc.y;
+    cells.forEach((c, i) => {
+      doc.rect(left + i * colWidth, top, colWidth, height).stroke('#999999');
+      doc.fillColor('#000000').text(String(c), left + i * colWidth + 4, top + 4, { width: colWidth - 8 });
+    });
+    doc.x = left;
+    doc.y = top + height;
+  };
+  drawRow(block.header, true);
+  block.rows.forEach(row => drawRow(row, false));
+  doc.moveDown();
+}
+
+function toPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, info: { Title: report.title } });
+    const buffers = [];
+    doc.on('data', chunk => buffers.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    doc.font('Helvetica-Bold').fontSize(20).text(report.title);
+    doc.moveDown();
+    report.blocks.forEach((block) => {
+      doc.x = left;
+      if (block.type === 'heading') {
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize([18, 15, 13, 12][block.level - 1]).text(block.text);
+        doc.moveDown(0.3);
+      } else if (block.type === 'paragraph') {
+        doc.fontSize(11);
+        pdfRuns(doc, block.runs);
+        doc.moveDown(0.5);
+      } else if (block.type === 'quote') {
+        doc.fontSize(11);
+        pdfRuns(doc, block.runs, { italic: true, indent: 20 });
+        doc.moveDown(0.5);
+      } else if (block.type === 'code') {
+        doc.font('Courier').fontSize(9).text(block.text, { indent: 10 });
+        doc.moveDown(0.5);
+      } else if (block.type === 'list') {
+        doc.fontSize(11);
+        block.items.forEach((item, i) => {
+          const marker = block.ordered ? `${i + 1}. ` : '• ';
+          pdfRuns(doc, [{ text: marker }, ...item.runs], { indent: 15 + item.level * 15 });
+        });
+        doc.moveDown(0.5);
+      } else if (block.type === 'table') {
+        pdfTable(doc, block);
+      } else if (block.type === 'image') {
+        const data = Buffer.from(block.data, 'base64');
+        const size = imageSize(data, block.mimeType);
+        const scale = Math.min(1, width / size.width, 360 / size.height);
+        if (doc.y + size.height * scale > doc.page.height - doc.page.margins.bottom) doc.addPage();
+        doc.image(data, left, doc.y, { width: size.width * scale, height: size.height * scale });
+        doc.y += size.height * scale;
+        doc.moveDown();
+      }
+    });
+    doc.end();
+  });
+}
+
+async function renderReport(report, format) {
+  if (format === 'md') return Buffer.from(toMarkdown(report), 'utf8');
+  if (format === 'docx') return toDocx(report);
+  if (format === 'pdf') return toPdf(report);
+  throw new Error('Unsupported export format');
+}
+
+function exportFileName(report, format) {
+  const base = report.title.replace(/[^A-Za-z0-9 _-]+/g, '').trim().replace(/\s+/g, '-').slice(0, 60) || 'report';
+  return `${base}.${FORMATS[format].extension}`;
+}
+
+module.exports = {
+  FORMATS,
+  buildReport,
+  reportFromStructured,
+  toMarkdown,
+  renderReport,
+  exportFileName
+};
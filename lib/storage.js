@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+const localRoot = path.join(__dirname, '..', 'data', 'storage');
+
+// Keys are always relative, forward-slash paths such as
+// "uploads/UID001/abc.pdf"; anything that could climb out of the root is
+// refused.
+function localPath(key) {
+  const normalized = path.posix.normalize(String(key));
+  if (normalized.startsWith('..') || path.posix.isAbsolute(normalized)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return path.join(localRoot, ...normalized.split('/'));
+}
+
+function createLocalStorage() {
+  return {
+    name: 'local',
+    async put(key, body) {
+      const file = localPath(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        fs.writeFileSync(file, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(file));
+      }
+    },
+    async open(key) {
+      const file = localPath(key);
+      if (!fs.existsSync(file)) throw new Error(`Stored file is missing: ${key}`);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      fs.rmSync(localPath(key), { force: true });
+    }
+  };
+}
+
+function createR2Storage(env) {
+  const client = new S3Client({
+    region: 'auto',
+    endpoint: env.R2_ENDPOINT,
+    credentials: {
+      accessKeyId: env.R2_ACCESS_KEY_ID,
+      secretAccessKey: env.R2_SECRET_ACCESS_KEY
+    }
+  });
+  const bucket = env.R2_BUCKET;
+  return {
+    name: 'r2',
+    async put(key, body, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+    async open(key) {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return object.Body;
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+const r2Configured = env => !!(env.R2_ENDPOINT && env.R2_ACCESS_KEY_ID && env.R2_SECRET_ACCESS_KEY && env.R2_BUCKET);
+
+const backends = {
+  local: createLocalStorage(),
+  r2: r2Configured(process.env) ? createR2Storage(process.env) : null
+};
+
+// New files go to R2 when it is configured and to local disk otherwise.
+// Existing records keep the backend they were written to.
+function defaultStorage() {
+  return backends.r2 || backends.local;
+}
+
+function storageFor(name) {
+  const backend = backends[name];
+  if (!backend) throw new Error(`Storage backend "${name}" is not configured`);
+  return backend;
+}
+
+module.exports = {
+  defaultStorage,
+  storageFor
+};
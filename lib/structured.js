@@ -0,0 +1,203 @@
+const { mergeUsage } = require('./papers');
+
+const MAX_ATTEMPTS = 2;
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean'];
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validates the subset of JSON Schema the bot registry uses: type,
+// properties, required, items, enum and minItems.
+function validate(value, schema, at = '$') {
+  if (!schema || !schema.type) return [];
+  if (!matchesType(value, schema.type)) {
+    return [`${at} should be ${schema.type} but is ${typeOf(value)}`];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${at}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined && value[key] !== null) errors.push(...validate(value[key], child, `${at}.${key}`));
+    });
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} item(s)`);
+    }
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+// Checks a registry schema before it is sent to a provider.
+function checkSchema(schema, at = 'responseSchema') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return [`${at} must be an object`];
+  if (!TYPES.includes(schema.type)) return [`${at}.type must be one of ${TYPES.join(', ')}`];
+  const problems = [];
+  if (schema.type === 'object') {
+    if (!schema.properties || typeof schema.properties !== 'object') {
+      problems.push(`${at}.properties must be an object`);
+    } else {
+      Object.entries(schema.properties).forEach(([key, child]) => problems.push(...checkSchema(child, `${at}.properties.${key}`)));
+      (schema.required || []).filter(key => !schema.properties[key]).forEach((key) => {
+        problems.push(`${at}.required lists unknown property "${key}"`);
+      });
+    }
+  }
+  if (schema.type === 'array') {
+    problems.push(...checkSchema(schema.items, `${at}.items`));
+  }
+  return problems;
+}
+
+// Fixes the usual near-misses: code fences, prose around the object and
+// trailing commas.
+function parseJson(text) {
+  const source = String(text || '').trim();
+  try {
+    return JSON.parse(source);
+  } catch (err) {
+    // fall through to repair
+  }
+  const unfenced = source.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return undefined;
+  const candidate = unfenced.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+  try {
+    return JSON.parse(candidate);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Coerces values that have the right content but the wrong shape, such as
+// a single string where the schema wants a list.
+function coerce(value, schema) {
+  if (!schema || value === undefined || value === null) return value;
+  if (schema.type === 'array') {
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(item => coerce(item, schema.items));
+  }
+  if (schema.type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+  if (schema.type === 'string' && Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return value.join('\n');
+  }
+  if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'object' && typeOf(value) === 'object') {
+    const out = { ...value };
+    Object.entries(schema.properties || {}).forEach(([key, child]) => {
+      if (out[key] !== undefined) out[key] = coerce(out[key], child);
+    });
+    return out;
+  }
+  return value;
+}
+
+function parseStructured(text, schema) {
+  const parsed = parseJson(text);
+  if (parsed === undefined) {
+    return { data: null, errors: ['Reply is not valid JSON'] };
+  }
+  const data = coerce(parsed, schema);
+  const errors = validate(data, schema);
+  return { data: errors.length ? null : data, errors };
+}
+
+function humanize(key) {
+  const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function itemMarkdown(item) {
+  if (typeOf(item) !== 'object') return [`- ${item}`];
+  const entries = Object.entries(item);
+  const [headingKey] = entries.find(([key, value]) => ['heading', 'title', 'name'].includes(key) && typeof value === 'string') || [];
+  const lines = headingKey ? ['', `### ${item[headingKey]}`] : [];
+  entries.filter(([key]) => key !== headingKey).forEach(([key, value]) => {
+    if (Array.isArray(value)) lines.push(...value.map(v => `- ${v}`));
+    else if (!headingKey && entries.length > 1) lines.push(`- **${humanize(key)}:** ${value}`);
+    else lines.push(String(value));
+  });
+  return lines;
+}
+
+// Renders the validated object as Markdown so history, exports and
+// clients that ignore `structured` keep working.
+function toMarkdown(data, schema) {
+  const blocks = [];
+  Object.keys(schema.properties || data).forEach((key) => {
+    const value = data[key];
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) return;
+    if (key === 'title' && typeof value === 'string') {
+      blocks.unshift(`# ${value}`);
+      return;
+    }
+    const lines = [`## ${humanize(key)}`];
+    if (Array.isArray(value)) {
+      value.forEach(item => lines.push(...itemMarkdown(item)));
+    } else if (typeOf(value) === 'object') {
+      lines.push(...itemMarkdown(value));
+    } else {
+      lines.push(String(value));
+    }
+    blocks.push(lines.join('\n'));
+  });
+  return blocks.join('\n\n');
+}
+
+// Asks for JSON, then repairs or re-asks with the validation errors. Gives
+// up after MAX_ATTEMPTS and returns the last raw text with the errors.
+async function generateStructured({ provider, request, schema, signal }) {
+  let contents = request.contents;
+  let usage = null;
+  let last = { text: '', errors: [], raw: null, model: null };
+  let attempts = 0;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    if (signal && signal.aborted) break;
+    attempts = attempt;
+    const result = await provider.generate({ ...request, contents, responseSchema: schema, signal });
+    usage = mergeUsage(usage, result.usage);
+    const { data, errors } = parseStructured(result.text, schema);
+    if (data) {
+      return { data, text: toMarkdown(data, schema), errors: [], attempts: attempt, usage, raw: result.raw, model: result.model };
+    }
+    last = { text: result.text, errors, raw: result.raw, model: result.model };
+    contents = [
+      ...request.contents,
+      { role: 'model', parts: [{ text: result.text || '(empty reply)' }] },
+      {
+        role: 'user',
+        parts: [{ text: `Your reply did not match the required JSON schema:\n- ${errors.join('\n- ')}\nReply again with only the corrected JSON object.` }]
+      }
+    ];
+  }
+  return { data: null, text: last.text, errors: last.errors, attempts, usage, raw: last.raw, model: last.model };
+}
+
+module.exports = {
+  validate,
+  checkSchema,
+  parseJson,
+  parseStructured,
+  toMarkdown,
+  generateStructured
+};
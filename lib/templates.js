@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { userKey } = require('./users');
+
+const templatesDir = path.join(__dirname, '..', 'data', 'templates');
+const sharedFile = path.join(templatesDir, 'shared.json');
+const SCOPES = ['user', 'shared'];
+const MAX_TITLE = 120;
+const MAX_BODY = 8000;
+const MAX_IMPORT = 200;
+const VARIABLE_PATTERN = /\{([A-Za-z][\w-]{0,39})\}/g;
+
+function userFile(uid) {
+  return path.join(templatesDir, 'users', `${userKey(uid)}.json`);
+}
+
+function readStore(file) {
+  if (!fs.existsSync(file)) {
+    return { templates: [] };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8') || '{"templates":[]}');
+}
+
+function writeStore(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+function storeFile(uid, scope) {
+  return scope === 'shared' ? sharedFile : userFile(uid);
+}
+
+function extractVariables(body) {
+  const names = [];
+  String(body || '').replace(VARIABLE_PATTERN, (match, name) => {
+    if (!names.includes(name)) names.push(name);
+    return match;
+  });
+  return names;
+}
+
+// Checks the editable fields of a template. isKnownBot decides which bot
+// ids are accepted so the registry stays the single source of truth.
+function validateTemplate(input, isKnownBot) {
+  const source = input || {};
+  const botId = String(source.botId || '').trim();
+  const title = String(source.title || '').trim();
+  const body = String(source.body || '').trim();
+  const scope = source.scope === undefined ? 'user' : String(source.scope);
+  if (!isKnownBot(botId)) return { error: `Unknown bot "${botId}"` };
+  if (!title) return { error: 'Title required' };
+  if (title.length > MAX_TITLE) return { error: `Title must be at most ${MAX_TITLE} characters` };
+  if (!body) return { error: 'Template text required' };
+  if (body.length > MAX_BODY) return { error: `Template text must be at most ${MAX_BODY} characters` };
+  if (!SCOPES.includes(scope)) return { error: `Scope must be one of ${SCOPES.join(', ')}` };
+  return { template: { botId, title, body, scope } };
+}
+
+function publicTemplate(template, user) {
+  const owner = template.ownerUid === user.uid;
+  return {
+    id: template.id,
+    botId: template.botId,
+    title: template.title,
+    body: template.body,
+    scope: template.scope,
+    variables: extractVariables(template.body),
+    owner,
+    editable: owner || user.role === 'admin',
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+function listTemplates(uid, botId) {
+  const own = readStore(userFile(uid)).templates.filter(t => t.ownerUid === uid);
+  const all = [...own, ...readStore(sharedFile).templates];
+  return all
+    .filter(t => !botId || t.botId === botId)
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+function findTemplate(uid, id) {
+  return listTemplates(uid).find(t => t.id === id) || null;
+}
+
+function createTemplate(uid, { botId, title, body, scope }) {
+  const file = storeFile(uid, scope);
+  const data = readStore(file);
+  const now = new Date().toISOString();
+  const template = {
+    id: crypto.randomBytes(9).toString('hex'),
+    botId,
+    title,
+    body,
+    scope,
+    ownerUid: uid,
+    createdAt: now,
+    updatedAt: now
+  };
+  data.templates.push(template);
+  writeStore(file, data);
+  return template;
+}
+
+// Moving between scopes keeps the id so links from the UI stay valid.
+function updateTemplate(uid, id, changes) {
+  const existing = findTemplate(uid, id);
+  if (!existing) return null;
+  const fromFile = storeFile(existing.ownerUid, existing.scope);
+  const from = readStore(fromFile);
+  const updated = { ...existing, ...changes, updatedAt: new Date().toISOString() };
+  const toFile = storeFile(existing.ownerUid, updated.scope);
+  if (toFile === fromFile) {
+    from.templates = from.templates.map(t => (t.id === id ? updated : t));
+    writeStore(fromFile, from);
+  } else {
+    from.templates = from.templates.filter(t => t.id !== id);
+    writeStore(fromFile, from);
+    const to = readStore(toFile);
+    to.templates.push(updated);
+    writeStore(toFile, to);
+  }
+  return updated;
+}
+
+function deleteTemplate(uid, id) {
+  const existing = findTemplate(uid, id);
+  if (!existing) return false;
+  const file = storeFile(existing.ownerUid, existing.scope);
+  const data = readStore(file);
+  data.templates = data.templates.filter(t => t.id !== id);
+  writeStore(file, data);
+  return true;
+}
+
+// Shared templates go too, so an account later created with the same UID
+// does not become their owner.
+function deleteUserTemplates(uid) {
+  fs.rmSync(userFile(uid), { force: true });
+  const shared = readStore(sharedFile);
+  const kept = shared.templates.filter(t => t.ownerUid !== uid);
+  if (kept.length !== shared.templates.length) {
+    writeStore(sharedFile, { ...shared, templates: kept });
+  }
+}
+
+function exportTemplates(templates) {
+  return {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(t => ({ botId: t.botId, title: t.title, body: t.body }))
+  };
+}
+
+// Imports every valid entry of a template set and reports the rest by
+// position instead of failing the whole file.
+function importTemplates(uid, payload, scope, isKnownBot) {
+  const entries = payload && Array.isArray(payload.templates) ? payload.templates : null;
+  if (!entries) return { error: 'Expected a JSON object with a "templates" array' };
+  if (entries.length > MAX_IMPORT) return { error: `At most ${MAX_IMPORT} templates per import` };
+  const imported = [];
+  const skipped = [];
+  entries.forEach((entry, index) => {
+    const result = validateTemplate({ ...entry, scope }, isKnownBot);
+    if (result.error) {
+      skipped.push({ index, error: result.error });
+      return;
+    }
+    imported.push(createTemplate(uid, result.template));
+  });
+  return { imported, skipped };
+}
+
+module.exports = {
+  SCOPES,
+  extractVariables,
+  validateTemplate,
+  publicTemplate,
+  listTemplates,
+  findTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  deleteUserTemplates,
+  exportTemplates,
+  importTemplates
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+const ISSUER = process.env.TOTP_ISSUER || 'AI Assistant Suite';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// One step either side absorbs clock drift between server and phone.
+const WINDOW = 1;
+const RECOVERY_CODES = 10;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 6238 with the defaults every authenticator app supports: SHA-1,
+// six digits, 30-second steps.
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Returns the matching time step, or null. A step at or before `lastStep`
+// was already used to log in and is refused, so a code seen over someone's
+// shoulder cannot be replayed.
+function verifyCode(secret, code, { lastStep = -1, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(given)) return null;
+  const step = currentStep(now);
+  for (let delta = -WINDOW; delta <= WINDOW; delta += 1) {
+    const candidate = step + delta;
+    if (candidate <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, candidate)), Buffer.from(given))) return candidate;
+  }
+  return null;
+}
+
+function otpauthUrl(secret, account) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Plain codes are shown to the user once; only their hashes are stored.
+function generateRecoveryCodes(count = RECOVERY_CODES) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Index of the matching stored hash, or -1. The caller removes it so each
+// code works once.
+function matchRecoveryCode(hashes, code) {
+  if (normalizeRecoveryCode(code).length !== 10) return -1;
+  const given = Buffer.from(hashRecoveryCode(code));
+  return (hashes || []).findIndex(hash => crypto.timingSafeEqual(Buffer.from(hash), given));
+}
+
+module.exports = {
+  generateSecret,
+  codeAt,
+  currentStep,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  matchRecoveryCode
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+const usageDir = path.join(__dirname, '..', 'data', 'usage');
+const COUNTERS = ['requests', 'promptTokens', 'outputTokens', 'totalTokens', 'images'];
+const QUOTA_FIELDS = ['dailyRequests', 'monthlyRequests', 'dailyTokens', 'monthlyTokens', 'dailyImages', 'monthlyImages'];
+
+function emptyCounters() {
+  return COUNTERS.reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+}
+
+function addCounters(target, source) {
+  COUNTERS.forEach((key) => {
+    target[key] += source[key] || 0;
+  });
+  return target;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthFile(month) {
+  return path.join(usageDir, `${month}.json`);
+}
+
+function readMonth(month) {
+  const file = monthFile(month);
+  if (!fs.existsSync(file)) {
+    return { days: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8') || '{"days":{}}');
+}
+
+function writeMonth(month, data) {
+  if (!fs.existsSync(usageDir)) {
+    fs.mkdirSync(usageDir, { recursive: true });
+  }
+  fs.writeFileSync(monthFile(month), JSON.stringify(data, null, 2));
+}
+
+function monthsBetween(fromDay, toDay) {
+  const months = [];
+  let year = Number(fromDay.slice(0, 4));
+  let month = Number(fromDay.slice(5, 7));
+  const endKey = toDay.slice(0, 7);
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    months.push(key);
+    if (key >= endKey || months.length > 120) break;
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+function recordUsage(uid, botId, { usage, images }, now = new Date()) {
+  const day = dayKey(now);
+  const month = day.slice(0, 7);
+  const data = readMonth(month);
+  const byUser = data.days[day] || (data.days[day] = {});
+  const byBot = byUser[uid] || (byUser[uid] = {});
+  const counters = byBot[botId] || (byBot[botId] = emptyCounters());
+  addCounters(counters, {
+    requests: 1,
+    promptTokens: usage ? usage.promptTokens : 0,
+    outputTokens: usage ? usage.outputTokens : 0,
+    totalTokens: usage ? usage.totalTokens : 0,
+    images: images || 0
+  });
+  writeMonth(month, data);
+}
+
+function deleteUserUsage(uid) {
+  if (!fs.existsSync(usageDir)) return;
+  fs.readdirSync(usageDir).filter(name => /^\d{4}-\d{2}\.json$/.test(name)).forEach((name) => {
+    const month = name.slice(0, 7);
+    const data = readMonth(month);
+    let changed = false;
+    Object.values(data.days).forEach((byUser) => {
+      if (byUser[uid]) {
+        delete byUser[uid];
+        changed = true;
+      }
+    });
+    if (changed) writeMonth(month, data);
+  });
+}
+
+function collectRows(fromDay, toDay, uid) {
+  const rows = [];
+  monthsBetween(fromDay, toDay).forEach((month) => {
+    const data = readMonth(month);
+    Object.keys(data.days).sort().forEach((day) => {
+      if (day < fromDay || day > toDay) return;
+      Object.entries(data.days[day]).forEach(([rowUid, byBot]) => {
+        if (uid && rowUid !== uid) return;
+        Object.entries(byBot).forEach(([botId, counters]) => {
+          rows.push({ day, uid: rowUid, botId, ...emptyCounters(), ...counters });
+        });
+      });
+    });
+  });
+  return rows;
+}
+
+function totalRows(rows) {
+  return rows.reduce((acc, row) => addCounters(acc, row), emptyCounters());
+}
+
+function userUsage(uid, fromDay, toDay) {
+  const rows = collectRows(fromDay, toDay, uid);
+  return { rows, totals: totalRows(rows) };
+}
+
+function usageReport(fromDay, toDay) {
+  const rows = collectRows(fromDay, toDay, null);
+  const byUser = {};
+  rows.forEach((row) => {
+    byUser[row.uid] = addCounters(byUser[row.uid] || emptyCounters(), row);
+  });
+  return {
+    rows,
+    users: Object.entries(byUser).map(([uid, counters]) => ({ uid, ...counters })),
+    totals: totalRows(rows)
+  };
+}
+
+function periodTotals(uid, now = new Date()) {
+  const today = dayKey(now);
+  const monthStart = `${today.slice(0, 7)}-01`;
+  return {
+    day: totalRows(collectRows(today, today, uid)),
+    month: totalRows(collectRows(monthStart, today, uid))
+  };
+}
+
+function normalizeQuota(input) {
+  const quota = {};
+  QUOTA_FIELDS.forEach((field) => {
+    const value = input ? input[field] : null;
+    if (value === null || value === undefined || value === '') return;
+    const number = Number(value);
+    if (Number.isFinite(number) && number >= 0) {
+      quota[field] = Math.floor(number);
+    }
+  });
+  return quota;
+}
+
+// Returns the first limit the user has already reached, or null.
+// `images` is how many images the request will generate; an image quota
+// must have room for all of them.
+function checkQuota(user, images = 0, now = new Date()) {
+  const quota = user.quota || {};
+  if (!Object.keys(quota).length) return null;
+  const totals = periodTotals(user.uid, now);
+  const checks = [
+    ['dailyRequests', 'day', 'requests', 'Daily request'],
+    ['monthlyRequests', 'month', 'requests', 'Monthly request'],
+    ['dailyTokens', 'day', 'totalTokens', 'Daily token'],
+    ['monthlyTokens', 'month', 'totalTokens', 'Monthly token']
+  ];
+  if (images > 0) {
+    checks.push(['dailyImages', 'day', 'images', 'Daily image']);
+    checks.push(['monthlyImages', 'month', 'images', 'Monthly image']);
+  }
+  for (const [field, period, metric, label] of checks) {
+    const limit = quota[field];
+    const used = totals[period][metric];
+    if (typeof limit !== 'number') continue;
+    if (used >= limit) {
+      return { field, period, metric, limit, used, message: `${label} quota exceeded` };
+    }
+    if (metric === 'images' && used + images > limit) {
+      const left = limit - used;
+      return { field, period, metric, limit, used, message: `${label} quota has room for ${left} more image${left === 1 ? '' : 's'}` };
+    }
+  }
+  return null;
+}
+
+function toCsv(rows) {
+  const header = ['day', 'uid', 'botId', ...COUNTERS];
+  const escape = (value) => {
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header.join(',')]
+    .concat(rows.map(row => header.map(key => escape(row[key])).join(',')))
+    .join('\n');
+}
+
+module.exports = {
+  QUOTA_FIELDS,
+  dayKey,
+  recordUsage,
+  deleteUserUsage,
+  userUsage,
+  usageReport,
+  periodTotals,
+  normalizeQuota,
+  checkQuota,
+  toCsv
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const usersPath = path.join(dataDir, 'users.json');
+
+class UserStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UserStoreError';
+  }
+}
+
+function readUsers() {
+  if (!fs.existsSync(usersPath)) {
+    return { users: [] };
+  }
+  const raw = fs.readFileSync(usersPath, 'utf8').replace(/^\uFEFF/, '');
+  let data;
+  try {
+    data = JSON.parse(raw || '{"users":[]}');
+  } catch (err) {
+    throw new UserStoreError(`users.json is not valid JSON: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.users)) {
+    throw new UserStoreError('users.json must contain a "users" array');
+  }
+  return data;
+}
+
+function writeUsers(data) {
+  const tmpPath = `${usersPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, usersPath);
+}
+
+function findUser(data, uid) {
+  return data.users.find(u => u.uid === uid) || null;
+}
+
+// File and storage-key name for a user's per-user stores. A hash rather
+// than a sanitised UID, which could map two UIDs onto the same files.
+function userKey(uid) {
+  return crypto.createHash('sha256').update(String(uid)).digest('hex');
+}
+
+function publicUser(user) {
+  return {
+    uid: user.uid,
+    nickname: user.nickname || '',
+    role: user.role || 'user',
+    disabled: !!user.disabled,
+    mustChangePassword: !!user.mustChangePassword,
+    twoFactor: !!user.totp,
+    createdAt: user.createdAt || null,
+    lastLoginAt: user.lastLoginAt || null,
+    quota: user.quota || {}
+  };
+}
+
+module.exports = {
+  UserStoreError,
+  readUsers,
+  writeUsers,
+  findUser,
+  userKey,
+  publicUser
+};
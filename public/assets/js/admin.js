@@ -0,0 +1,299 @@
+(() => {
+  const panel = document.querySelector('[data-admin-users]');
+  if (!panel) return;
+
+  const rows = panel.querySelector('[data-user-rows]');
+  const createForm = panel.querySelector('[data-create-user]');
+  const errorBox = panel.querySelector('[data-error]');
+
+  const showError = (msg) => {
+    errorBox.textContent = msg;
+    errorBox.style.display = 'block';
+  };
+
+  const hideError = () => {
+    errorBox.textContent = '';
+    errorBox.style.display = 'none';
+  };
+
+  const request = async (url, options = {}) => {
+    const res = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return null;
+    }
+    const data = await res.json();
+    if (!res.ok) {
+      showError(data.error || 'Request failed.');
+      return null;
+    }
+    hideError();
+    return data;
+  };
+
+  const renderUsers = (users) => {
+    rows.innerHTML = '';
+    users.forEach((user) => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = '<td></td><td></td><td></td><td></td><td></td><td class="row-actions"></td>';
+      const cells = tr.querySelectorAll('td');
+      cells[0].textContent = user.uid;
+      cells[1].textContent = user.nickname || '—';
+      cells[2].textContent = user.role;
+      const status = user.disabled ? 'Disabled' : (user.mustChangePassword ? 'Password change pending' : 'Active');
+      const locked = user.lockedUntil ? ` · Locked until ${new Date(user.lockedUntil).toLocaleTimeString()}` : '';
+      cells[3].textContent = `${status}${user.twoFactor ? ' · 2FA' : ''}${locked}`;
+      cells[4].textContent = user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never';
+
+      const actions = [
+        [user.disabled ? 'Enable' : 'Disable', 'toggle'],
+        ['Reset password', 'reset'],
+        [user.role === 'admin' ? 'Make user' : 'Make admin', 'role'],
+        ['Quota', 'quota'],
+        ['Delete', 'delete']
+      ];
+      if (user.twoFactor) actions.splice(2, 0, ['Reset 2FA', 'reset-2fa']);
+      if (user.lockedUntil) actions.splice(1, 0, ['Unlock', 'unlock']);
+      actions.forEach(([label, action]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'conversation-btn';
+        btn.textContent = label;
+        btn.dataset.action = action;
+        btn.dataset.uid = user.uid;
+        btn.dataset.disabled = user.disabled ? '1' : '';
+        btn.dataset.role = user.role;
+        cells[5].appendChild(btn);
+      });
+      rows.appendChild(tr);
+    });
+  };
+
+  const quotaForm = panel.querySelector('[data-quota-form]');
+  let users = [];
+
+  const loadUsers = async () => {
+    const data = await request('/api/admin/users');
+    if (!data) return;
+    users = data.users;
+    renderUsers(users);
+  };
+
+  const openQuota = (uid) => {
+    const user = users.find(u => u.uid === uid);
+    if (!user) return;
+    quotaForm.dataset.uid = uid;
+    quotaForm.querySelector('[data-quota-uid]').textContent = uid;
+    quotaForm.querySelectorAll('input').forEach((input) => {
+      const value = user.quota ? user.quota[input.name] : undefined;
+      input.value = value === undefined ? '' : value;
+    });
+    quotaForm.hidden = false;
+  };
+
+  quotaForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = {};
+    quotaForm.querySelectorAll('input').forEach((input) => {
+      body[input.name] = input.value;
+    });
+    const data = await request(`/api/admin/users/${encodeURIComponent(quotaForm.dataset.uid)}/quota`, {
+      method: 'PUT',
+      body: JSON.stringify(body)
+    });
+    if (data) {
+      quotaForm.hidden = true;
+      loadUsers();
+    }
+  });
+
+  quotaForm.querySelector('[data-quota-cancel]').addEventListener('click', () => {
+    quotaForm.hidden = true;
+  });
+
+  rows.addEventListener('click', async (e) => {
+    const { action, uid } = e.target.dataset;
+    if (!action) return;
+    if (action === 'quota') {
+      openQuota(uid);
+      return;
+    }
+    const url = `/api/admin/users/${encodeURIComponent(uid)}`;
+    if (action === 'toggle') {
+      await request(url, { method: 'PATCH', body: JSON.stringify({ disabled: !e.target.dataset.disabled }) });
+    } else if (action === 'role') {
+      const role = e.target.dataset.role === 'admin' ? 'user' : 'admin';
+      await request(url, { method: 'PATCH', body: JSON.stringify({ role }) });
+    } else if (action === 'reset') {
+      if (!window.confirm(`Reset the password for ${uid}?`)) return;
+      const data = await request(`${url}/reset-password`, { method: 'POST', body: '{}' });
+      if (data) window.alert(`Temporary password for ${uid}: ${data.temporaryPassword}`);
+    } else if (action === 'reset-2fa') {
+      if (!window.confirm(`Turn off two-factor authentication for ${uid}? They can sign in with their password alone until they set it up again.`)) return;
+      await request(`${url}/reset-2fa`, { method: 'POST', body: '{}' });
+    } else if (action === 'unlock') {
+      await request(`${url}/unlock`, { method: 'POST', body: '{}' });
+    } else if (action === 'delete') {
+      if (!window.confirm(`Delete ${uid}? This cannot be undone.`)) return;
+      await request(url, { method: 'DELETE' });
+    }
+    loadUsers();
+  });
+
+  createForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = {
+      uid: createForm.querySelector('[name="uid"]').value.trim(),
+      password: createForm.querySelector('[name="password"]').value,
+      nickname: createForm.querySelector('[name="nickname"]').value.trim(),
+      role: createForm.querySelector('[name="role"]').value
+    };
+    const data = await request('/api/admin/users', { method: 'POST', body: JSON.stringify(body) });
+    if (data) {
+      createForm.reset();
+      loadUsers();
+    }
+  });
+
+  loadUsers();
+
+  const usagePanel = document.querySelector('[data-admin-usage]');
+  if (!usagePanel) return;
+  const rangeForm = usagePanel.querySelector('[data-usage-range]');
+  const usageRows = usagePanel.querySelector('[data-usage-rows]');
+  const exportLink = usagePanel.querySelector('[data-usage-export]');
+
+  const loadUsage = async () => {
+    const params = new URLSearchParams();
+    const from = rangeForm.querySelector('[name="from"]').value;
+    const to = rangeForm.querySelector('[name="to"]').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const data = await request(`/api/admin/usage?${params}`);
+    if (!data) return;
+    rangeForm.querySelector('[name="from"]').value = data.from;
+    rangeForm.querySelector('[name="to"]').value = data.to;
+    params.set('from', data.from);
+    params.set('to', data.to);
+    params.set('format', 'csv');
+    exportLink.href = `/api/admin/usage?${params}`;
+    usageRows.innerHTML = '';
+    data.users.forEach((row) => {
+      const tr = document.createElement('tr');
+      [row.uid, row.requests, row.promptTokens, row.outputTokens, row.totalTokens, row.images].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      usageRows.appendChild(tr);
+    });
+    if (!data.users.length) {
+      usageRows.innerHTML = '<tr><td colspan="6">No usage in this period.</td></tr>';
+    }
+  };
+
+  rangeForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadUsage();
+  });
+
+  loadUsage();
+
+  const auditPanel = document.querySelector('[data-admin-audit]');
+  if (!auditPanel) return;
+  const auditForm = auditPanel.querySelector('[data-audit-filter]');
+  const auditRows = auditPanel.querySelector('[data-audit-rows]');
+  const auditExport = auditPanel.querySelector('[data-audit-export]');
+  const auditStatus = auditPanel.querySelector('[data-audit-status]');
+  let auditPage = 1;
+  let auditPages = 1;
+
+  const fillOptions = (select, values) => {
+    if (select.options.length > 1) return;
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+  };
+
+  const auditDetails = (entry) => {
+    const parts = [];
+    if (entry.files && entry.files.length) {
+      parts.push(entry.files.map(file => `${file.name} (${file.sha256 ? file.sha256.slice(0, 12) : 'no hash'})`).join(', '));
+    }
+    if (entry.kind) parts.push(`${entry.kind}${entry.format ? ` · ${entry.format}` : ''}`);
+    if (entry.via === 'apiKey') parts.push(`API key ${entry.keyId}`);
+    if (entry.to !== undefined && entry.event === 'nickname.change') parts.push(`${entry.from || '—'} → ${entry.to}`);
+    if (entry.error) parts.push(entry.error);
+    return parts.join(' · ');
+  };
+
+  const loadAudit = async () => {
+    const params = new URLSearchParams();
+    ['from', 'to', 'event', 'outcome', 'uid', 'botId'].forEach((name) => {
+      const value = auditForm.querySelector(`[name="${name}"]`).value.trim();
+      if (value) params.set(name, value);
+    });
+    params.set('page', auditPage);
+    const data = await request(`/api/admin/audit?${params}`);
+    if (!data) return;
+    fillOptions(auditForm.querySelector('[name="event"]'), data.events);
+    fillOptions(auditForm.querySelector('[name="outcome"]'), data.outcomes);
+    auditForm.querySelector('[name="from"]').value = data.from;
+    auditForm.querySelector('[name="to"]').value = data.to;
+    params.set('from', data.from);
+    params.set('to', data.to);
+    params.delete('page');
+    params.set('format', 'csv');
+    auditExport.href = `/api/admin/audit?${params}`;
+    auditPage = data.page;
+    auditPages = data.pages;
+    auditStatus.textContent = `Page ${data.page} of ${data.pages} · ${data.total} entries`;
+    auditPanel.querySelector('[data-audit-retention]').textContent = `Entries are kept for ${data.retentionDays} days.`;
+    auditRows.innerHTML = '';
+    data.entries.forEach((entry) => {
+      const tr = document.createElement('tr');
+      [
+        new Date(entry.at).toLocaleString(),
+        entry.event,
+        entry.outcome,
+        entry.uid || '',
+        entry.botId || '',
+        entry.model || '',
+        entry.latencyMs !== undefined ? `${entry.latencyMs} ms` : '',
+        entry.tokens ? entry.tokens.totalTokens : '',
+        auditDetails(entry)
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      auditRows.appendChild(tr);
+    });
+    if (!data.entries.length) {
+      auditRows.innerHTML = '<tr><td colspan="9">No audit entries match.</td></tr>';
+    }
+  };
+
+  auditForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    auditPage = 1;
+    loadAudit();
+  });
+
+  auditPanel.querySelectorAll('[data-audit-page]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const next = auditPage + Number(btn.dataset.auditPage);
+      if (next < 1 || next > auditPages) return;
+      auditPage = next;
+      loadAudit();
+    });
+  });
+
+  loadAudit();
+})();
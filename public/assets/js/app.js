@@ -18,16 +18,60 @@
 
   const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  const fetchWithRetry = async (url, options, tries = 3) => {
+  // XHR rather than fetch so uploads report progress. Event-stream responses
+  // are handed to onStreamText as they arrive.
+  const postForm = (url, formData, { signal, onUpload, onStreamText }) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let seen = 0;
+    const isStream = () => (xhr.getResponseHeader('content-type') || '').includes('text/event-stream');
+    const flush = () => {
+      if (!isStream() || xhr.responseText.length === seen) return;
+      const text = xhr.responseText.slice(seen);
+      seen = xhr.responseText.length;
+      onStreamText(text);
+    };
+    xhr.open('POST', url);
+    xhr.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable && onUpload) onUpload(e.loaded, e.total);
+    });
+    xhr.addEventListener('progress', flush);
+    xhr.addEventListener('load', () => {
+      flush();
+      resolve({ status: xhr.status, stream: isStream(), body: xhr.responseText });
+    });
+    xhr.addEventListener('error', () => {
+      const err = new Error('network');
+      // Once a status or any bytes arrived the server has the request, and
+      // sending it again would run the turn twice.
+      err.responded = xhr.readyState >= XMLHttpRequest.HEADERS_RECEIVED || seen > 0;
+      reject(err);
+    });
+    xhr.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    if (signal) signal.addEventListener('abort', () => xhr.abort());
+    xhr.send(formData);
+  });
+
+  const isApiError = (res) => {
+    try {
+      return !!JSON.parse(res.body).error;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  const postWithRetry = async (url, formData, options, tries = 3) => {
     let lastErr;
     for (let i = 0; i < tries; i += 1) {
       try {
-        const res = await fetch(url, options);
-        if (res.status === 502 || res.status === 503 || res.status === 504) {
+        const res = await postForm(url, formData, options);
+        // The server already retried the model; only a cold start (an error
+        // page from the proxy rather than our JSON) is worth another try.
+        if ((res.status === 502 || res.status === 503 || res.status === 504) && !isApiError(res)) {
           throw new Error('waking');
         }
         return res;
       } catch (err) {
+        if (err.name === 'AbortError' || err.responded) throw err;
         lastErr = err;
         setStatus('warn', 'Waking up server...');
         await sleep(800 * (i + 1));
@@ -36,6 +80,26 @@
     throw lastErr;
   };
 
+  const createEventParser = (onEvent) => {
+    let buffer = '';
+    return (text) => {
+      buffer += text;
+      let idx = buffer.indexOf('\n\n');
+      while (idx !== -1) {
+        const block = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        let event = 'message';
+        let data = '';
+        block.split('\n').forEach((line) => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (data) onEvent(event, JSON.parse(data));
+        idx = buffer.indexOf('\n\n');
+      }
+    };
+  };
+
   const inputs = document.querySelectorAll('.input-row input');
   inputs.forEach((input) => {
     input.addEventListener('focus', () => input.parentElement.classList.add('is-focus'));
@@ -45,70 +109,807 @@
   const resolveBotId = () => {
     const fromBody = document.body.dataset.bot;
     if (fromBody) return fromBody;
-    const page = window.location.pathname.split('/').pop() || 'index.html';
-    const map = {
-      'image-generation.html': 'image',
-      'report-generation.html': 'report',
-      'paper-analysis.html': 'paper',
-      'data-analytics.html': 'data'
-    };
-    return map[page] || null;
+    if (!document.body.hasAttribute('data-assistant')) return null;
+    return new URLSearchParams(window.location.search).get('bot');
+  };
+
+  const bubbleText = new WeakMap();
+
+  // Assistant replies are Markdown; markdown.js builds them from an
+  // allow-list of elements, never through innerHTML.
+  const setBubbleText = (bubble, text) => {
+    bubbleText.set(bubble, text);
+    const body = bubble.querySelector('.message-body');
+    if (!body) {
+      bubble.querySelector('p').textContent = text;
+      return;
+    }
+    if (window.SuiteMarkdown) {
+      body.replaceChildren(window.SuiteMarkdown.render(text));
+    } else {
+      body.textContent = text;
+    }
+  };
+
+  const copyText = (text, label) => {
+    if (!navigator.clipboard) {
+      setStatus('error', 'Clipboard is not available.');
+      return;
+    }
+    navigator.clipboard.writeText(text)
+      .then(() => setStatus('success', `Copied ${label}`))
+      .catch(() => setStatus('error', 'Copy failed.'));
+  };
+
+  const addCopyActions = (bubble) => {
+    if (bubble.querySelector('.message-actions') || !bubbleText.get(bubble)) return;
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    actions.innerHTML = '<button type="button" data-copy="markdown">Copy as Markdown</button>'
+      + '<button type="button" data-copy="text">Copy as plain text</button>';
+    actions.addEventListener('click', (e) => {
+      const mode = e.target.dataset ? e.target.dataset.copy : null;
+      const text = bubbleText.get(bubble) || '';
+      if (mode === 'markdown') copyText(text, 'as Markdown');
+      if (mode === 'text') copyText(window.SuiteMarkdown ? window.SuiteMarkdown.toPlainText(text) : text, 'as plain text');
+    });
+    bubble.appendChild(actions);
+  };
+
+  const showModel = (bubble, model) => {
+    if (!model) return;
+    bubble.querySelector('.chat-meta').textContent = `Assistant · ${model}`;
+  };
+
+  const addBubble = (role, text) => {
+    const thread = document.querySelector('.chat-thread');
+    const bubble = document.createElement('div');
+    bubble.className = role === 'user' ? 'chat-card user' : 'chat-card';
+    bubble.dataset.turn = role;
+    bubble.innerHTML = `<div class="chat-meta">${role === 'user' ? 'You' : 'Assistant'}</div>`
+      + (role === 'user' ? '<p></p>' : '<div class="message-body"></div>');
+    setBubbleText(bubble, text);
+    thread.appendChild(bubble);
+    bubble.scrollIntoView({ behavior: 'smooth', block: 'end' });
+    return bubble;
+  };
+
+  const MAX_ATTACHMENTS = 5;
+  const pendingFiles = new Map();
+
+  const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  const renderAttachments = (panel) => {
+    const list = panel.querySelector('.attachment-list');
+    const files = pendingFiles.get(panel) || [];
+    list.innerHTML = '';
+    files.forEach((file, i) => {
+      const chip = document.createElement('div');
+      chip.className = 'attachment-chip';
+      chip.innerHTML = '<span class="attachment-name"></span><span class="attachment-size"></span>'
+        + '<button type="button" class="attachment-remove" aria-label="Remove attachment">×</button>'
+        + '<span class="attachment-progress"><span></span></span>';
+      chip.querySelector('.attachment-name').textContent = file.name;
+      chip.querySelector('.attachment-size').textContent = formatSize(file.size);
+      chip.querySelector('.attachment-remove').addEventListener('click', () => {
+        files.splice(i, 1);
+        renderAttachments(panel);
+      });
+      list.appendChild(chip);
+    });
+    list.hidden = files.length === 0;
+  };
+
+  const addAttachments = (panel, fileList) => {
+    const files = pendingFiles.get(panel) || [];
+    Array.from(fileList).forEach((file) => {
+      if (files.length >= MAX_ATTACHMENTS) {
+        setStatus('warn', `Up to ${MAX_ATTACHMENTS} files per message`);
+        return;
+      }
+      files.push(file);
+    });
+    pendingFiles.set(panel, files);
+    renderAttachments(panel);
+  };
+
+  // Approximates each file's share of the upload from its position in the
+  // multipart body; files are appended after the text fields.
+  const showUploadProgress = (panel, files, loaded, total) => {
+    const bars = panel.querySelectorAll('.attachment-progress span');
+    let start = total - files.reduce((sum, f) => sum + f.size, 0);
+    files.forEach((file, i) => {
+      const done = file.size ? Math.min(Math.max((loaded - start) / file.size, 0), 1) : 1;
+      if (bars[i]) bars[i].style.width = `${Math.round(done * 100)}%`;
+      start += file.size;
+    });
+  };
+
+  const setupAttachments = () => {
+    document.querySelectorAll('.input-panel').forEach((panel) => {
+      const fileInput = panel.querySelector('.file-input');
+      if (!fileInput) return;
+      fileInput.multiple = true;
+      const list = document.createElement('div');
+      list.className = 'attachment-list';
+      list.hidden = true;
+      panel.appendChild(list);
+      fileInput.addEventListener('change', () => {
+        addAttachments(panel, fileInput.files);
+        fileInput.value = '';
+      });
+
+      const dropZone = panel.closest('.chat-area') || panel;
+      dropZone.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        dropZone.classList.add('is-dragging');
+      });
+      dropZone.addEventListener('dragleave', (e) => {
+        if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove('is-dragging');
+      });
+      dropZone.addEventListener('drop', (e) => {
+        if (!e.dataTransfer || !e.dataTransfer.files.length) return;
+        e.preventDefault();
+        dropZone.classList.remove('is-dragging');
+        addAttachments(panel, e.dataTransfer.files);
+      });
+    });
+  };
+
+  const useAsReference = async (src) => {
+    const panel = document.querySelector('.input-panel');
+    if (!panel) return;
+    const res = await fetch(src);
+    const blob = await res.blob();
+    const ext = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+    addAttachments(panel, [new File([blob], `reference.${ext}`, { type: blob.type })]);
+    const modeSelect = panel.querySelector('[data-option="mode"]');
+    if (modeSelect && modeSelect.value === 'generate') modeSelect.value = 'edit';
+    setStatus('success', 'Reference image attached');
+  };
+
+  // Generated images share one grid per bubble; clicking picks the image the
+  // toolbar actions apply to.
+  const addImage = (bubble, src) => {
+    let grid = bubble.querySelector('.image-grid');
+    if (!grid) {
+      grid = document.createElement('div');
+      grid.className = 'image-grid';
+      bubble.appendChild(grid);
+      const tools = document.createElement('div');
+      tools.className = 'row-actions image-tools';
+      [['Open', 'open'], ['Download', 'download'], ['Use as reference', 'reference']].forEach(([label, action]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'conversation-btn';
+        btn.textContent = label;
+        btn.dataset.imageAction = action;
+        tools.appendChild(btn);
+      });
+      tools.addEventListener('click', (e) => {
+        const action = e.target.dataset ? e.target.dataset.imageAction : null;
+        const selected = grid.querySelector('.is-selected') || grid.querySelector('img');
+        if (!action || !selected) return;
+        if (action === 'open') window.open(selected.src, '_blank', 'noopener');
+        if (action === 'download') {
+          const link = document.createElement('a');
+          link.href = selected.src.startsWith('data:') ? selected.src : `${selected.src}?download=1`;
+          link.download = 'generated-image';
+          link.click();
+        }
+        if (action === 'reference') useAsReference(selected.src).catch(() => setStatus('error', 'Could not load that image.'));
+      });
+      bubble.appendChild(tools);
+    }
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = 'Generated output';
+    img.className = 'chat-image';
+    img.addEventListener('click', () => {
+      grid.querySelectorAll('img').forEach(el => el.classList.toggle('is-selected', el === img));
+    });
+    grid.appendChild(img);
+    grid.classList.toggle('multi', grid.children.length > 1);
+  };
+
+  const showChart = (bubble, chart) => {
+    if (!chart || !window.SuiteCharts || !window.SuiteCharts.validate(chart)) return;
+    bubble.appendChild(window.SuiteCharts.render(chart));
+  };
+
+  const showProfile = (bubble, profile) => {
+    if (!Array.isArray(profile) || !profile.length) return;
+    const details = document.createElement('details');
+    details.className = 'profile-block';
+    const summary = document.createElement('summary');
+    summary.textContent = `Dataset profile (${profile.map(sheet => `${sheet.name}: ${sheet.rowCount} rows`).join(', ')})`;
+    details.appendChild(summary);
+    profile.forEach((sheet) => {
+      const table = document.createElement('table');
+      table.className = 'data-table';
+      table.innerHTML = '<caption></caption><thead><tr><th>Column</th><th>Type</th><th>Nulls</th><th>Distinct</th><th>Min</th><th>Max</th><th>Mean</th><th>Median</th><th>Std dev</th><th>Top / range</th></tr></thead><tbody></tbody>';
+      table.querySelector('caption').textContent = sheet.name;
+      const body = table.querySelector('tbody');
+      sheet.columns.forEach((col) => {
+        const tr = document.createElement('tr');
+        const extra = col.dateRange
+          ? `${col.dateRange.min.slice(0, 10)} → ${col.dateRange.max.slice(0, 10)}`
+          : (col.top || []).map(t => `${t.value} (${t.count})`).join(', ');
+        [col.name, col.type, col.nulls, col.distinct, col.min, col.max, col.mean, col.median, col.stddev, extra].forEach((value) => {
+          const td = document.createElement('td');
+          td.textContent = value === undefined || value === null ? '' : value;
+          tr.appendChild(td);
+        });
+        body.appendChild(tr);
+      });
+      details.appendChild(table);
+      if (sheet.correlations && sheet.correlations.length) {
+        const note = document.createElement('p');
+        note.className = 'input-hint';
+        note.textContent = `Correlations: ${sheet.correlations.map(c => `${c.a} ~ ${c.b}: r=${c.r}`).join('; ')}`;
+        details.appendChild(note);
+      }
+    });
+    bubble.appendChild(details);
+  };
+
+  const showQuery = (bubble, query) => {
+    if (!query || bubble.querySelector('.query-block')) return;
+    const details = document.createElement('details');
+    details.className = 'profile-block query-block';
+    const summary = document.createElement('summary');
+    const { result } = query;
+    summary.textContent = result
+      ? `Query result (${result.rowCount} row${result.rowCount === 1 ? '' : 's'}, computed over all ${result.scannedRows} rows${query.file ? ` of ${query.file}` : ''})`
+      : 'Query failed';
+    details.appendChild(summary);
+    const plan = document.createElement('pre');
+    plan.textContent = JSON.stringify(query.plan, null, 2);
+    details.appendChild(plan);
+    if (query.error) {
+      const note = document.createElement('p');
+      note.className = 'input-hint';
+      note.textContent = query.error;
+      details.appendChild(note);
+    }
+    if (result) {
+      const table = document.createElement('table');
+      table.className = 'data-table';
+      table.innerHTML = '<thead><tr></tr></thead><tbody></tbody>';
+      result.columns.forEach((column) => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        table.querySelector('thead tr').appendChild(th);
+      });
+      result.rows.forEach((row) => {
+        const tr = document.createElement('tr');
+        row.forEach((value) => {
+          const td = document.createElement('td');
+          td.textContent = value === null ? '' : value;
+          tr.appendChild(td);
+        });
+        table.querySelector('tbody').appendChild(tr);
+      });
+      details.appendChild(table);
+      if (result.truncated) {
+        const note = document.createElement('p');
+        note.className = 'input-hint';
+        note.textContent = `Showing the first ${result.rows.length} of ${result.rowCount} rows.`;
+        details.appendChild(note);
+      }
+    }
+    bubble.appendChild(details);
+  };
+
+  const showSections = (bubble, sections) => {
+    if (!Array.isArray(sections) || !sections.length) return;
+    const note = document.createElement('p');
+    note.className = 'input-hint';
+    note.textContent = `Analyzed in ${sections.length} parts: ${sections.join(' · ')}`;
+    bubble.appendChild(note);
+  };
+
+  const showCitations = (bubble, citations) => {
+    if (!Array.isArray(citations) || !citations.length || bubble.querySelector('.citation-list')) return;
+    const list = document.createElement('details');
+    list.className = 'export-menu citation-list';
+    list.innerHTML = '<summary></summary><ol></ol>';
+    list.querySelector('summary').textContent = `Library sources (${citations.length})`;
+    citations.forEach((citation) => {
+      const item = document.createElement('li');
+      item.textContent = citation.label;
+      list.querySelector('ol').appendChild(item);
+    });
+    bubble.appendChild(list);
+  };
+
+  const humanize = key => String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .toLowerCase()
+    .replace(/^\w/, c => c.toUpperCase());
+
+  const structuredValue = (value) => {
+    if (Array.isArray(value)) {
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        const list = document.createElement('ul');
+        value.forEach((item) => {
+          const li = document.createElement('li');
+          li.textContent = String(item);
+          list.appendChild(li);
+        });
+        return list;
+      }
+      const wrap = document.createElement('div');
+      value.forEach(item => wrap.appendChild(structuredCard(item.heading || item.title || item.name || '', item, true)));
+      return wrap;
+    }
+    if (value && typeof value === 'object') {
+      const wrap = document.createElement('div');
+      Object.entries(value).forEach(([key, child]) => wrap.appendChild(structuredCard(humanize(key), child, false)));
+      return wrap;
+    }
+    const p = document.createElement('p');
+    p.textContent = String(value);
+    return p;
+  };
+
+  // Objects inside a list are cards titled by their heading field, so that
+  // field is not repeated in the body.
+  function structuredCard(label, value, isItem) {
+    const card = document.createElement('details');
+    card.className = isItem ? 'structured-card nested' : 'structured-card';
+    card.open = true;
+    const summary = document.createElement('summary');
+    summary.textContent = label;
+    card.appendChild(summary);
+    if (isItem && value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value)
+        .filter(([key]) => !['heading', 'title', 'name'].includes(key))
+        .forEach(([, child]) => card.appendChild(structuredValue(child)));
+    } else {
+      card.appendChild(structuredValue(value));
+    }
+    return card;
+  }
+
+  const showStructured = (bubble, data, errors) => {
+    if (!data || typeof data !== 'object') {
+      if (errors && errors.length) {
+        const note = document.createElement('p');
+        note.className = 'input-hint';
+        note.textContent = 'The reply did not match the expected structure, so it is shown as plain text.';
+        bubble.appendChild(note);
+      }
+      return;
+    }
+    const body = bubble.querySelector('.message-body');
+    if (body) body.hidden = true;
+    const wrap = document.createElement('div');
+    wrap.className = 'structured-cards';
+    if (typeof data.title === 'string') {
+      const title = document.createElement('h3');
+      title.textContent = data.title;
+      wrap.appendChild(title);
+    }
+    Object.entries(data)
+      .filter(([key, value]) => !(key === 'title' && typeof value === 'string') && value !== null && value !== '')
+      .forEach(([key, value]) => wrap.appendChild(structuredCard(humanize(key), value, false)));
+    bubble.appendChild(wrap);
+  };
+
+  const showDownloads = (bubble, convId, messageId) => {
+    if (!convId || !messageId || bubble.querySelector('.report-downloads')) return;
+    const menu = document.createElement('details');
+    menu.className = 'export-menu report-downloads';
+    menu.innerHTML = '<summary>Download</summary>';
+    const base = `/api/conversations/${encodeURIComponent(convId)}/messages/${encodeURIComponent(messageId)}/export`;
+    [['docx', 'Word (.docx)'], ['pdf', 'PDF'], ['md', 'Markdown']].forEach(([format, label]) => {
+      const link = document.createElement('a');
+      link.href = `${base}?format=${format}`;
+      link.textContent = label;
+      link.setAttribute('download', '');
+      menu.appendChild(link);
+    });
+    bubble.appendChild(menu);
+  };
+
+  const showReferences = (bubble, convId, messageId, count) => {
+    if (!convId || !messageId || !count || bubble.querySelector('.reference-downloads')) return;
+    const menu = document.createElement('details');
+    menu.className = 'export-menu reference-downloads';
+    menu.innerHTML = '<summary></summary>';
+    menu.querySelector('summary').textContent = `References (${count})`;
+    const base = `/api/conversations/${encodeURIComponent(convId)}/messages/${encodeURIComponent(messageId)}/references`;
+    [['bibtex', 'BibTeX (.bib)'], ['ris', 'RIS (.ris)'], ['json', 'JSON']].forEach(([format, label]) => {
+      const link = document.createElement('a');
+      link.href = `${base}?format=${format}`;
+      link.textContent = label;
+      link.setAttribute('download', '');
+      menu.appendChild(link);
+    });
+    bubble.appendChild(menu);
+  };
+
+  const showFiles = (bubble, files) => {
+    const stored = files.filter(file => file.url);
+    if (!stored.length) return;
+    const list = document.createElement('div');
+    list.className = 'export-menu';
+    stored.forEach((file) => {
+      const link = document.createElement('a');
+      link.href = file.url;
+      link.textContent = file.name;
+      link.setAttribute('download', '');
+      list.appendChild(link);
+    });
+    bubble.appendChild(list);
+  };
+
+  const conversationKey = (botId) => `suite.conversation.${botId}`;
+  let conversationId = null;
+  let conversationSelect = null;
+
+  const refreshConversations = async (botId) => {
+    if (!conversationSelect) return;
+    try {
+      const res = await fetch(`/api/conversations?botId=${encodeURIComponent(botId)}`);
+      if (!res.ok) return;
+      const data = await res.json();
+      conversationSelect.innerHTML = '<option value="">New conversation</option>';
+      data.conversations.forEach((c) => {
+        const option = document.createElement('option');
+        option.value = c.id;
+        option.textContent = c.title;
+        conversationSelect.appendChild(option);
+      });
+      conversationSelect.value = conversationId || '';
+    } catch (err) {
+      // ignore
+    }
+  };
+
+  const openConversation = async (botId, id) => {
+    document.querySelectorAll('.chat-thread [data-turn]').forEach(el => el.remove());
+    conversationId = null;
+    localStorage.removeItem(conversationKey(botId));
+    if (!id) return;
+    try {
+      const res = await fetch(`/api/conversations/${encodeURIComponent(id)}`);
+      if (!res.ok) return;
+      const data = await res.json();
+      conversationId = data.id;
+      localStorage.setItem(conversationKey(botId), data.id);
+      data.turns.forEach((turn) => {
+        let text = turn.text || '';
+        const fileNames = (turn.files || []).map(f => f.name).join(', ');
+        if (turn.role === 'user' && fileNames) {
+          text = text ? `${text}\n\nAttached: ${fileNames}` : `Uploaded: ${fileNames}`;
+        }
+        if (turn.role === 'model' && turn.image && !(turn.imageUrls && turn.imageUrls.length)) {
+          text = text ? `${text}\n\n[Generated image not kept in history]` : '[Generated image not kept in history]';
+        }
+        const imageUrls = turn.imageUrls || [];
+        const bubble = addBubble(turn.role === 'user' ? 'user' : 'model', text || (imageUrls.length ? '' : 'No response text returned.'));
+        imageUrls.forEach(url => addImage(bubble, url));
+        if (turn.files) showFiles(bubble, turn.files);
+        if (turn.chart) showChart(bubble, turn.chart);
+        if (turn.profile) showProfile(bubble, turn.profile);
+        if (turn.query) showQuery(bubble, turn.query);
+        if (turn.structured) showStructured(bubble, turn.structured);
+        if (turn.sections) showSections(bubble, turn.sections);
+        if (turn.citations) showCitations(bubble, turn.citations);
+        if (turn.report) showDownloads(bubble, data.id, turn.id);
+        if (turn.referenceCount) showReferences(bubble, data.id, turn.id, turn.referenceCount);
+        if (turn.role === 'model') showModel(bubble, turn.model);
+        if (turn.role === 'model' && turn.text) addCopyActions(bubble);
+      });
+    } catch (err) {
+      setStatus('error', 'Could not restore conversation.');
+    }
+  };
+
+  const setupConversations = () => {
+    const botId = resolveBotId();
+    const thread = document.querySelector('.chat-thread');
+    if (!botId || !thread) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'conversation-bar';
+    bar.innerHTML = '<select class="conversation-select"><option value="">New conversation</option></select>'
+      + '<button type="button" class="conversation-btn" data-action="new">New chat</button>'
+      + '<button type="button" class="conversation-btn" data-action="rename">Rename</button>'
+      + '<button type="button" class="conversation-btn" data-action="delete">Delete</button>';
+    thread.parentElement.insertBefore(bar, thread);
+    conversationSelect = bar.querySelector('.conversation-select');
+
+    conversationSelect.addEventListener('change', async () => {
+      await openConversation(botId, conversationSelect.value);
+    });
+
+    bar.addEventListener('click', async (e) => {
+      const action = e.target.dataset ? e.target.dataset.action : null;
+      if (!action) return;
+      if (action === 'new') {
+        await openConversation(botId, '');
+        conversationSelect.value = '';
+        return;
+      }
+      if (!conversationId) return;
+      if (action === 'rename') {
+        const current = conversationSelect.selectedOptions[0];
+        const title = window.prompt('Conversation title', current ? current.textContent : '');
+        if (!title || !title.trim()) return;
+        const res = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ title: title.trim() })
+        });
+        if (!res.ok) {
+          setStatus('error', 'Rename failed.');
+          return;
+        }
+        await refreshConversations(botId);
+        return;
+      }
+      if (action === 'delete') {
+        if (!window.confirm('Delete this conversation?')) return;
+        const res = await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, { method: 'DELETE' });
+        if (!res.ok) {
+          setStatus('error', 'Delete failed.');
+          return;
+        }
+        await openConversation(botId, '');
+        await refreshConversations(botId);
+      }
+    });
+
+    const saved = localStorage.getItem(conversationKey(botId));
+    openConversation(botId, saved).then(() => refreshConversations(botId));
+  };
+
+  // Jobs outlive the page, so the tray is rebuilt from /api/jobs on load and
+  // polled while anything is still queued or running.
+  const JOB_POLL_MS = 2000;
+  const ACTIVE_JOB = ['queued', 'running'];
+  const jobStates = new Map();
+  let jobTray = null;
+  let jobTimer = null;
+
+  const jobStatusText = (job) => {
+    if (job.status === 'queued') return job.position ? `Queued (#${job.position})` : 'Queued';
+    if (job.status === 'running') {
+      return job.progress ? `Running: part ${job.progress.index} of ${job.progress.total}` : 'Running';
+    }
+    if (job.status === 'succeeded') return 'Done';
+    if (job.status === 'canceled') return 'Canceled';
+    return job.error ? `Failed: ${job.error}` : 'Failed';
+  };
+
+  const renderJobs = (list) => {
+    const items = jobTray.querySelector('.job-list');
+    items.innerHTML = '';
+    jobTray.hidden = !list.length;
+    list.forEach((job) => {
+      const item = document.createElement('div');
+      item.className = `job-item is-${job.status}`;
+      item.innerHTML = '<span class="job-title"></span><span class="job-status"></span><span class="row-actions"></span>';
+      item.querySelector('.job-title').textContent = job.title;
+      item.querySelector('.job-status').textContent = jobStatusText(job);
+      const actions = item.querySelector('.row-actions');
+      const addAction = (action, label) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'conversation-btn';
+        btn.dataset.jobAction = action;
+        btn.dataset.jobId = job.id;
+        btn.dataset.conversationId = job.conversationId || '';
+        btn.textContent = label;
+        actions.appendChild(btn);
+      };
+      if (ACTIVE_JOB.includes(job.status)) {
+        addAction('cancel', 'Cancel');
+      } else {
+        if (job.status === 'succeeded' && job.conversationId) addAction('open', 'Open');
+        addAction('dismiss', 'Dismiss');
+      }
+      items.appendChild(item);
+    });
+  };
+
+  const refreshJobs = async (botId) => {
+    if (!jobTray) return;
+    clearTimeout(jobTimer);
+    let list = null;
+    try {
+      const res = await fetch(`/api/jobs?botId=${encodeURIComponent(botId)}`);
+      if (res.ok) list = (await res.json()).jobs;
+    } catch (err) {
+      // retried below
+    }
+    if (!list) {
+      jobTimer = setTimeout(() => refreshJobs(botId), JOB_POLL_MS);
+      return;
+    }
+    renderJobs(list);
+    for (const job of list) {
+      const previous = jobStates.get(job.id);
+      jobStates.set(job.id, job.status);
+      if (!ACTIVE_JOB.includes(previous) || ACTIVE_JOB.includes(job.status)) continue;
+      if (job.status === 'succeeded') {
+        // Show the reply in place when its conversation is the one on screen.
+        if (job.conversationId && (!conversationId || conversationId === job.conversationId)) {
+          await openConversation(botId, job.conversationId);
+          await refreshConversations(botId);
+        }
+        setStatus('success', `Finished: ${job.title}`);
+      } else if (job.status === 'failed') {
+        setStatus('error', `Job failed: ${job.title}`);
+      }
+    }
+    if (list.some(job => ACTIVE_JOB.includes(job.status))) {
+      jobTimer = setTimeout(() => refreshJobs(botId), JOB_POLL_MS);
+    }
+  };
+
+  const setupJobs = () => {
+    const botId = resolveBotId();
+    const thread = document.querySelector('.chat-thread');
+    if (!botId || !thread) return;
+
+    jobTray = document.createElement('div');
+    jobTray.className = 'job-tray';
+    jobTray.hidden = true;
+    jobTray.innerHTML = '<div class="job-tray-title">Background jobs</div><div class="job-list"></div>';
+    thread.parentElement.insertBefore(jobTray, thread);
+
+    jobTray.addEventListener('click', async (e) => {
+      const { jobAction, jobId } = e.target.dataset || {};
+      if (!jobAction) return;
+      const url = `/api/jobs/${encodeURIComponent(jobId)}`;
+      if (jobAction === 'cancel') {
+        const res = await fetch(`${url}/cancel`, { method: 'POST' });
+        if (!res.ok) setStatus('error', 'Could not cancel the job.');
+      } else if (jobAction === 'dismiss') {
+        await fetch(url, { method: 'DELETE' });
+      } else if (jobAction === 'open') {
+        await openConversation(botId, e.target.dataset.conversationId);
+        await refreshConversations(botId);
+        return;
+      }
+      await refreshJobs(botId);
+    });
+
+    refreshJobs(botId);
   };
 
+  setupConversations();
+  setupJobs();
+  setupAttachments();
+
   const sendButtons = document.querySelectorAll('.send-btn');
   sendButtons.forEach((btn) => {
     btn.addEventListener('click', async () => {
       const row = btn.closest('.input-row');
       const input = row ? row.querySelector('input') : null;
       const panel = btn.closest('.input-panel');
-      const fileInput = panel ? panel.querySelector('.file-input') : null;
-      const chartSelect = panel ? panel.querySelector('.chart-select') : null;
+      const chartSelect = panel ? panel.querySelector('.chart-select:not([data-option])') : null;
 
       const text = input ? input.value.trim() : '';
-      const file = fileInput && fileInput.files ? fileInput.files[0] : null;
+      const files = panel ? (pendingFiles.get(panel) || []).slice() : [];
       const chartType = chartSelect ? chartSelect.value : '';
+      const options = panel ? Array.from(panel.querySelectorAll('[data-option]')) : [];
+      const backgroundToggle = panel ? panel.querySelector('[data-background]') : null;
+      const background = !!(backgroundToggle && backgroundToggle.checked);
 
-      if (!text && !file) {
+      if (!text && !files.length) {
         return;
       }
 
       const thread = document.querySelector('.chat-thread');
       if (!thread) return;
 
-      const userBubble = document.createElement('div');
-      userBubble.className = 'chat-card user';
-      userBubble.innerHTML = '<div class="chat-meta">You</div><p></p>';
-      userBubble.querySelector('p').textContent = text || (file ? `Uploaded: ${file.name}` : '');
-      thread.appendChild(userBubble);
-      userBubble.scrollIntoView({ behavior: 'smooth', block: 'end' });
-
-      const assistantBubble = document.createElement('div');
-      assistantBubble.className = 'chat-card';
-      assistantBubble.innerHTML = '<div class="chat-meta">Assistant</div><p>Thinking…</p>';
-      thread.appendChild(assistantBubble);
-      assistantBubble.scrollIntoView({ behavior: 'smooth', block: 'end' });
+      const attachedNames = files.map(f => f.name).join(', ');
+      const userBubble = addBubble('user', text ? `${text}${files.length ? `\n\nAttached: ${attachedNames}` : ''}` : `Uploaded: ${attachedNames}`);
+      const assistantBubble = addBubble('model', 'Thinking…');
 
       if (input) input.value = '';
-      if (fileInput) fileInput.value = '';
       btn.classList.add('is-sent');
       setTimeout(() => btn.classList.remove('is-sent'), 600);
 
       const botId = resolveBotId();
       if (!botId) {
-        assistantBubble.querySelector('p').textContent = 'No bot configured for this page.';
+        setBubbleText(assistantBubble, 'No bot configured for this page.');
         return;
       }
 
+      const setText = value => setBubbleText(assistantBubble, value);
+      const controller = new AbortController();
+      const stopBtn = document.createElement('button');
+      stopBtn.type = 'button';
+      stopBtn.className = 'stop-btn';
+      stopBtn.textContent = 'Stop';
+      stopBtn.addEventListener('click', () => controller.abort());
+      if (row) row.appendChild(stopBtn);
+
+      const rememberConversation = (id) => {
+        if (!id || id === conversationId) return;
+        conversationId = id;
+        localStorage.setItem(conversationKey(botId), conversationId);
+        refreshConversations(botId);
+      };
+
+      const attachmentList = panel ? panel.querySelector('.attachment-list') : null;
+      if (attachmentList) attachmentList.classList.add('is-uploading');
+      const clearAttachments = () => {
+        if (!attachmentList) return;
+        attachmentList.classList.remove('is-uploading');
+        if (!files.length) return;
+        pendingFiles.set(panel, (pendingFiles.get(panel) || []).filter(f => !files.includes(f)));
+        renderAttachments(panel);
+      };
+
+      let streamed = '';
+      let failed = false;
+      const handleEvent = (event, data) => {
+        if (event === 'start') {
+          rememberConversation(data.conversationId);
+        } else if (event === 'profile') {
+          showProfile(userBubble, data.profile);
+        } else if (event === 'query') {
+          showQuery(assistantBubble, data.query);
+        } else if (event === 'progress') {
+          setText(data.paper
+            ? `Comparing papers… ${data.index} of ${data.total}: ${data.paper}`
+            : `Reading the document in parts… ${data.index} of ${data.total}: ${data.section}`);
+          setStatus('warn', `Analyzing part ${data.index} of ${data.total}`);
+        } else if (event === 'done') {
+          showQuery(assistantBubble, data.query);
+          showStructured(assistantBubble, data.structured, data.structuredErrors);
+          showSections(assistantBubble, data.sections);
+          showCitations(assistantBubble, data.citations);
+          if (data.report) showDownloads(assistantBubble, data.conversationId, data.messageId);
+          showReferences(assistantBubble, data.conversationId, data.messageId, (data.references || []).length);
+          showModel(assistantBubble, data.model);
+          addCopyActions(assistantBubble);
+        } else if (event === 'chunk') {
+          streamed += data.text;
+          setText(streamed);
+        } else if (event === 'image') {
+          addImage(assistantBubble, data.image);
+        } else if (event === 'chart') {
+          streamed = data.text || streamed;
+          setText(streamed);
+          showChart(assistantBubble, data.chart);
+        } else if (event === 'error') {
+          failed = true;
+          setText(streamed ? `${streamed}\n\n${data.error}` : data.error);
+        }
+      };
+
       try {
         const formData = new FormData();
         if (text) formData.append('text', text);
         if (chartType) formData.append('chartType', chartType);
-        if (file) formData.append('file', file);
+        if (conversationId) formData.append('conversationId', conversationId);
+        options.forEach(el => formData.append(el.dataset.option, el.value));
+        formData.append(background ? 'job' : 'stream', '1');
+        files.forEach(item => formData.append('file', item));
 
-        const res = await fetchWithRetry(`/api/bot/${botId}`, {
-          method: 'POST',
-          body: formData
+        const res = await postWithRetry(`/api/bot/${botId}`, formData, {
+          signal: controller.signal,
+          onUpload: (loaded, total) => {
+            if (panel) showUploadProgress(panel, files, loaded, total);
+            if (loaded >= total) clearAttachments();
+          },
+          onStreamText: createEventParser(handleEvent)
         });
+        clearAttachments();
 
         if (res.status === 401) {
           setStatus('error', 'Session expired. Please login again.');
@@ -116,24 +917,62 @@
           return;
         }
 
-        const data = await res.json();
-        if (!res.ok) {
-          assistantBubble.querySelector('p').textContent = data.error || 'Request failed.';
+        if (!res.stream) {
+          const data = JSON.parse(res.body || '{}');
+          if (res.status >= 400) {
+            setText(data.error || 'Request failed.');
+            return;
+          }
+          if (res.status === 202 && data.job) {
+            setText(`${jobStatusText(data.job)} in the background. The reply is added to this conversation when it is ready, even if you leave the page.`);
+            rememberConversation(data.job.conversationId);
+            jobStates.set(data.job.id, data.job.status);
+            refreshJobs(botId);
+            setStatus('success', 'Job submitted');
+            return;
+          }
+          setText(data.text || 'No response text returned.');
+          rememberConversation(data.conversationId);
+          (data.images || []).forEach(src => addImage(assistantBubble, src));
+          showChart(assistantBubble, data.chart);
+          showProfile(userBubble, data.profile);
+          showQuery(assistantBubble, data.query);
+          showStructured(assistantBubble, data.structured, data.structuredErrors);
+          showSections(assistantBubble, data.sections);
+          showCitations(assistantBubble, data.citations);
+          if (data.report) showDownloads(assistantBubble, data.conversationId, data.messageId);
+          showReferences(assistantBubble, data.conversationId, data.messageId, (data.references || []).length);
+          showModel(assistantBubble, data.model);
+          addCopyActions(assistantBubble);
+          setStatus('success', 'Response received');
           return;
         }
 
-        assistantBubble.querySelector('p').textContent = data.text || 'No response text returned.';
-        if (data.image) {
-          const img = document.createElement('img');
-          img.src = data.image;
-          img.alt = 'Generated output';
-          img.className = 'chat-image';
-          assistantBubble.appendChild(img);
+        if (failed) {
+          setStatus('error', 'Request failed. Try again.');
+          return;
+        }
+        if (!streamed) {
+          setText('No response text returned.');
         }
         setStatus('success', 'Response received');
       } catch (err) {
-        assistantBubble.querySelector('p').textContent = 'Server is waking up. Please try again in a moment.';
+        if (err.name === 'AbortError') {
+          setText(streamed ? `${streamed}\n\n[Stopped]` : 'Stopped.');
+          if (streamed) addCopyActions(assistantBubble);
+          setStatus('warn', 'Response stopped');
+          return;
+        }
+        if (err.responded) {
+          setText(streamed ? `${streamed}\n\n[Connection lost]` : 'The connection was lost. Reopen the conversation to see whether the reply was saved.');
+          setStatus('error', 'Connection lost');
+          return;
+        }
+        setText('Server is waking up. Please try again in a moment.');
         setStatus('error', 'Request failed. Try again.');
+      } finally {
+        clearAttachments();
+        stopBtn.remove();
       }
     });
   });
@@ -158,4 +997,36 @@
       link.classList.add('active');
     }
   });
+
+  const navBar = document.querySelector('.nav-links');
+  const currentPage = `${current}${window.location.search}`;
+  const addNavLink = (href, label, before) => {
+    if (!navBar || navBar.querySelector(`a[href="${href}"]`)) return;
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = label;
+    if (href === current || href === currentPage) link.classList.add('active');
+    navBar.insertBefore(link, before || null);
+  };
+
+  fetch('/api/session')
+    .then(res => res.json())
+    .then((data) => {
+      if (!data.authenticated) return null;
+      addNavLink('gallery.html', 'Gallery');
+      addNavLink('library.html', 'Library');
+      addNavLink('usage.html', 'Usage');
+      addNavLink('password.html', 'Account');
+      addNavLink('keys.html', 'API keys');
+      if (data.role === 'admin') addNavLink('admin.html', 'Admin');
+      return fetch('/api/bots').then(res => res.json());
+    })
+    .then((data) => {
+      if (!data || !navBar) return;
+      const first = navBar.querySelector('a[href="gallery.html"]');
+      data.bots.forEach((bot) => {
+        addNavLink(`assistant.html?bot=${encodeURIComponent(bot.id)}`, bot.shortName, first);
+      });
+    })
+    .catch(() => {});
 })();
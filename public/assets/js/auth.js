@@ -1,6 +1,9 @@
 ﻿(() => {
   const loginForm = document.querySelector('[data-login-form]');
   const nicknameForm = document.querySelector('[data-nickname-form]');
+  const passwordForm = document.querySelector('[data-password-form]');
+  const totpForm = document.querySelector('[data-totp-form]');
+  const twoFactorPanel = document.querySelector('[data-two-factor]');
   const errorBox = document.querySelector('[data-error]');
 
   const showError = (msg) => {
@@ -17,11 +20,36 @@
     }
   };
 
+  const afterLogin = (data) => {
+    if (data.mustChangePassword) {
+      location.href = '/password.html';
+    } else if (data.needsNickname) {
+      location.href = '/nickname.html';
+    } else {
+      location.href = '/index.html';
+    }
+  };
+
+  const showTotpStep = () => {
+    if (!loginForm || !totpForm) return;
+    loginForm.hidden = true;
+    totpForm.hidden = false;
+    totpForm.querySelector('[name="code"]').focus();
+  };
+
   const redirectBySession = async () => {
     try {
       const res = await fetch('/api/session');
       const data = await res.json();
+      if (data.twoFactorPending) showTotpStep();
       if (!data.authenticated) return;
+      if (data.mustChangePassword) {
+        if (location.pathname !== '/password.html') {
+          location.href = '/password.html';
+        }
+        return;
+      }
+      if (location.pathname === '/password.html') return;
       if (!data.nickname) {
         if (location.pathname !== '/nickname.html') {
           location.href = '/nickname.html';
@@ -61,17 +89,184 @@
           showError(data.error || 'Login failed.');
           return;
         }
-        if (data.needsNickname) {
-          location.href = '/nickname.html';
-        } else {
-          location.href = '/index.html';
+        if (data.twoFactorRequired) {
+          showTotpStep();
+          return;
         }
+        afterLogin(data);
       } catch (err) {
         showError('Login failed. Try again.');
       }
     });
   }
 
+  if (totpForm) {
+    totpForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      hideError();
+      const code = totpForm.querySelector('[name="code"]').value.trim();
+      if (!code) {
+        showError('Enter the code from your authenticator app.');
+        return;
+      }
+      try {
+        const res = await fetch('/api/login/2fa', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          showError(data.error || 'Verification failed.');
+          if (res.status === 401 && /password/i.test(data.error || '')) {
+            totpForm.hidden = true;
+            loginForm.hidden = false;
+          }
+          return;
+        }
+        if (data.recoveryCodesLeft !== undefined) {
+          window.alert(`Recovery code used. ${data.recoveryCodesLeft} left; create new ones from your account page if you are running low.`);
+        }
+        afterLogin(data);
+      } catch (err) {
+        showError('Verification failed. Try again.');
+      }
+    });
+  }
+
+  if (passwordForm) {
+    passwordForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      hideError();
+      const currentPassword = passwordForm.querySelector('[name="currentPassword"]').value;
+      const newPassword = passwordForm.querySelector('[name="newPassword"]').value;
+      const confirmPassword = passwordForm.querySelector('[name="confirmPassword"]').value;
+
+      if (!currentPassword || !newPassword) {
+        showError('Current and new password are required.');
+        return;
+      }
+      if (newPassword !== confirmPassword) {
+        showError('New passwords do not match.');
+        return;
+      }
+
+      try {
+        const res = await fetch('/api/password', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          showError(data.error || 'Unable to change password.');
+          return;
+        }
+        location.href = data.needsNickname ? '/nickname.html' : '/index.html';
+      } catch (err) {
+        showError('Unable to change password.');
+      }
+    });
+  }
+
+  if (twoFactorPanel) {
+    const status = twoFactorPanel.querySelector('[data-two-factor-status]');
+    const panelError = twoFactorPanel.querySelector('[data-two-factor-error]');
+    const setupForm = twoFactorPanel.querySelector('[data-two-factor-setup]');
+    const enroll = twoFactorPanel.querySelector('[data-two-factor-enroll]');
+    const enableForm = twoFactorPanel.querySelector('[data-two-factor-enable]');
+    const manageForm = twoFactorPanel.querySelector('[data-two-factor-manage]');
+    const recoveryBox = twoFactorPanel.querySelector('[data-recovery-codes]');
+
+    const setPanelError = (msg) => {
+      panelError.textContent = msg || '';
+      panelError.style.display = msg ? 'block' : 'none';
+    };
+
+    const post = async (url, body) => {
+      setPanelError('');
+      try {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          setPanelError(data.error || 'Request failed.');
+          return null;
+        }
+        return data;
+      } catch (err) {
+        setPanelError('Request failed. Try again.');
+        return null;
+      }
+    };
+
+    const showRecoveryCodes = (codes) => {
+      recoveryBox.querySelector('[data-recovery-list]').textContent = codes.join('\n');
+      recoveryBox.hidden = false;
+    };
+
+    const render = (state) => {
+      status.textContent = state.enabled
+        ? `On since ${new Date(state.enabledAt).toLocaleDateString()}. ${state.recoveryCodesLeft} recovery code(s) left.`
+        : 'Off. Add a code from an authenticator app to every sign-in.';
+      setupForm.hidden = state.enabled;
+      manageForm.hidden = !state.enabled;
+      enroll.hidden = true;
+      setupForm.reset();
+      manageForm.reset();
+      enableForm.reset();
+    };
+
+    const load = async () => {
+      const res = await fetch('/api/account/2fa');
+      if (!res.ok) return;
+      render(await res.json());
+      twoFactorPanel.hidden = false;
+    };
+
+    setupForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      recoveryBox.hidden = true;
+      const data = await post('/api/account/2fa/setup', { password: setupForm.querySelector('[name="password"]').value });
+      if (!data) return;
+      twoFactorPanel.querySelector('[data-qr]').src = data.qrCode;
+      twoFactorPanel.querySelector('[data-secret]').textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+      setupForm.hidden = true;
+      enroll.hidden = false;
+      enableForm.querySelector('[name="code"]').focus();
+    });
+
+    enableForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const data = await post('/api/account/2fa/enable', { code: enableForm.querySelector('[name="code"]').value.trim() });
+      if (!data) return;
+      await load();
+      showRecoveryCodes(data.recoveryCodes);
+    });
+
+    manageForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const action = e.submitter ? e.submitter.dataset.action : 'recovery-codes';
+      const code = manageForm.querySelector('[name="code"]').value.trim();
+      recoveryBox.hidden = true;
+      if (action === 'disable') {
+        if (!window.confirm('Turn off two-factor authentication?')) return;
+        const data = await post('/api/account/2fa/disable', { code, password: manageForm.querySelector('[name="password"]').value });
+        if (data) load();
+        return;
+      }
+      const data = await post('/api/account/2fa/recovery-codes', { code });
+      if (!data) return;
+      await load();
+      showRecoveryCodes(data.recoveryCodes);
+    });
+
+    load();
+  }
+
   if (nicknameForm) {
     nicknameForm.addEventListener('submit', async (e) => {
       e.preventDefault();
@@ -0,0 +1,189 @@
+(() => {
+  const CHART_OPTIONS = [
+    ['', 'Auto chart'],
+    ['table', 'Table'],
+    ['bar', 'Bar chart'],
+    ['line', 'Line chart'],
+    ['pie', 'Pie chart'],
+    ['graph', 'Graph']
+  ];
+  const LIBRARY_OPTIONS = [
+    ['', 'No library'],
+    ['all', 'Search my library']
+  ];
+  const STRUCTURED_OPTIONS = [
+    ['', 'Streamed reply'],
+    ['1', 'Structured cards']
+  ];
+  const COMPARE_OPTIONS = [
+    ['', 'Analyze'],
+    ['1', 'Compare papers side by side']
+  ];
+  const IMAGE_OPTIONS = [
+    ['mode', 'Mode', [
+      ['generate', 'Generate from text'],
+      ['edit', 'Edit image'],
+      ['variations', 'Variations'],
+      ['combine', 'Combine references']
+    ]],
+    ['aspectRatio', 'Aspect ratio', [
+      ['', 'Any ratio'],
+      ['1:1', '1:1 Square'],
+      ['4:3', '4:3 Landscape'],
+      ['3:4', '3:4 Portrait'],
+      ['16:9', '16:9 Wide'],
+      ['9:16', '9:16 Tall']
+    ]],
+    ['count', 'Number of images', [
+      ['1', '1 image'],
+      ['2', '2 images'],
+      ['3', '3 images'],
+      ['4', '4 images']
+    ]],
+    ['style', 'Style', [
+      ['', 'No style preset'],
+      ['photo', 'Photo'],
+      ['illustration', 'Illustration'],
+      ['3d', '3D render'],
+      ['anime', 'Anime'],
+      ['watercolor', 'Watercolor'],
+      ['pixel-art', 'Pixel art']
+    ]]
+  ];
+
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  const buildSelect = (options, option, label) => {
+    const select = el('select', 'chart-select');
+    if (option) select.dataset.option = option;
+    if (label) select.setAttribute('aria-label', label);
+    options.forEach(([value, text]) => {
+      const item = el('option', '', text);
+      item.value = value;
+      select.appendChild(item);
+    });
+    return select;
+  };
+
+  const card = (meta, text, isUser) => {
+    const node = el('div', isUser ? 'chat-card user' : 'chat-card');
+    node.appendChild(el('div', 'chat-meta', meta));
+    if (text) node.appendChild(el('p', '', text));
+    return node;
+  };
+
+  // Prepended so it stays on top even if app.js restored turns first.
+  const renderGreeting = (thread, bot) => {
+    const greeting = bot.greeting;
+    if (!greeting) return;
+    const intro = card(`${bot.icon} ${bot.name}`, greeting.intro);
+    if (greeting.list && greeting.list.length) {
+      if (greeting.listTitle) intro.appendChild(el('p', '', greeting.listTitle));
+      const list = el('ul');
+      greeting.list.forEach(item => list.appendChild(el('li', '', item)));
+      intro.appendChild(list);
+    }
+    if (greeting.outro) intro.appendChild(el('p', '', greeting.outro));
+    const cards = [intro];
+    if (greeting.example) {
+      cards.push(card('You', greeting.example.user, true));
+      cards.push(card('Assistant', greeting.example.assistant));
+    }
+    thread.prepend(...cards);
+  };
+
+  const renderControls = (row, bot) => {
+    if (bot.controls.includes('imageOptions')) {
+      IMAGE_OPTIONS.forEach(([option, label, options]) => row.appendChild(buildSelect(options, option, label)));
+    }
+    if (bot.controls.includes('chart')) {
+      row.appendChild(buildSelect(CHART_OPTIONS));
+    }
+    if (bot.controls.includes('library')) {
+      const select = buildSelect(LIBRARY_OPTIONS, 'library', 'Document library');
+      row.appendChild(select);
+      fetch('/api/library')
+        .then(res => (res.ok ? res.json() : { tags: [] }))
+        .then((data) => {
+          data.tags.forEach((tag) => {
+            const item = el('option', '', `Library: ${tag}`);
+            item.value = `tag:${tag}`;
+            select.appendChild(item);
+          });
+        })
+        .catch(() => {});
+    }
+    if (bot.controls.includes('compare')) {
+      row.appendChild(buildSelect(COMPARE_OPTIONS, 'compare', 'Comparison'));
+    }
+    if (bot.structured) {
+      row.appendChild(buildSelect(STRUCTURED_OPTIONS, 'structured', 'Reply format'));
+    }
+    row.hidden = !row.children.length;
+  };
+
+  const renderAssistant = (bot) => {
+    document.title = bot.name;
+    const icon = document.querySelector('[data-bot-icon]');
+    icon.textContent = bot.icon;
+    icon.classList.add(`icon-${bot.color}`);
+    document.querySelector('[data-bot-name]').textContent = bot.name;
+    document.querySelector('[data-bot-active]').textContent = `${bot.name} · Active`;
+    document.querySelectorAll('[data-bot-description]').forEach((node) => {
+      node.textContent = bot.description;
+    });
+    document.querySelector('.input-row input[type="text"]').placeholder = bot.placeholder;
+    document.querySelector('.file-input').accept = bot.accept;
+    document.querySelector('[data-bot-hint]').textContent = bot.uploadHint;
+    renderControls(document.querySelector('[data-bot-controls]'), bot);
+    renderGreeting(document.querySelector('.chat-thread'), bot);
+  };
+
+  const renderGrid = (grid, bots) => {
+    grid.innerHTML = '';
+    bots.forEach((bot) => {
+      const node = el('div', 'card');
+      const icon = el('div', `icon icon-${bot.color}`, bot.icon);
+      const list = el('ul', 'list');
+      bot.capabilities.forEach(item => list.appendChild(el('li', '', item)));
+      const link = el('a', 'card-link', 'Open Assistant →');
+      link.href = `assistant.html?bot=${encodeURIComponent(bot.id)}`;
+      node.append(icon, el('h3', '', bot.name), el('p', '', bot.description), el('div', 'tag', 'Capabilities'), list, link);
+      grid.appendChild(node);
+    });
+  };
+
+  const grid = document.querySelector('[data-bot-grid]');
+  const isAssistant = document.body.hasAttribute('data-assistant');
+  if (!grid && !isAssistant) return;
+
+  fetch('/api/bots')
+    .then((res) => {
+      if (res.status === 401) {
+        window.location.href = '/login.html';
+        return null;
+      }
+      return res.json();
+    })
+    .then((data) => {
+      if (!data) return;
+      if (grid) renderGrid(grid, data.bots);
+      if (!isAssistant) return;
+      const id = new URLSearchParams(window.location.search).get('bot');
+      const bot = data.bots.find(item => item.id === id);
+      if (!bot) {
+        document.querySelector('[data-bot-name]').textContent = 'Unknown assistant';
+        document.querySelector('.chat-thread').prepend(card('Assistant', 'This assistant does not exist. Pick one from the home page.'));
+        return;
+      }
+      renderAssistant(bot);
+    })
+    .catch(() => {
+      if (grid) grid.innerHTML = '<p class="input-hint">Unable to load assistants.</p>';
+    });
+})();
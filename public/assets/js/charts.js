@@ -0,0 +1,324 @@
+(() => {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const TYPES = ['table', 'bar', 'line', 'pie', 'scatter'];
+  const COLORS = ['#3b5bff', '#9b5cff', '#12c37e', '#ff8a2a', '#29c4ff', '#f053ff', '#ef4444', '#f59e0b', '#6c7484'];
+  const WIDTH = 480;
+  const HEIGHT = 300;
+  const MARGIN = { top: 36, right: 16, bottom: 56, left: 56 };
+
+  const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isText = value => typeof value === 'string' && value.length <= 200;
+
+  const validate = (spec) => {
+    if (!spec || typeof spec !== 'object') return false;
+    if (!TYPES.includes(spec.type)) return false;
+    if (!Array.isArray(spec.series) || !spec.series.length || spec.series.length > 6) return false;
+    if (spec.type === 'scatter') {
+      return spec.series.every(s => isText(s.name) && Array.isArray(s.points)
+        && s.points.length <= 1000
+        && s.points.every(p => Array.isArray(p) && p.length === 2 && isFiniteNumber(p[0]) && isFiniteNumber(p[1])));
+    }
+    if (!Array.isArray(spec.labels) || !spec.labels.length || spec.labels.length > 1000) return false;
+    if (!spec.labels.every(isText)) return false;
+    return spec.series.every(s => isText(s.name) && Array.isArray(s.values)
+      && s.values.length === spec.labels.length && s.values.every(isFiniteNumber));
+  };
+
+  const el = (name, attrs = {}, text) => {
+    const node = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([key, value]) => node.setAttribute(key, value));
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  const withTooltip = (node, text) => {
+    node.appendChild(el('title', {}, text));
+    node.setAttribute('class', 'chart-mark');
+    return node;
+  };
+
+  const formatNumber = (value) => {
+    if (Math.abs(value) >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (Math.abs(value) >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+    return String(Math.round(value * 100) / 100);
+  };
+
+  const niceTicks = (min, max, count = 5) => {
+    if (min === max) {
+      max = min + 1;
+    }
+    const span = max - min;
+    const step = 10 ** Math.floor(Math.log10(span / count));
+    const err = (count * step) / span;
+    const nice = step * (err <= 0.15 ? 10 : err <= 0.35 ? 5 : err <= 0.75 ? 2 : 1);
+    const ticks = [];
+    for (let v = Math.floor(min / nice) * nice; v <= max + nice / 2; v += nice) {
+      ticks.push(Math.round(v * 1e6) / 1e6);
+    }
+    return ticks;
+  };
+
+  const drawAxes = (svg, spec, yTicks, yScale) => {
+    const plotBottom = HEIGHT - MARGIN.bottom;
+    yTicks.forEach((tick) => {
+      const y = yScale(tick);
+      svg.appendChild(el('line', { x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y, y2: y, stroke: '#e6e9f2' }));
+      svg.appendChild(el('text', { x: MARGIN.left - 6, y: y + 4, 'text-anchor': 'end', 'font-size': 10, fill: '#6c7484' }, formatNumber(tick)));
+    });
+    svg.appendChild(el('line', { x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: plotBottom, y2: plotBottom, stroke: '#1f2430' }));
+    svg.appendChild(el('text', { x: (MARGIN.left + WIDTH - MARGIN.right) / 2, y: HEIGHT - 8, 'text-anchor': 'middle', 'font-size': 11, fill: '#1f2430' }, spec.xTitle || ''));
+    svg.appendChild(el('text', {
+      x: 14,
+      y: (MARGIN.top + plotBottom) / 2,
+      'text-anchor': 'middle',
+      'font-size': 11,
+      fill: '#1f2430',
+      transform: `rotate(-90 14 ${(MARGIN.top + plotBottom) / 2})`
+    }, spec.yTitle || ''));
+  };
+
+  const drawCategoryLabels = (svg, labels, xFor) => {
+    const every = Math.ceil(labels.length / 12);
+    labels.forEach((label, i) => {
+      if (i % every !== 0) return;
+      const x = xFor(i);
+      const y = HEIGHT - MARGIN.bottom + 12;
+      const short = label.length > 12 ? `${label.slice(0, 11)}…` : label;
+      svg.appendChild(el('text', { x, y, 'text-anchor': 'end', 'font-size': 10, fill: '#6c7484', transform: `rotate(-35 ${x} ${y})` }, short));
+    });
+  };
+
+  const valueRange = (spec, hidden) => {
+    const values = spec.series.filter((s, i) => !hidden.has(i)).flatMap(s => s.values);
+    return [Math.min(0, ...values), Math.max(0, ...values)];
+  };
+
+  const drawBar = (svg, spec, hidden) => {
+    const [min, max] = valueRange(spec, hidden);
+    const ticks = niceTicks(min, max);
+    const top = ticks[ticks.length - 1];
+    const bottom = ticks[0];
+    const yScale = v => MARGIN.top + ((top - v) / (top - bottom)) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+    drawAxes(svg, spec, ticks, yScale);
+    const visible = spec.series.map((s, i) => i).filter(i => !hidden.has(i));
+    const band = (WIDTH - MARGIN.left - MARGIN.right) / spec.labels.length;
+    const barWidth = Math.max(2, (band * 0.8) / Math.max(1, visible.length));
+    spec.labels.forEach((label, li) => {
+      visible.forEach((si, vi) => {
+        const value = spec.series[si].values[li];
+        const x = MARGIN.left + li * band + band * 0.1 + vi * barWidth;
+        const y = yScale(Math.max(0, value));
+        const h = Math.abs(yScale(value) - yScale(0));
+        svg.appendChild(withTooltip(el('rect', { x, y, width: barWidth, height: Math.max(1, h), fill: COLORS[si % COLORS.length], rx: 2 }),
+          `${label} · ${spec.series[si].name}: ${value}`));
+      });
+    });
+    drawCategoryLabels(svg, spec.labels, i => MARGIN.left + i * band + band / 2);
+  };
+
+  const drawLine = (svg, spec, hidden) => {
+    const [min, max] = valueRange(spec, hidden);
+    const ticks = niceTicks(min, max);
+    const top = ticks[ticks.length - 1];
+    const bottom = ticks[0];
+    const yScale = v => MARGIN.top + ((top - v) / (top - bottom)) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+    const step = (WIDTH - MARGIN.left - MARGIN.right) / Math.max(1, spec.labels.length - 1);
+    const xFor = i => MARGIN.left + (spec.labels.length === 1 ? (WIDTH - MARGIN.left - MARGIN.right) / 2 : i * step);
+    drawAxes(svg, spec, ticks, yScale);
+    spec.series.forEach((series, si) => {
+      if (hidden.has(si)) return;
+      const color = COLORS[si % COLORS.length];
+      const points = series.values.map((v, i) => `${xFor(i)},${yScale(v)}`).join(' ');
+      svg.appendChild(el('polyline', { points, fill: 'none', stroke: color, 'stroke-width': 2 }));
+      if (series.values.length <= 120) {
+        series.values.forEach((v, i) => {
+          svg.appendChild(withTooltip(el('circle', { cx: xFor(i), cy: yScale(v), r: 3, fill: color }), `${spec.labels[i]} · ${series.name}: ${v}`));
+        });
+      }
+    });
+    drawCategoryLabels(svg, spec.labels, xFor);
+  };
+
+  const drawScatter = (svg, spec, hidden) => {
+    const all = spec.series.filter((s, i) => !hidden.has(i)).flatMap(s => s.points);
+    const xs = all.map(p => p[0]);
+    const ys = all.map(p => p[1]);
+    const xTicks = niceTicks(Math.min(...xs), Math.max(...xs));
+    const yTicks = niceTicks(Math.min(...ys), Math.max(...ys));
+    const xScale = v => MARGIN.left + ((v - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0])) * (WIDTH - MARGIN.left - MARGIN.right);
+    const yScale = v => MARGIN.top + ((yTicks[yTicks.length - 1] - v) / (yTicks[yTicks.length - 1] - yTicks[0])) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+    drawAxes(svg, spec, yTicks, yScale);
+    xTicks.forEach((tick) => {
+      svg.appendChild(el('text', { x: xScale(tick), y: HEIGHT - MARGIN.bottom + 14, 'text-anchor': 'middle', 'font-size': 10, fill: '#6c7484' }, formatNumber(tick)));
+    });
+    spec.series.forEach((series, si) => {
+      if (hidden.has(si)) return;
+      series.points.forEach(([x, y]) => {
+        svg.appendChild(withTooltip(el('circle', { cx: xScale(x), cy: yScale(y), r: 3, fill: COLORS[si % COLORS.length], 'fill-opacity': 0.75 }), `${x}, ${y}`));
+      });
+    });
+  };
+
+  const drawPie = (svg, spec, hidden) => {
+    const values = spec.series[0].values.map((v, i) => (hidden.has(i) ? 0 : Math.max(0, v)));
+    const total = values.reduce((a, b) => a + b, 0) || 1;
+    const cx = WIDTH / 2;
+    const cy = (HEIGHT + MARGIN.top - 20) / 2;
+    const r = Math.min(WIDTH, HEIGHT) / 2 - 40;
+    let angle = -Math.PI / 2;
+    values.forEach((value, i) => {
+      if (!value) return;
+      const slice = (value / total) * Math.PI * 2;
+      const x1 = cx + r * Math.cos(angle);
+      const y1 = cy + r * Math.sin(angle);
+      angle += slice;
+      const x2 = cx + r * Math.cos(angle);
+      const y2 = cy + r * Math.sin(angle);
+      const large = slice > Math.PI ? 1 : 0;
+      const d = slice >= Math.PI * 2 - 1e-6
+        ? `M ${cx - r} ${cy} A ${r} ${r} 0 1 1 ${cx + r} ${cy} A ${r} ${r} 0 1 1 ${cx - r} ${cy}`
+        : `M ${cx} ${cy} L ${x1} ${y1} A ${r} ${r} 0 ${large} 1 ${x2} ${y2} Z`;
+      const pct = Math.round((value / total) * 1000) / 10;
+      svg.appendChild(withTooltip(el('path', { d, fill: COLORS[i % COLORS.length], stroke: '#fff', 'stroke-width': 1 }), `${spec.labels[i]}: ${value} (${pct}%)`));
+    });
+  };
+
+  const buildSvg = (spec, hidden) => {
+    const svg = el('svg', { xmlns: SVG_NS, viewBox: `0 0 ${WIDTH} ${HEIGHT}`, width: WIDTH, height: HEIGHT, class: 'chart-svg' });
+    svg.appendChild(el('rect', { x: 0, y: 0, width: WIDTH, height: HEIGHT, fill: '#ffffff' }));
+    svg.appendChild(el('text', { x: WIDTH / 2, y: 20, 'text-anchor': 'middle', 'font-size': 13, 'font-weight': 600, fill: '#1f2430' }, spec.title || ''));
+    if (spec.type === 'bar') drawBar(svg, spec, hidden);
+    if (spec.type === 'line') drawLine(svg, spec, hidden);
+    if (spec.type === 'scatter') drawScatter(svg, spec, hidden);
+    if (spec.type === 'pie') drawPie(svg, spec, hidden);
+    return svg;
+  };
+
+  const buildTable = (spec) => {
+    const table = document.createElement('table');
+    table.className = 'data-table chart-table';
+    const header = [spec.xTitle || 'Label', ...spec.series.map(s => s.name)];
+    const rows = spec.labels.map((label, i) => [label, ...spec.series.map(s => s.values[i])]);
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    let sortIndex = -1;
+    let ascending = true;
+    const tbody = document.createElement('tbody');
+    const renderRows = () => {
+      tbody.innerHTML = '';
+      rows.forEach((row) => {
+        const tr = document.createElement('tr');
+        row.forEach((cell) => {
+          const td = document.createElement('td');
+          td.textContent = cell;
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+    };
+    header.forEach((name, index) => {
+      const th = document.createElement('th');
+      th.textContent = name;
+      th.title = 'Sort';
+      th.addEventListener('click', () => {
+        ascending = sortIndex === index ? !ascending : true;
+        sortIndex = index;
+        rows.sort((a, b) => {
+          const result = typeof a[index] === 'number' ? a[index] - b[index] : String(a[index]).localeCompare(String(b[index]));
+          return ascending ? result : -result;
+        });
+        renderRows();
+      });
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    renderRows();
+    return table;
+  };
+
+  const download = (blob, filename) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  const fileBase = spec => (spec.title || `${spec.type}-chart`).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'chart';
+
+  const render = (spec) => {
+    const wrap = document.createElement('div');
+    wrap.className = 'chart-block';
+    if (spec.type === 'table') {
+      wrap.appendChild(buildTable(spec));
+      return wrap;
+    }
+
+    const hidden = new Set();
+    const stage = document.createElement('div');
+    stage.className = 'chart-stage';
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    const redraw = () => {
+      stage.innerHTML = '';
+      stage.appendChild(buildSvg(spec, hidden));
+    };
+    const legendItems = spec.type === 'pie' ? spec.labels : spec.series.map(s => s.name);
+    legendItems.forEach((name, i) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'chart-legend-item';
+      item.innerHTML = '<span class="chart-swatch"></span><span></span>';
+      item.querySelector('.chart-swatch').style.background = COLORS[i % COLORS.length];
+      item.lastChild.textContent = name;
+      item.addEventListener('click', () => {
+        if (hidden.has(i)) {
+          hidden.delete(i);
+        } else if (hidden.size < legendItems.length - 1) {
+          hidden.add(i);
+        }
+        item.classList.toggle('is-off', hidden.has(i));
+        redraw();
+      });
+      legend.appendChild(item);
+    });
+
+    const tools = document.createElement('div');
+    tools.className = 'chart-tools';
+    tools.innerHTML = '<button type="button" class="conversation-btn" data-format="svg">Download SVG</button>'
+      + '<button type="button" class="conversation-btn" data-format="png">Download PNG</button>';
+    tools.addEventListener('click', (e) => {
+      const format = e.target.dataset ? e.target.dataset.format : null;
+      if (!format) return;
+      const source = new XMLSerializer().serializeToString(stage.querySelector('svg'));
+      const svgBlob = new Blob([source], { type: 'image/svg+xml' });
+      if (format === 'svg') {
+        download(svgBlob, `${fileBase(spec)}.svg`);
+        return;
+      }
+      const img = new Image();
+      const url = URL.createObjectURL(svgBlob);
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = WIDTH * 2;
+        canvas.height = HEIGHT * 2;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(2, 2);
+        ctx.drawImage(img, 0, 0, WIDTH, HEIGHT);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => download(blob, `${fileBase(spec)}.png`), 'image/png');
+      };
+      img.src = url;
+    });
+
+    redraw();
+    wrap.appendChild(stage);
+    if (legendItems.length > 1) wrap.appendChild(legend);
+    wrap.appendChild(tools);
+    return wrap;
+  };
+
+  window.SuiteCharts = { validate, render };
+})();
@@ -0,0 +1,104 @@
+(() => {
+  const panel = document.querySelector('[data-gallery]');
+  if (!panel) return;
+
+  const items = panel.querySelector('[data-gallery-items]');
+  const searchForm = panel.querySelector('[data-gallery-search]');
+  const errorBox = panel.querySelector('[data-error]');
+  let query = '';
+
+  const showError = (msg) => {
+    errorBox.textContent = msg;
+    errorBox.style.display = msg ? 'block' : 'none';
+  };
+
+  const handleAuth = (res) => {
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return false;
+    }
+    return true;
+  };
+
+  const rerun = async (image, btn) => {
+    btn.disabled = true;
+    btn.textContent = 'Generating…';
+    const formData = new FormData();
+    formData.append('text', image.prompt);
+    const options = image.options || {};
+    if (options.style) formData.append('style', options.style);
+    if (options.aspectRatio) formData.append('aspectRatio', options.aspectRatio);
+    const res = await fetch(`/api/bot/${encodeURIComponent(image.botId || 'image')}`, { method: 'POST', body: formData });
+    if (!handleAuth(res)) return;
+    const data = await res.json();
+    if (!res.ok || !(data.imageUrls && data.imageUrls.length)) {
+      showError(data.error || 'The model did not return an image.');
+      btn.disabled = false;
+      btn.textContent = 'Re-run';
+      return;
+    }
+    await load();
+  };
+
+  const remove = async (image) => {
+    if (!window.confirm('Delete this image?')) return;
+    const res = await fetch(`/api/gallery/${encodeURIComponent(image.id)}`, { method: 'DELETE' });
+    if (!handleAuth(res)) return;
+    if (!res.ok) {
+      const data = await res.json();
+      showError(data.error || 'Delete failed.');
+      return;
+    }
+    await load();
+  };
+
+  const renderItem = (image) => {
+    const card = document.createElement('div');
+    card.className = 'gallery-item';
+    card.innerHTML = '<a target="_blank" rel="noopener"><img alt="" loading="lazy" /></a>'
+      + '<p class="gallery-prompt"></p><div class="input-hint"></div><div class="row-actions"></div>';
+    card.querySelector('a').href = image.url;
+    card.querySelector('img').src = image.url;
+    card.querySelector('img').alt = image.prompt || 'Generated image';
+    card.querySelector('.gallery-prompt').textContent = image.prompt || '(no prompt)';
+    card.querySelector('.input-hint').textContent = `${image.model || 'unknown model'} · ${new Date(image.createdAt).toLocaleString()}`;
+
+    const actions = card.querySelector('.row-actions');
+    const button = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'conversation-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', () => onClick(btn));
+      actions.appendChild(btn);
+    };
+    if (image.prompt) {
+      button('Re-run', btn => rerun(image, btn).catch(() => showError('Request failed.')));
+    }
+    button('Download', () => {
+      window.location.href = `${image.url}?download=1`;
+    });
+    button('Delete', () => remove(image).catch(() => showError('Delete failed.')));
+    return card;
+  };
+
+  async function load() {
+    const res = await fetch(`/api/gallery${query ? `?q=${encodeURIComponent(query)}` : ''}`);
+    if (!handleAuth(res)) return;
+    const data = await res.json();
+    showError('');
+    items.innerHTML = '';
+    data.images.forEach(image => items.appendChild(renderItem(image)));
+    if (!data.images.length) {
+      items.innerHTML = `<p class="input-hint">${query ? 'No images match that prompt.' : 'No images yet. Generate one from the Image page.'}</p>`;
+    }
+  }
+
+  searchForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    query = searchForm.elements.q.value.trim();
+    load().catch(() => showError('Unable to load the gallery.'));
+  });
+
+  load().catch(() => showError('Unable to load the gallery.'));
+})();
@@ -0,0 +1,124 @@
+(() => {
+  const createForm = document.querySelector('[data-create-key]');
+  const rows = document.querySelector('[data-key-rows]');
+  if (!createForm || !rows) return;
+
+  const errorBox = document.querySelector('[data-error]');
+  const botBox = document.querySelector('[data-key-bots]');
+  const tokenBox = document.querySelector('[data-new-token]');
+  let botNames = {};
+
+  const showError = (msg) => {
+    errorBox.textContent = msg;
+    errorBox.style.display = 'block';
+  };
+
+  const hideError = () => {
+    errorBox.textContent = '';
+    errorBox.style.display = 'none';
+  };
+
+  const request = async (url, options = {}) => {
+    const res = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return null;
+    }
+    const data = await res.json();
+    if (!res.ok) {
+      showError(data.error || 'Request failed.');
+      return null;
+    }
+    hideError();
+    return data;
+  };
+
+  const formatDate = value => (value ? new Date(value).toLocaleString() : 'Never');
+
+  const renderKeys = (keys) => {
+    rows.innerHTML = '';
+    keys.forEach((key) => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = '<td></td><td><code></code></td><td></td><td></td><td></td><td></td><td class="row-actions"></td>';
+      const cells = tr.querySelectorAll('td');
+      cells[0].textContent = key.label;
+      cells[1].querySelector('code').textContent = `${key.prefix}…`;
+      cells[2].textContent = key.botIds.length ? key.botIds.map(id => botNames[id] || id).join(', ') : 'All bots';
+      cells[3].textContent = formatDate(key.createdAt);
+      cells[4].textContent = formatDate(key.lastUsedAt);
+      cells[5].textContent = key.revokedAt ? `Revoked ${formatDate(key.revokedAt)}` : 'Active';
+      if (!key.revokedAt) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'conversation-btn';
+        btn.textContent = 'Revoke';
+        btn.dataset.revoke = key.id;
+        btn.dataset.label = key.label;
+        cells[6].appendChild(btn);
+      }
+      rows.appendChild(tr);
+    });
+    if (!keys.length) {
+      rows.innerHTML = '<tr><td colspan="7">No API keys yet.</td></tr>';
+    }
+  };
+
+  const loadKeys = async () => {
+    const data = await request('/api/keys');
+    if (data) renderKeys(data.keys);
+  };
+
+  const loadBots = async () => {
+    const data = await request('/api/bots');
+    if (!data) return;
+    botNames = {};
+    botBox.innerHTML = '';
+    data.bots.forEach((bot) => {
+      botNames[bot.id] = bot.shortName;
+      const label = document.createElement('label');
+      label.className = 'job-toggle';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = bot.id;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${bot.name}`));
+      botBox.appendChild(label);
+    });
+  };
+
+  rows.addEventListener('click', async (e) => {
+    const id = e.target.dataset ? e.target.dataset.revoke : null;
+    if (!id) return;
+    if (!window.confirm(`Revoke "${e.target.dataset.label}"? Scripts using it will stop working.`)) return;
+    await request(`/api/keys/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    loadKeys();
+  });
+
+  createForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = {
+      label: createForm.querySelector('[name="label"]').value.trim(),
+      botIds: Array.from(botBox.querySelectorAll('input:checked')).map(input => input.value)
+    };
+    const data = await request('/api/keys', { method: 'POST', body: JSON.stringify(body) });
+    if (!data) return;
+    createForm.reset();
+    botBox.querySelectorAll('input').forEach((input) => {
+      input.checked = false;
+    });
+    tokenBox.querySelector('[data-token-value]').textContent = data.token;
+    tokenBox.hidden = false;
+    loadKeys();
+  });
+
+  tokenBox.querySelector('[data-copy-token]').addEventListener('click', () => {
+    const token = tokenBox.querySelector('[data-token-value]').textContent;
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(token).catch(() => {});
+  });
+
+  loadBots().then(loadKeys);
+})();
@@ -0,0 +1,179 @@
+(() => {
+  const uploadForm = document.querySelector('[data-upload-documents]');
+  const rows = document.querySelector('[data-document-rows]');
+  if (!uploadForm || !rows) return;
+
+  const errorBox = document.querySelector('[data-error]');
+  const statusLine = document.querySelector('[data-library-status]');
+  const searchForm = document.querySelector('[data-search-form]');
+  const tagFilter = document.querySelector('[data-tag-filter]');
+  const results = document.querySelector('[data-search-results]');
+  const STATUS_TEXT = {
+    ready: 'Indexed',
+    empty: 'No text found',
+    failed: 'Failed',
+    indexing: 'Indexing…'
+  };
+
+  const showError = (msg) => {
+    errorBox.textContent = msg;
+    errorBox.style.display = 'block';
+  };
+
+  const hideError = () => {
+    errorBox.textContent = '';
+    errorBox.style.display = 'none';
+  };
+
+  const request = async (url, options = {}) => {
+    const res = await fetch(url, options);
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return null;
+    }
+    const data = await res.json();
+    if (!res.ok) {
+      showError(data.error || 'Request failed.');
+      return null;
+    }
+    hideError();
+    return data;
+  };
+
+  const jsonRequest = (url, method, body) => request(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+
+  const formatDate = value => (value ? new Date(value).toLocaleString() : '');
+
+  const renderTags = (tags) => {
+    const current = tagFilter.value;
+    tagFilter.innerHTML = '<option value="">All tags</option>';
+    tags.forEach((tag) => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag;
+      tagFilter.appendChild(option);
+    });
+    tagFilter.value = tags.includes(current) ? current : '';
+  };
+
+  const actionButton = (label, action, doc) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'conversation-btn';
+    btn.textContent = label;
+    btn.dataset.action = action;
+    btn.dataset.id = doc.id;
+    return btn;
+  };
+
+  const renderDocuments = (documents) => {
+    rows.innerHTML = '';
+    documents.forEach((doc) => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = '<td></td><td></td><td></td><td></td><td></td><td></td><td class="row-actions"></td>';
+      const cells = tr.querySelectorAll('td');
+      cells[0].textContent = doc.name;
+      cells[1].textContent = doc.tags.join(', ');
+      cells[2].textContent = doc.pages || '';
+      cells[3].textContent = doc.passages;
+      cells[4].textContent = STATUS_TEXT[doc.status] || doc.status;
+      if (doc.error) cells[4].title = doc.error;
+      cells[5].textContent = formatDate(doc.createdAt);
+      const tagsBtn = actionButton('Tags', 'tags', doc);
+      tagsBtn.dataset.tags = doc.tags.join(', ');
+      cells[6].appendChild(tagsBtn);
+      cells[6].appendChild(actionButton('Re-index', 'reindex', doc));
+      const deleteBtn = actionButton('Delete', 'delete', doc);
+      deleteBtn.dataset.name = doc.name;
+      cells[6].appendChild(deleteBtn);
+      rows.appendChild(tr);
+    });
+    if (!documents.length) {
+      rows.innerHTML = '<tr><td colspan="7">No documents yet.</td></tr>';
+    }
+  };
+
+  const loadDocuments = async () => {
+    const tag = tagFilter.value;
+    const data = await request(`/api/library${tag ? `?tag=${encodeURIComponent(tag)}` : ''}`);
+    if (!data) return;
+    renderTags(data.tags);
+    renderDocuments(data.documents);
+  };
+
+  rows.addEventListener('click', async (e) => {
+    const { action, id } = e.target.dataset || {};
+    if (!action || !id) return;
+    const url = `/api/library/${encodeURIComponent(id)}`;
+    if (action === 'tags') {
+      const tags = window.prompt('Tags, comma separated', e.target.dataset.tags);
+      if (tags === null) return;
+      await jsonRequest(url, 'PATCH', { tags });
+    } else if (action === 'reindex') {
+      e.target.disabled = true;
+      e.target.textContent = 'Indexing…';
+      await request(`${url}/reindex`, { method: 'POST' });
+    } else if (action === 'delete') {
+      if (!window.confirm(`Delete "${e.target.dataset.name}" from your library?`)) return;
+      await request(url, { method: 'DELETE' });
+    }
+    loadDocuments();
+  });
+
+  uploadForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = uploadForm.querySelector('[name="file"]');
+    if (!input.files.length) {
+      showError('Choose at least one document.');
+      return;
+    }
+    const body = new FormData();
+    Array.from(input.files).forEach(file => body.append('file', file));
+    body.append('tags', uploadForm.querySelector('[name="tags"]').value);
+    const button = uploadForm.querySelector('button');
+    button.disabled = true;
+    statusLine.textContent = `Uploading and indexing ${input.files.length} document(s)…`;
+    const data = await request('/api/library', { method: 'POST', body });
+    button.disabled = false;
+    statusLine.textContent = '';
+    if (!data) return;
+    const failed = data.documents.filter(doc => doc.status !== 'ready');
+    if (failed.length) {
+      statusLine.textContent = `Could not index: ${failed.map(doc => `${doc.name} (${doc.error || STATUS_TEXT[doc.status]})`).join(', ')}`;
+    }
+    uploadForm.reset();
+    loadDocuments();
+  });
+
+  tagFilter.addEventListener('change', loadDocuments);
+
+  searchForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const q = searchForm.querySelector('[name="q"]').value.trim();
+    results.innerHTML = '';
+    results.hidden = !q;
+    if (!q) return;
+    const params = new URLSearchParams({ q, library: tagFilter.value ? `tag:${tagFilter.value}` : 'all' });
+    const data = await request(`/api/library/search?${params}`);
+    if (!data) return;
+    data.passages.forEach((passage) => {
+      const item = document.createElement('li');
+      const source = document.createElement('strong');
+      source.textContent = [passage.name, passage.page ? `p. ${passage.page}` : null, passage.section].filter(Boolean).join(', ');
+      const text = document.createElement('p');
+      text.textContent = passage.text.length > 400 ? `${passage.text.slice(0, 400)}…` : passage.text;
+      item.appendChild(source);
+      item.appendChild(text);
+      results.appendChild(item);
+    });
+    if (!data.passages.length) {
+      results.innerHTML = '<li>No passages match.</li>';
+    }
+  });
+
+  loadDocuments();
+})();
@@ -0,0 +1,343 @@
+(() => {
+  // Model output is untrusted, so nothing here goes through innerHTML: every
+  // node is created from this allow-list and text is set with textContent.
+  const ALLOWED_TAGS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'hr', 'br',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'pre', 'code', 'div', 'button',
+    'a', 'strong', 'em', 'del'
+  ]);
+  const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+  const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+  const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+  const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const QUOTE = /^\s{0,3}>\s?(.*)$/;
+  const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  const el = (tag, className) => {
+    if (!ALLOWED_TAGS.has(tag)) throw new Error(`Tag not allowed: ${tag}`);
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    return node;
+  };
+
+  const INLINE_RULES = [
+    ['escape', /^\\([\\`*_{}[\]()#+\-.!|~>])/],
+    ['code', /^(`+)([\s\S]*?[^`])\1(?!`)/],
+    ['link', /^\[([^\]\n]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/],
+    ['url', /^https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"]/],
+    ['strong', /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/],
+    ['del', /^~~(?=\S)([\s\S]*?\S)~~/],
+    ['em', /^([*_])(?=\S)([\s\S]*?\S)\1(?![*_])/]
+  ];
+
+  const link = (parent, text, href) => {
+    if (!SAFE_URL.test(href)) {
+      parent.appendChild(document.createTextNode(text));
+      return;
+    }
+    const a = el('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer nofollow';
+    a.textContent = text;
+    parent.appendChild(a);
+  };
+
+  function appendInline(parent, source) {
+    let text = '';
+    const flush = () => {
+      if (text) parent.appendChild(document.createTextNode(text));
+      text = '';
+    };
+    let pos = 0;
+    while (pos < source.length) {
+      const rest = source.slice(pos);
+      const prev = pos > 0 ? source[pos - 1] : ' ';
+      let matched = null;
+      for (const [type, pattern] of INLINE_RULES) {
+        // Underscores inside words (snake_case) are not emphasis.
+        if ((type === 'em' || type === 'strong') && rest[0] === '_' && /\w/.test(prev)) continue;
+        if (type === 'url' && /\w/.test(prev)) continue;
+        const match = rest.match(pattern);
+        if (match) {
+          matched = [type, match];
+          break;
+        }
+      }
+      if (!matched) {
+        text += source[pos];
+        pos += 1;
+        continue;
+      }
+      const [type, match] = matched;
+      flush();
+      if (type === 'escape') {
+        text += match[1];
+      } else if (type === 'code') {
+        const code = el('code');
+        code.textContent = match[2].trim();
+        parent.appendChild(code);
+      } else if (type === 'link') {
+        link(parent, match[1], match[2]);
+      } else if (type === 'url') {
+        link(parent, match[0], match[0]);
+      } else {
+        const node = el(type);
+        appendInline(node, type === 'del' ? match[1] : match[2]);
+        parent.appendChild(node);
+      }
+      pos += match[0].length;
+    }
+    flush();
+  }
+
+  const appendLines = (parent, lines) => {
+    lines.forEach((line, i) => {
+      if (i > 0) parent.appendChild(el('br'));
+      appendInline(parent, line.trim());
+    });
+  };
+
+  const splitRow = line => line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+  const isTableStart = (lines, i) => lines[i].includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-');
+
+  const copyButton = (getText) => {
+    const button = el('button', 'code-copy');
+    button.type = 'button';
+    button.textContent = 'Copy';
+    button.addEventListener('click', () => {
+      if (!navigator.clipboard) return;
+      navigator.clipboard.writeText(getText()).then(() => {
+        button.textContent = 'Copied';
+        setTimeout(() => {
+          button.textContent = 'Copy';
+        }, 1500);
+      }).catch(() => {});
+    });
+    return button;
+  };
+
+  const codeBlock = (body, lang) => {
+    const wrap = el('div', 'code-block');
+    const pre = el('pre');
+    const code = el('code');
+    code.textContent = body;
+    if (lang) code.dataset.lang = lang;
+    pre.appendChild(code);
+    wrap.append(copyButton(() => body), pre);
+    return wrap;
+  };
+
+  const table = (lines, start) => {
+    const header = splitRow(lines[start]);
+    const align = splitRow(lines[start + 1]).map((cell) => {
+      if (/^:-+:$/.test(cell)) return 'center';
+      if (/-+:$/.test(cell)) return 'right';
+      return '';
+    });
+    const node = el('table');
+    const head = el('thead');
+    const headRow = el('tr');
+    header.forEach((cell, c) => {
+      const th = el('th');
+      if (align[c]) th.style.textAlign = align[c];
+      appendInline(th, cell);
+      headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+    node.appendChild(head);
+    const body = el('tbody');
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+      const tr = el('tr');
+      const cells = splitRow(lines[i]);
+      header.forEach((_, c) => {
+        const td = el('td');
+        if (align[c]) td.style.textAlign = align[c];
+        appendInline(td, cells[c] || '');
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+      i += 1;
+    }
+    node.appendChild(body);
+    const wrap = el('div', 'table-wrap');
+    wrap.appendChild(node);
+    return { node: wrap, next: i };
+  };
+
+  // Nested lists follow indentation; a deeper item opens a list inside the
+  // previous item and a shallower one returns to its parent.
+  const list = (lines, start) => {
+    const stack = [];
+    let lastItem = null;
+    let i = start;
+    while (i < lines.length) {
+      const match = lines[i].match(LIST_ITEM);
+      if (!match) {
+        if (lines[i].trim() && /^\s{2,}/.test(lines[i]) && lastItem) {
+          lastItem.appendChild(el('br'));
+          appendInline(lastItem, lines[i].trim());
+          i += 1;
+          continue;
+        }
+        if (!lines[i].trim() && i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+          i += 1;
+          continue;
+        }
+        break;
+      }
+      const indent = match[1].replace(/\t/g, '    ').length;
+      if (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+        while (stack.length > 1 && indent < stack[stack.length - 1].indent) stack.pop();
+        lastItem = stack[stack.length - 1].node.lastElementChild;
+      }
+      let top = stack[stack.length - 1];
+      const ordered = /\d/.test(match[2]);
+      if (top && stack.length === 1 && indent <= top.indent && ordered !== (top.node.tagName === 'OL')) break;
+      if (!top || (indent > top.indent && lastItem)) {
+        const node = el(ordered ? 'ol' : 'ul');
+        const first = parseInt(match[2], 10);
+        if (ordered && first !== 1) node.start = first;
+        if (top) lastItem.appendChild(node);
+        top = { indent, node };
+        stack.push(top);
+      }
+      const item = el('li');
+      appendInline(item, match[3]);
+      top.node.appendChild(item);
+      lastItem = item;
+      i += 1;
+    }
+    return { node: stack[0].node, next: i };
+  };
+
+  const startsBlock = (lines, i) => FENCE.test(lines[i]) || HEADING.test(lines[i]) || RULE.test(lines[i])
+    || QUOTE.test(lines[i]) || LIST_ITEM.test(lines[i]) || isTableStart(lines, i);
+
+  function renderLines(lines, target) {
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        i += 1;
+        continue;
+      }
+      const fence = line.match(FENCE);
+      if (fence) {
+        const body = [];
+        i += 1;
+        while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && !lines[i].trim().slice(fence[1].length).trim())) {
+          body.push(lines[i]);
+          i += 1;
+        }
+        target.appendChild(codeBlock(body.join('\n'), fence[2]));
+        i += 1;
+        continue;
+      }
+      const heading = line.match(HEADING);
+      if (heading) {
+        const node = el(`h${heading[1].length}`);
+        appendInline(node, heading[2]);
+        target.appendChild(node);
+        i += 1;
+        continue;
+      }
+      if (RULE.test(line)) {
+        target.appendChild(el('hr'));
+        i += 1;
+        continue;
+      }
+      if (isTableStart(lines, i)) {
+        const result = table(lines, i);
+        target.appendChild(result.node);
+        i = result.next;
+        continue;
+      }
+      if (QUOTE.test(line)) {
+        const inner = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          inner.push(lines[i].match(QUOTE)[1]);
+          i += 1;
+        }
+        const quote = el('blockquote');
+        renderLines(inner, quote);
+        target.appendChild(quote);
+        continue;
+      }
+      if (LIST_ITEM.test(line)) {
+        const result = list(lines, i);
+        target.appendChild(result.node);
+        i = result.next;
+        continue;
+      }
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (!paragraph.length || !startsBlock(lines, i))) {
+        paragraph.push(lines[i]);
+        i += 1;
+      }
+      const node = el('p');
+      appendLines(node, paragraph);
+      target.appendChild(node);
+    }
+  }
+
+  const render = (source) => {
+    const fragment = document.createDocumentFragment();
+    renderLines(String(source || '').replace(/\r\n?/g, '\n').split('\n'), fragment);
+    return fragment;
+  };
+
+  const BLOCKS = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'TR', 'LI', 'HR', 'DIV']);
+
+  // Walks the rendered tree rather than using innerText so the result does
+  // not depend on layout (hidden bubbles have none).
+  const toPlainText = (source) => {
+    const out = [];
+    const newline = () => {
+      if (out.length && !out[out.length - 1].endsWith('\n')) out.push('\n');
+    };
+    const walk = (node, depth) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType === 3) {
+          out.push(child.textContent);
+          return;
+        }
+        if (child.nodeType !== 1 || child.tagName === 'BUTTON') return;
+        if (child.tagName === 'BR') {
+          out.push('\n');
+          return;
+        }
+        if (child.tagName === 'LI') {
+          newline();
+          const parent = child.parentNode;
+          const index = Array.prototype.indexOf.call(parent.children, child);
+          out.push(`${'  '.repeat(depth)}${parent.tagName === 'OL' ? `${(parent.start || 1) + index}. ` : '- '}`);
+        }
+        if (child.tagName === 'TD' || child.tagName === 'TH') {
+          if (child.previousElementSibling) out.push('\t');
+        }
+        walk(child, child.tagName === 'UL' || child.tagName === 'OL' ? depth + (child.parentNode.tagName === 'LI' ? 1 : 0) : depth);
+        if (BLOCKS.has(child.tagName)) newline();
+        const isTopList = (child.tagName === 'UL' || child.tagName === 'OL') && child.parentNode.tagName !== 'LI';
+        if (isTopList || ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'BLOCKQUOTE', 'TABLE'].includes(child.tagName)) {
+          newline();
+          out.push('\n');
+        }
+      });
+    };
+    const root = el('div');
+    root.appendChild(render(source));
+    walk(root, 0);
+    return out.join('').replace(/\n{3,}/g, '\n\n').trim();
+  };
+
+  window.SuiteMarkdown = { render, toPlainText };
+})();
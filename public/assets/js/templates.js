@@ -0,0 +1,207 @@
+(() => {
+  const panel = document.querySelector('.input-panel');
+  const params = new URLSearchParams(window.location.search);
+  const botId = document.body.dataset.bot || params.get('bot');
+  if (!panel || !botId) return;
+
+  const textInput = panel.querySelector('.input-row input[type="text"]');
+  const sendBtn = panel.querySelector('.send-btn');
+  const row = document.createElement('div');
+  row.className = 'input-row secondary template-row';
+  row.innerHTML = '<select class="chart-select template-select" aria-label="Prompt template"></select>'
+    + '<button type="button" class="conversation-btn" data-action="save">Save as template</button>'
+    + '<button type="button" class="conversation-btn" data-action="edit" disabled>Edit</button>'
+    + '<button type="button" class="conversation-btn" data-action="delete" disabled>Delete</button>'
+    + '<button type="button" class="conversation-btn" data-action="export">Export</button>'
+    + '<button type="button" class="conversation-btn" data-action="import">Import</button>'
+    + '<input type="file" accept="application/json,.json" hidden />';
+  panel.insertBefore(row, panel.querySelector('.input-row').nextSibling);
+
+  const form = document.createElement('form');
+  form.className = 'template-form';
+  form.hidden = true;
+  row.parentNode.insertBefore(form, row.nextSibling);
+
+  const select = row.querySelector('.template-select');
+  const importInput = row.querySelector('input[type="file"]');
+  let list = [];
+
+  const notify = (text) => {
+    window.alert(text);
+  };
+
+  const selected = () => list.find(t => t.id === select.value) || null;
+
+  const fill = (body, values) => body.replace(/\{([A-Za-z][\w-]{0,39})\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  ));
+
+  const send = (text) => {
+    textInput.value = text;
+    sendBtn.click();
+  };
+
+  const closeForm = () => {
+    form.hidden = true;
+    form.innerHTML = '';
+  };
+
+  // Templates without variables go straight to the input; the rest get a
+  // small form first.
+  const useTemplate = (template) => {
+    closeForm();
+    if (!template.variables.length) {
+      textInput.value = template.body;
+      textInput.focus();
+      return;
+    }
+    const title = document.createElement('div');
+    title.className = 'template-form-title';
+    title.textContent = template.title;
+    form.appendChild(title);
+    template.variables.forEach((name) => {
+      const label = document.createElement('label');
+      label.textContent = name;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = name;
+      input.required = true;
+      label.appendChild(input);
+      form.appendChild(label);
+    });
+    const actions = document.createElement('div');
+    actions.className = 'row-actions';
+    actions.innerHTML = '<button type="submit" class="send-btn">Send</button>'
+      + '<button type="button" class="conversation-btn" data-action="cancel">Cancel</button>';
+    form.appendChild(actions);
+    form.hidden = false;
+    form.querySelector('input').focus();
+  };
+
+  const render = () => {
+    const current = select.value;
+    select.innerHTML = '<option value="">Prompt templates…</option>';
+    [['user', 'My templates'], ['shared', 'Shared']].forEach(([scope, label]) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      list.filter(t => t.scope === scope).forEach((template) => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.variables.length
+          ? `${template.title} (${template.variables.join(', ')})`
+          : template.title;
+        group.appendChild(option);
+      });
+      if (group.children.length) select.appendChild(group);
+    });
+    select.value = list.some(t => t.id === current) ? current : '';
+    const template = selected();
+    row.querySelector('[data-action="edit"]').disabled = !(template && template.editable);
+    row.querySelector('[data-action="delete"]').disabled = !(template && template.editable);
+  };
+
+  const load = async () => {
+    const res = await fetch(`/api/templates?botId=${encodeURIComponent(botId)}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    list = data.templates;
+    render();
+  };
+
+  const request = async (url, method, body) => {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  };
+
+  const saveTemplate = async () => {
+    const body = window.prompt('Template text. Use {name} for values to fill in later.', textInput.value.trim());
+    if (!body || !body.trim()) return;
+    const title = window.prompt('Template title', body.trim().slice(0, 60));
+    if (!title || !title.trim()) return;
+    const scope = window.confirm('Share this template with everyone in the suite?') ? 'shared' : 'user';
+    const data = await request('/api/templates', 'POST', { botId, title, body, scope });
+    await load();
+    select.value = data.template.id;
+    render();
+  };
+
+  const editTemplate = async (template) => {
+    const title = window.prompt('Template title', template.title);
+    if (!title || !title.trim()) return;
+    const body = window.prompt('Template text', template.body);
+    if (!body || !body.trim()) return;
+    await request(`/api/templates/${encodeURIComponent(template.id)}`, 'PATCH', { title, body });
+    await load();
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.title}"?`)) return;
+    const res = await fetch(`/api/templates/${encodeURIComponent(template.id)}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error('Delete failed');
+    closeForm();
+    await load();
+  };
+
+  const importTemplates = async (file) => {
+    let payload;
+    try {
+      payload = JSON.parse(await file.text());
+    } catch (err) {
+      throw new Error('That file is not valid JSON');
+    }
+    const scope = window.confirm('Import these templates as shared templates?') ? 'shared' : 'user';
+    const data = await request('/api/templates/import', 'POST', { ...payload, scope });
+    await load();
+    const skipped = data.skipped.map(item => `#${item.index + 1}: ${item.error}`);
+    notify(`Imported ${data.imported.length} template(s).${skipped.length ? `\nSkipped:\n${skipped.join('\n')}` : ''}`);
+  };
+
+  const guard = promise => promise.catch(err => notify(err.message || 'Request failed'));
+
+  select.addEventListener('change', () => {
+    render();
+    const template = selected();
+    if (template) useTemplate(template);
+    else closeForm();
+  });
+
+  row.addEventListener('click', (e) => {
+    const action = e.target.dataset ? e.target.dataset.action : null;
+    const template = selected();
+    if (action === 'save') guard(saveTemplate());
+    if (action === 'edit' && template) guard(editTemplate(template));
+    if (action === 'delete' && template) guard(deleteTemplate(template));
+    if (action === 'export') window.location.href = `/api/templates/export?botId=${encodeURIComponent(botId)}`;
+    if (action === 'import') importInput.click();
+  });
+
+  importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) guard(importTemplates(file));
+  });
+
+  form.addEventListener('click', (e) => {
+    if (e.target.dataset && e.target.dataset.action === 'cancel') closeForm();
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const template = selected();
+    if (!template) return;
+    const values = {};
+    Array.from(form.querySelectorAll('input')).forEach((input) => {
+      values[input.name] = input.value.trim();
+    });
+    closeForm();
+    send(fill(template.body, values));
+  });
+
+  load().catch(() => {});
+})();
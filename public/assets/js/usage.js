@@ -0,0 +1,61 @@
+(() => {
+  const summary = document.querySelector('[data-usage-summary]');
+  const rows = document.querySelector('[data-usage-rows]');
+  if (!summary || !rows) return;
+
+  const formatLimit = (used, limit) => (typeof limit === 'number' ? `${used} / ${limit}` : `${used}`);
+
+  const renderCard = (title, lines) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.innerHTML = '<h3></h3><ul class="list"></ul>';
+    card.querySelector('h3').textContent = title;
+    const list = card.querySelector('ul');
+    lines.forEach((line) => {
+      const li = document.createElement('li');
+      li.textContent = line;
+      list.appendChild(li);
+    });
+    summary.appendChild(card);
+  };
+
+  const load = async () => {
+    const res = await fetch('/api/usage');
+    if (res.status === 401) {
+      window.location.href = '/login.html';
+      return;
+    }
+    const data = await res.json();
+    const { quota, current } = data;
+
+    summary.innerHTML = '';
+    renderCard('Today', [
+      `Requests: ${formatLimit(current.day.requests, quota.dailyRequests)}`,
+      `Tokens: ${formatLimit(current.day.totalTokens, quota.dailyTokens)}`,
+      `Images: ${formatLimit(current.day.images, quota.dailyImages)}`
+    ]);
+    renderCard('This month', [
+      `Requests: ${formatLimit(current.month.requests, quota.monthlyRequests)}`,
+      `Tokens: ${formatLimit(current.month.totalTokens, quota.monthlyTokens)}`,
+      `Images: ${formatLimit(current.month.images, quota.monthlyImages)}`
+    ]);
+
+    rows.innerHTML = '';
+    data.rows.slice().reverse().forEach((row) => {
+      const tr = document.createElement('tr');
+      [row.day, row.botId, row.requests, row.totalTokens, row.images].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      rows.appendChild(tr);
+    });
+    if (!data.rows.length) {
+      rows.innerHTML = '<tr><td colspan="5">No usage yet.</td></tr>';
+    }
+  };
+
+  load().catch(() => {
+    rows.innerHTML = '<tr><td colspan="5">Unable to load usage.</td></tr>';
+  });
+})();
@@ -11,14 +11,47 @@ const mammoth = require('mammoth');
 const { parse } = require('csv-parse/sync');
 const xlsx = require('xlsx');
 const mime = require('mime-types');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const conversations = require('./lib/conversations');
+const { resolveBotConfig, ProviderError, describeProviderError } = require('./lib/providers');
+const { UserStoreError, readUsers, writeUsers, findUser, publicUser } = require('./lib/users');
+const { hashPassword, verifyPassword, validatePassword, generatePassword, safeEqual } = require('./lib/passwords');
+const totp = require('./lib/totp');
+const lockout = require('./lib/lockout');
+const usage = require('./lib/usage');
+const { CHART_INSTRUCTIONS, extractChartRequest, buildChart } = require('./lib/charts');
+const { profileTable, formatProfile } = require('./lib/profile');
+const papers = require('./lib/papers');
+const reports = require('./lib/reports');
+const gallery = require('./lib/gallery');
+const fileStore = require('./lib/files');
+const library = require('./lib/library');
+const references = require('./lib/references');
+const comparison = require('./lib/comparison');
+const query = require('./lib/query');
+const images = require('./lib/images');
+const attachments = require('./lib/attachments');
+const bots = require('./lib/bots');
+const templates = require('./lib/templates');
+const structured = require('./lib/structured');
+const jobs = require('./lib/jobs');
+const apiKeys = require('./lib/apikeys');
+const audit = require('./lib/audit');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const QRCode = require('qrcode');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const publicDir = path.join(__dirname, 'public');
 const dataDir = path.join(__dirname, 'data');
 const uploadDir = path.join(__dirname, 'uploads');
-const usersPath = path.join(dataDir, 'users.json');
+const DEFAULT_SESSION_SECRET = 'change-this-secret';
+const SESSION_SECRET = process.env.SESSION_SECRET || DEFAULT_SESSION_SECRET;
+const TWO_FACTOR_WINDOW_MS = 5 * 60 * 1000;
+
+if (process.env.NODE_ENV === 'production' && (!process.env.SESSION_SECRET || process.env.SESSION_SECRET === DEFAULT_SESSION_SECRET)) {
+  console.error('SESSION_SECRET is unset or still the example value. Set it to a long random string before running in production.');
+  process.exit(1);
+}
 
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
@@ -27,6 +60,43 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+try {
+  bots.loadRegistry();
+} catch (err) {
+  if (!(err instanceof bots.BotRegistryError)) throw err;
+  console.error(err.message);
+  err.problems.forEach(problem => console.error(`  - ${problem}`));
+  process.exit(1);
+}
+bots.listBots().forEach((bot) => {
+  const config = resolveBotConfig(bot);
+  if (!config.configured) {
+    console.warn(`Bot "${bot.id}" is not configured (provider ${config.providerName}); requests to it will fail with 501.`);
+    return;
+  }
+  config.unconfigured.forEach((target) => {
+    console.warn(`Bot "${bot.id}": ${target.providerName} model ${target.model || '(none)'} has no provider, model or key and will be skipped.`);
+  });
+});
+
+audit.pruneAudit();
+setInterval(() => audit.pruneAudit(), 24 * 60 * 60 * 1000).unref();
+
+const cleanupStorage = async () => {
+  try {
+    const temp = fileStore.sweepTempDir(uploadDir);
+    const stored = await fileStore.pruneFiles();
+    const imagesRemoved = await gallery.pruneImages();
+    if (temp || stored || imagesRemoved) {
+      console.log(`Storage cleanup removed ${temp} temporary, ${stored} stored and ${imagesRemoved} gallery files`);
+    }
+  } catch (err) {
+    console.error('Storage cleanup failed', err.message);
+  }
+};
+cleanupStorage();
+setInterval(cleanupStorage, 60 * 60 * 1000).unref();
+
 app.use(helmet({
   contentSecurityPolicy: false
 }));
@@ -43,7 +113,7 @@ app.set('trust proxy', 1);
 
 app.use(cookieSession({
   name: 'suite.sid',
-  keys: [process.env.SESSION_SECRET || 'change-this-secret'],
+  keys: [SESSION_SECRET],
   maxAge: 1000 * 60 * 60 * 24,
   httpOnly: true,
   sameSite: 'lax',
@@ -51,24 +121,6 @@ app.use(cookieSession({
 }));
 
 app.use('/assets', express.static(path.join(publicDir, 'assets')));
-app.use('/uploads', express.static(uploadDir));
-
-function readUsers() {
-  if (!fs.existsSync(usersPath)) {
-    return { users: [] };
-  }
-  const raw = fs.readFileSync(usersPath, 'utf8');
-  try {
-    return JSON.parse(raw || '{"users":[]}');
-  } catch (err) {
-    console.error('Invalid users.json. Resetting to empty list.');
-    return { users: [] };
-  }
-}
-
-function writeUsers(data) {
-  fs.writeFileSync(usersPath, JSON.stringify(data, null, 2));
-}
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadDir),
@@ -90,36 +142,37 @@ const upload = multer({
   }
 });
 
-const r2Enabled = !!(process.env.R2_ENDPOINT && process.env.R2_ACCESS_KEY_ID && process.env.R2_SECRET_ACCESS_KEY && process.env.R2_BUCKET);
-const r2Client = r2Enabled ? new S3Client({
-  region: 'auto',
-  endpoint: process.env.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY
-  }
-}) : null;
 
-function truncateText(text, limit = 12000) {
-  if (!text) return '';
-  if (text.length <= limit) return text;
-  return `${text.slice(0, limit)}\n\n[Truncated ${text.length - limit} chars]`;
+// Tabular files are profiled in full; the prompt gets the profile plus a few
+// sample rows instead of the raw data.
+function describeTables(tables) {
+  const profile = tables.map(t => profileTable(t.name, t.columns, t.rows));
+  const samples = tables
+    .filter(t => t.rows.length)
+    .map(t => `Sample rows from "${t.name}":\n${JSON.stringify(t.rows.slice(0, 5))}`)
+    .join('\n\n');
+  const text = `Dataset profile:\n${formatProfile(profile)}\n\n${samples}`;
+  return {
+    text: attachments.truncateText(text),
+    inlineImage: null,
+    table: tables.find(t => t.rows.length) || null,
+    tables,
+    profile
+  };
 }
 
-async function uploadToR2(file) {
-  if (!r2Client) return null;
-  const key = `uploads/${Date.now()}-${crypto.randomBytes(8).toString('hex')}-${file.originalname}`;
-  const contentType = file.mimetype || mime.lookup(file.originalname) || 'application/octet-stream';
-  await r2Client.send(new PutObjectCommand({
-    Bucket: process.env.R2_BUCKET,
-    Key: key,
-    Body: fs.createReadStream(file.path),
-    ContentType: contentType
-  }));
-  if (process.env.R2_PUBLIC_URL) {
-    return `${process.env.R2_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
-  }
-  return null;
+// pdf-parse's own page renderer, except that each page's text is also kept
+// so library passages can cite page numbers.
+function renderPdfPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then((content) => {
+    let lastY;
+    let text = '';
+    content.items.forEach((item) => {
+      text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    });
+    return text;
+  });
 }
 
 async function extractFromFile(file) {
@@ -139,64 +192,223 @@ async function extractFromFile(file) {
   }
 
   if (ext === '.pdf') {
-    const data = await pdfParse(buffer);
-    return { text: truncateText(data.text || ''), inlineImage: null };
+    const pages = [];
+    const data = await pdfParse(buffer, {
+      pagerender: pageData => renderPdfPage(pageData).then((text) => {
+        pages.push(text);
+        return text;
+      })
+    });
+    return { text: attachments.truncateText(data.text || ''), fullText: data.text || '', pages, inlineImage: null };
   }
   if (ext === '.docx') {
     const result = await mammoth.extractRawText({ buffer });
-    return { text: truncateText(result.value || ''), inlineImage: null };
+    return { text: attachments.truncateText(result.value || ''), fullText: result.value || '', inlineImage: null };
   }
   if (ext === '.csv') {
-    const records = parse(buffer, { columns: true, skip_empty_lines: true });
-    const preview = JSON.stringify(records.slice(0, 30), null, 2);
-    return { text: truncateText(`CSV preview (first rows):\n${preview}`), inlineImage: null };
+    const records = parse(buffer, { columns: true, skip_empty_lines: true, relax_column_count: true });
+    const columns = records.length ? Object.keys(records[0]) : [];
+    return describeTables([{ name: file.originalname, columns, rows: records }]);
   }
   if (ext === '.xlsx') {
-    const wb = xlsx.read(buffer, { type: 'buffer' });
-    const sheet = wb.Sheets[wb.SheetNames[0]];
-    const csv = xlsx.utils.sheet_to_csv(sheet);
-    return { text: truncateText(`XLSX preview (CSV):\n${csv}`), inlineImage: null };
+    const wb = xlsx.read(buffer, { type: 'buffer', cellDates: true });
+    const tables = wb.SheetNames.map((name) => {
+      const sheet = wb.Sheets[name];
+      const header = xlsx.utils.sheet_to_json(sheet, { header: 1, blankrows: false })[0] || [];
+      const rows = xlsx.utils.sheet_to_json(sheet, { defval: '' });
+      const columns = rows.length ? Object.keys(rows[0]) : header.map(String);
+      return { name, columns, rows };
+    });
+    return describeTables(tables);
   }
 
   const fallback = buffer.toString('utf8');
-  return { text: truncateText(fallback), inlineImage: null };
+  return { text: attachments.truncateText(fallback), fullText: fallback, inlineImage: null };
 }
 
-function buildSystemPrompt(botId, chartType) {
-  if (botId === 'image') {
-    return 'You are an image generation assistant. Return a concise caption plus the generated image.';
+function buildSystemPrompt(bot, chartType) {
+  if (bots.hasFeature(bot, 'charts')) {
+    const chartInstruction = chartType ? `Include output for a ${chartType} chart.` : 'Include a recommended chart type.';
+    return `${bot.systemPrompt} ${chartInstruction} ${CHART_INSTRUCTIONS}`;
   }
-  if (botId === 'report') {
-    return 'You are a report generation assistant. Return a structured report with title, executive summary, sections, key findings, and conclusion.';
+  return bot.systemPrompt;
+}
+
+function usageRange(query) {
+  const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+  const to = isDay(query.to) ? query.to : usage.dayKey(new Date());
+  const from = isDay(query.from) ? query.from : usage.dayKey(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+function resolveBot(req, res, next) {
+  const bot = bots.getBot(req.params.botId);
+  if (!bot) {
+    return res.status(404).json({ error: 'Unknown bot' });
   }
-  if (botId === 'paper') {
-    return 'You are an academic paper analysis assistant. Return objective, methods, key results, limitations, and future work.';
+  if (!apiKeys.allowsBot(req.apiKey, bot.id)) {
+    return res.status(403).json({ error: 'This API key is not allowed to use this bot' });
   }
-  if (botId === 'data') {
-    const chartInstruction = chartType ? `Include output for a ${chartType} chart.` : 'Include a recommended chart type.';
-    return `You are a data analytics assistant. Provide dataset overview, descriptive stats, patterns, and insights. ${chartInstruction}`;
+  req.bot = bot;
+  next();
+}
+
+function rejectQuota(req, res, violation) {
+  const now = new Date();
+  const reset = violation.period === 'day'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  res.set('Retry-After', String(Math.ceil((reset - now.getTime()) / 1000)));
+  audit.record(req, 'bot.request', {
+    uid: req.user.uid,
+    botId: req.bot.id,
+    outcome: 'rejected',
+    status: 429,
+    error: violation.message
+  });
+  res.status(429).json({
+    error: `${violation.message}. Your limit is ${violation.limit} and resets ${violation.period === 'day' ? 'tomorrow' : 'next month'} (UTC).`,
+    quota: {
+      field: violation.field,
+      limit: violation.limit,
+      used: violation.used,
+      resetsAt: new Date(reset).toISOString()
+    }
+  });
+}
+
+// Runs before the upload is read, so an image bot is checked for one image
+// here and for the requested count once the options are parsed.
+function enforceQuota(req, res, next) {
+  const violation = usage.checkQuota(req.user, bots.hasFeature(req.bot, 'images') ? 1 : 0);
+  if (!violation) {
+    return next();
   }
-  return 'You are an assistant.';
+  rejectQuota(req, res, violation);
+}
+
+// Where a bot turn writes its output: SSE events when `live`, otherwise a
+// single JSON body. Background jobs supply their own (see lib/jobs.js).
+function responseOutput(res, live) {
+  return {
+    live,
+    get started() {
+      return res.headersSent;
+    },
+    open() {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+    },
+    event: (event, payload) => sendEvent(res, event, payload),
+    json: payload => res.json(payload),
+    error: (status, body) => {
+      if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+      res.status(status).json(body);
+    },
+    end: () => res.end()
+  };
+}
+
+function providerMessage(err) {
+  return err instanceof ProviderError ? describeProviderError(err).error : 'Bot request failed';
+}
+
+function sendEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function loadActiveUser(req) {
+  if (!req.session.uid) return null;
+  const user = findUser(readUsers(), req.session.uid);
+  if (!user || user.disabled) {
+    req.session = null;
+    return null;
+  }
+  return user;
 }
 
 function requireAuth(req, res, next) {
-  if (!req.session.uid) {
+  const user = loadActiveUser(req);
+  if (!user) {
     return res.redirect('/login.html');
   }
-  if (!req.session.nickname && req.path !== '/nickname.html') {
+  if (user.mustChangePassword && req.path !== '/password.html') {
+    return res.redirect('/password.html');
+  }
+  if (!req.session.nickname && req.path !== '/nickname.html' && req.path !== '/password.html') {
     return res.redirect('/nickname.html');
   }
+  req.user = user;
   next();
 }
 
-app.get('/', (req, res) => {
-  if (!req.session.uid) {
-    return res.redirect('/login.html');
+// A temporary password from an admin only unlocks the change-password call.
+function passwordChangePending(req, res, user) {
+  if (!user.mustChangePassword || req.path === '/api/password') return false;
+  res.status(403).json({ error: 'Change your temporary password first', mustChangePassword: true });
+  return true;
+}
+
+function requireApiAuth(req, res, next) {
+  const user = loadActiveUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Not authenticated' });
   }
-  if (!req.session.nickname) {
-    return res.redirect('/nickname.html');
+  if (passwordChangePending(req, res, user)) return;
+  req.user = user;
+  next();
+}
+
+// Lets scripts use a personal API key instead of the session cookie on the
+// routes that opt in. Key management itself stays session-only.
+function requireKeyOrSession(req, res, next) {
+  const header = req.get('authorization') || '';
+  if (!/^Bearer\s/i.test(header)) {
+    return requireApiAuth(req, res, next);
+  }
+  const key = apiKeys.authenticate(header.replace(/^Bearer\s+/i, '').trim());
+  const user = key ? findUser(readUsers(), key.uid) : null;
+  if (!user || user.disabled) {
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+  if (passwordChangePending(req, res, user)) return;
+  req.user = user;
+  req.apiKey = key;
+  next();
+}
+
+// Signed links stand in for the session until they expire.
+function requireFileAccess(req, res, next) {
+  if (!req.query.signature) {
+    return requireKeyOrSession(req, res, next);
+  }
+  const uid = fileStore.verifySignedUrl(req.params.id, req.query, SESSION_SECRET);
+  const user = uid ? findUser(readUsers(), uid) : null;
+  if (!user || user.disabled) {
+    return res.status(403).json({ error: 'This link is invalid or has expired' });
   }
-  res.sendFile(path.join(publicDir, 'index.html'));
+  req.user = user;
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  requireApiAuth(req, res, () => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+}
+
+app.get('/', (req, res) => {
+  requireAuth(req, res, () => {
+    res.sendFile(path.join(publicDir, 'index.html'));
+  });
 });
 
 app.get(['/*.html'], (req, res, next) => {
@@ -213,148 +425,1399 @@ app.get(['/*.html'], (req, res, next) => {
     }
     return res.sendFile(path.join(publicDir, 'nickname.html'));
   }
+  const legacyBot = bots.findBotByPage(file);
+  if (legacyBot) {
+    return res.redirect(`/assistant.html?bot=${encodeURIComponent(legacyBot.id)}`);
+  }
   requireAuth(req, res, () => {
+    if (file === 'admin.html' && req.user.role !== 'admin') {
+      return res.redirect('/index.html');
+    }
     res.sendFile(path.join(publicDir, file));
   });
 });
 
+function rejectLocked(req, res, uid, retryAfter, event = 'login.failure') {
+  res.set('Retry-After', String(retryAfter));
+  audit.record(req, event, { uid, outcome: 'rejected', status: 429, error: 'Account locked' });
+  return res.status(429).json({ error: `Too many failed attempts. Try again in ${retryAfter} seconds.`, retryAfter });
+}
+
+// Accepts either a current authenticator code or an unused recovery code.
+// Updates `user` so neither can be used twice; the caller writes it back.
+function verifySecondFactor(user, code) {
+  const step = totp.verifyCode(user.totp.secret, code, { lastStep: user.totp.lastStep });
+  if (step !== null) {
+    user.totp.lastStep = step;
+    return 'totp';
+  }
+  const index = totp.matchRecoveryCode(user.totp.recoveryCodes, code);
+  if (index !== -1) {
+    user.totp.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+  return null;
+}
+
+function completeLogin(req, res, data, user, fields = {}) {
+  user.lastLoginAt = new Date().toISOString();
+  writeUsers(data);
+  lockout.reset(user.uid);
+
+  delete req.session.pendingUid;
+  delete req.session.pendingAt;
+  req.session.uid = user.uid;
+  req.session.nickname = user.nickname || '';
+  audit.record(req, 'login.success', fields);
+
+  res.json({
+    ok: true,
+    needsNickname: !user.nickname,
+    mustChangePassword: !!user.mustChangePassword,
+    recoveryCodesLeft: fields.method === 'recovery' ? user.totp.recoveryCodes.length : undefined
+  });
+}
+
 app.post('/api/login', (req, res) => {
   const { uid, password } = req.body;
   if (!uid || !password) {
     return res.status(400).json({ error: 'UID and password required' });
   }
+  const account = String(uid).slice(0, 64);
+  const lock = lockout.check(account);
+  if (lock.locked) {
+    return rejectLocked(req, res, account, lock.retryAfter);
+  }
 
   const data = readUsers();
-  const user = data.users.find(u => u.uid === uid && u.password === password);
-  if (!user) {
+  const user = findUser(data, uid);
+  let valid = false;
+  if (user && user.passwordHash) {
+    valid = verifyPassword(password, user.passwordHash);
+  } else if (user && typeof user.password === 'string') {
+    valid = safeEqual(password, user.password);
+    if (valid) {
+      user.passwordHash = hashPassword(password);
+      delete user.password;
+    }
+  }
+  if (!valid) {
+    lockout.recordFailure(account);
+    audit.record(req, 'login.failure', { uid: account, outcome: 'failure', error: 'Invalid credentials' });
     return res.status(401).json({ error: 'Invalid credentials' });
   }
+  if (user.disabled) {
+    audit.record(req, 'login.failure', { uid: user.uid, outcome: 'rejected', error: 'Account disabled' });
+    return res.status(403).json({ error: 'Account disabled' });
+  }
 
-  req.session.uid = user.uid;
-  req.session.nickname = user.nickname || '';
+  if (user.totp) {
+    // The password was right but the session only becomes a login after
+    // the second step. Failed codes count towards the same lockout.
+    writeUsers(data);
+    delete req.session.uid;
+    delete req.session.nickname;
+    req.session.pendingUid = user.uid;
+    req.session.pendingAt = Date.now();
+    return res.json({ ok: true, twoFactorRequired: true });
+  }
+  completeLogin(req, res, data, user, { method: 'password' });
+});
 
-  res.json({
-    ok: true,
-    needsNickname: !user.nickname
-  });
+app.post('/api/login/2fa', (req, res) => {
+  const { pendingUid, pendingAt } = req.session;
+  if (!pendingUid || Date.now() - (pendingAt || 0) > TWO_FACTOR_WINDOW_MS) {
+    delete req.session.pendingUid;
+    delete req.session.pendingAt;
+    return res.status(401).json({ error: 'Sign in with your password again' });
+  }
+  const lock = lockout.check(pendingUid);
+  if (lock.locked) {
+    return rejectLocked(req, res, pendingUid, lock.retryAfter);
+  }
+  const data = readUsers();
+  const user = findUser(data, pendingUid);
+  if (!user || user.disabled || !user.totp) {
+    delete req.session.pendingUid;
+    delete req.session.pendingAt;
+    return res.status(401).json({ error: 'Sign in with your password again' });
+  }
+  const method = verifySecondFactor(user, String(req.body.code || ''));
+  if (!method) {
+    lockout.recordFailure(pendingUid);
+    audit.record(req, 'login.failure', { uid: pendingUid, outcome: 'failure', error: 'Invalid two-factor code' });
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  completeLogin(req, res, data, user, { method });
 });
 
 app.post('/api/logout', (req, res) => {
+  if (req.session.uid) {
+    audit.record(req, 'logout');
+  }
   req.session = null;
   res.clearCookie('suite.sid');
   res.json({ ok: true });
 });
 
 app.get('/api/session', (req, res) => {
+  const user = loadActiveUser(req);
   res.json({
-    authenticated: !!req.session.uid,
-    uid: req.session.uid || null,
-    nickname: req.session.nickname || null
+    authenticated: !!user,
+    uid: user ? user.uid : null,
+    nickname: user ? (req.session.nickname || null) : null,
+    role: user ? (user.role || 'user') : null,
+    mustChangePassword: user ? !!user.mustChangePassword : false,
+    twoFactorPending: !user && !!req.session.pendingUid
   });
 });
 
-app.post('/api/nickname', (req, res) => {
-  if (!req.session.uid) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
+app.post('/api/nickname', requireApiAuth, (req, res) => {
   const nickname = (req.body.nickname || '').trim();
   if (!nickname) {
     return res.status(400).json({ error: 'Nickname required' });
   }
 
   const data = readUsers();
-  const user = data.users.find(u => u.uid === req.session.uid);
+  const user = findUser(data, req.session.uid);
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
 
+  audit.record(req, 'nickname.change', { from: user.nickname || '', to: nickname });
   user.nickname = nickname;
   writeUsers(data);
   req.session.nickname = nickname;
   res.json({ ok: true, nickname });
 });
 
-app.post('/api/bot/:botId', upload.single('file'), async (req, res) => {
-  if (!req.session.uid) {
-    return res.status(401).json({ error: 'Not authenticated' });
+app.post('/api/password', requireApiAuth, (req, res) => {
+  const currentPassword = String(req.body.currentPassword || '');
+  const newPassword = String(req.body.newPassword || '');
+  const problem = validatePassword(newPassword);
+  if (problem) {
+    return res.status(400).json({ error: problem });
   }
 
-  const botId = req.params.botId;
-  const model = process.env[`BOT_${botId.toUpperCase()}_MODEL`];
-  const key = process.env[`BOT_${botId.toUpperCase()}_KEY`];
+  const data = readUsers();
+  const user = findUser(data, req.session.uid);
+  if (!user || !verifyPassword(currentPassword, user.passwordHash)) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+  if (currentPassword === newPassword) {
+    return res.status(400).json({ error: 'New password must differ from the current one' });
+  }
+
+  user.passwordHash = hashPassword(newPassword);
+  delete user.mustChangePassword;
+  writeUsers(data);
+  res.json({ ok: true, needsNickname: !user.nickname });
+});
 
-  if (!model || !key) {
-    return res.status(501).json({ error: 'Bot API not configured' });
+app.get('/api/account/2fa', requireApiAuth, (req, res) => {
+  const { totp: config } = req.user;
+  res.json({
+    enabled: !!config,
+    enabledAt: config ? config.enabledAt : null,
+    recoveryCodesLeft: config ? config.recoveryCodes.length : 0
+  });
+});
+
+// Starting enrollment needs the password, so a borrowed session cannot
+// put a second factor on someone else's account.
+app.post('/api/account/2fa/setup', requireApiAuth, async (req, res) => {
+  const data = readUsers();
+  const user = findUser(data, req.user.uid);
+  if (user.totp) {
+    return res.status(409).json({ error: 'Two-factor authentication is already on' });
+  }
+  if (!verifyPassword(String(req.body.password || ''), user.passwordHash)) {
+    return res.status(401).json({ error: 'Password is incorrect' });
   }
+  const secret = totp.generateSecret();
+  user.totpPending = { secret, createdAt: new Date().toISOString() };
+  writeUsers(data);
+  const otpauthUrl = totp.otpauthUrl(secret, user.uid);
+  res.json({ secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 }) });
+});
+
+app.post('/api/account/2fa/enable', requireApiAuth, (req, res) => {
+  const data = readUsers();
+  const user = findUser(data, req.user.uid);
+  if (user.totp) {
+    return res.status(409).json({ error: 'Two-factor authentication is already on' });
+  }
+  if (!user.totpPending) {
+    return res.status(400).json({ error: 'Start the setup first' });
+  }
+  const step = totp.verifyCode(user.totpPending.secret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({ error: 'That code did not match. Check the time on your device and try again.' });
+  }
+  const recovery = totp.generateRecoveryCodes();
+  user.totp = { secret: user.totpPending.secret, enabledAt: new Date().toISOString(), lastStep: step, recoveryCodes: recovery.hashes };
+  delete user.totpPending;
+  writeUsers(data);
+  audit.record(req, 'twofactor.change', { action: 'enable' });
+  res.json({ ok: true, recoveryCodes: recovery.codes });
+});
+
+app.post('/api/account/2fa/recovery-codes', requireApiAuth, (req, res) => {
+  const data = readUsers();
+  const user = findUser(data, req.user.uid);
+  if (!user.totp) {
+    return res.status(400).json({ error: 'Two-factor authentication is off' });
+  }
+  const lock = lockout.check(user.uid);
+  if (lock.locked) {
+    return rejectLocked(req, res, user.uid, lock.retryAfter, 'twofactor.change');
+  }
+  const step = totp.verifyCode(user.totp.secret, req.body.code, { lastStep: user.totp.lastStep });
+  if (step === null) {
+    lockout.recordFailure(user.uid);
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  lockout.reset(user.uid);
+  const recovery = totp.generateRecoveryCodes();
+  user.totp.lastStep = step;
+  user.totp.recoveryCodes = recovery.hashes;
+  writeUsers(data);
+  audit.record(req, 'twofactor.change', { action: 'recovery-codes' });
+  res.json({ ok: true, recoveryCodes: recovery.codes });
+});
+
+app.post('/api/account/2fa/disable', requireApiAuth, (req, res) => {
+  const data = readUsers();
+  const user = findUser(data, req.user.uid);
+  if (!user.totp) {
+    return res.status(400).json({ error: 'Two-factor authentication is off' });
+  }
+  // Both secrets are guessable here, so wrong ones count towards the
+  // login lockout.
+  const lock = lockout.check(user.uid);
+  if (lock.locked) {
+    return rejectLocked(req, res, user.uid, lock.retryAfter, 'twofactor.change');
+  }
+  if (!verifyPassword(String(req.body.password || ''), user.passwordHash)) {
+    lockout.recordFailure(user.uid);
+    return res.status(401).json({ error: 'Password is incorrect' });
+  }
+  if (!verifySecondFactor(user, String(req.body.code || ''))) {
+    lockout.recordFailure(user.uid);
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  lockout.reset(user.uid);
+  delete user.totp;
+  writeUsers(data);
+  audit.record(req, 'twofactor.change', { action: 'disable' });
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  res.json({ users: readUsers().users.map(user => ({ ...publicUser(user), lockedUntil: lockout.lockedUntil(user.uid) })) });
+});
+
+app.post('/api/admin/users', requireAdmin, (req, res) => {
+  const uid = String(req.body.uid || '').trim();
+  const password = String(req.body.password || '');
+  const role = req.body.role === 'admin' ? 'admin' : 'user';
+  if (!/^[A-Za-z0-9_-]{3,64}$/.test(uid)) {
+    return res.status(400).json({ error: 'UID must be 3-64 letters, digits, dashes or underscores' });
+  }
+  const problem = validatePassword(password);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  const data = readUsers();
+  if (findUser(data, uid)) {
+    return res.status(409).json({ error: 'UID already exists' });
+  }
+  const user = {
+    uid,
+    passwordHash: hashPassword(password),
+    nickname: String(req.body.nickname || '').trim(),
+    role,
+    mustChangePassword: true,
+    createdAt: new Date().toISOString()
+  };
+  data.users.push(user);
+  writeUsers(data);
+  res.status(201).json({ ok: true, user: publicUser(user) });
+});
+
+app.patch('/api/admin/users/:uid', requireAdmin, (req, res) => {
+  const data = readUsers();
+  const user = findUser(data, req.params.uid);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (user.uid === req.user.uid && (req.body.disabled === true || req.body.role === 'user')) {
+    return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+  }
+  if (typeof req.body.disabled === 'boolean') {
+    user.disabled = req.body.disabled;
+  }
+  if (req.body.role === 'admin' || req.body.role === 'user') {
+    user.role = req.body.role;
+  }
+  if (typeof req.body.nickname === 'string') {
+    user.nickname = req.body.nickname.trim();
+  }
+  writeUsers(data);
+  res.json({ ok: true, user: publicUser(user) });
+});
+
+app.post('/api/admin/users/:uid/reset-password', requireAdmin, (req, res) => {
+  const password = req.body.password ? String(req.body.password) : generatePassword();
+  const problem = validatePassword(password);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  const data = readUsers();
+  const user = findUser(data, req.params.uid);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  user.passwordHash = hashPassword(password);
+  delete user.password;
+  user.mustChangePassword = true;
+  writeUsers(data);
+  lockout.reset(user.uid);
+  res.json({ ok: true, temporaryPassword: password });
+});
+
+// For a user who lost both their authenticator and their recovery codes.
+app.post('/api/admin/users/:uid/reset-2fa', requireAdmin, (req, res) => {
+  const data = readUsers();
+  const user = findUser(data, req.params.uid);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  delete user.totp;
+  delete user.totpPending;
+  writeUsers(data);
+  audit.record(req, 'twofactor.change', { action: 'admin-reset', targetUid: user.uid });
+  res.json({ ok: true, user: publicUser(user) });
+});
+
+app.post('/api/admin/users/:uid/unlock', requireAdmin, (req, res) => {
+  lockout.reset(req.params.uid);
+  res.json({ ok: true });
+});
+
+app.delete('/api/admin/users/:uid', requireAdmin, async (req, res) => {
+  if (req.params.uid === req.user.uid) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  const { uid } = req.params;
+  if (!findUser(readUsers(), uid)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  // Nothing may be left for an account later created with the same UID.
+  // The account itself goes last, so a failed cleanup can be retried.
+  try {
+    apiKeys.revokeUserKeys(uid);
+    conversations.deleteUserConversations(uid);
+    templates.deleteUserTemplates(uid);
+    usage.deleteUserUsage(uid);
+    await Promise.all([fileStore.deleteUserFiles(uid), gallery.deleteUserImages(uid), library.deleteUserLibrary(uid)]);
+  } catch (err) {
+    console.error('Could not remove data of deleted user', err);
+    return res.status(500).json({ error: 'Could not remove the user\'s data. Try again.' });
+  }
+  const data = readUsers();
+  data.users = data.users.filter(u => u.uid !== uid);
+  writeUsers(data);
+  res.json({ ok: true });
+});
+
+app.get('/api/conversations', requireKeyOrSession, (req, res) => {
+  const botId = req.query.botId ? String(req.query.botId) : '';
+  const list = conversations.listConversations(req.user.uid, botId).filter(c => apiKeys.allowsBot(req.apiKey, c.botId));
+  res.json({ conversations: list });
+});
+
+app.get('/api/conversations/:id', requireKeyOrSession, (req, res) => {
+  const conversation = conversations.getConversation(req.user.uid, req.params.id);
+  if (!conversation || !apiKeys.allowsBot(req.apiKey, conversation.botId)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.json({
+    ...conversations.summarize(conversation),
+    turns: conversation.turns.map(turn => ({
+      id: turn.id || null,
+      role: turn.role,
+      text: turn.text,
+      files: (turn.files || (turn.file ? [turn.file] : [])).map(file => (file.id ? { ...file, url: `/api/files/${file.id}` } : file)),
+      profile: turn.profile || null,
+      image: !!turn.image,
+      imageUrls: (turn.imageIds || (turn.imageId ? [turn.imageId] : [])).map(id => `/api/gallery/${id}/image`),
+      chart: turn.chart || null,
+      sections: turn.sections || null,
+      structured: turn.structured || null,
+      citations: turn.citations || null,
+      comparison: turn.comparison || null,
+      query: turn.query || null,
+      referenceCount: turn.references ? turn.references.length : 0,
+      model: turn.model || null,
+      report: !!turn.report,
+      createdAt: turn.createdAt
+    }))
+  });
+});
+
+app.get('/api/conversations/:id/messages/:messageId/export', requireKeyOrSession, async (req, res) => {
+  const format = String(req.query.format || 'md').toLowerCase();
+  if (!reports.FORMATS[format]) {
+    return res.status(400).json({ error: 'Format must be md, docx or pdf' });
+  }
+  const conversation = conversations.getConversation(req.user.uid, req.params.id);
+  const turn = conversations.getTurn(req.user.uid, req.params.id, req.params.messageId);
+  if (!turn || !turn.report || !apiKeys.allowsBot(req.apiKey, conversation.botId)) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  const auditFields = { uid: req.user.uid, kind: 'report', botId: conversation.botId, conversationId: conversation.id, messageId: turn.id, format };
+  try {
+    const body = await reports.renderReport(turn.report, format);
+    res.set('Content-Type', reports.FORMATS[format].mimeType);
+    res.attachment(reports.exportFileName(turn.report, format));
+    res.send(body);
+    audit.record(req, 'export', auditFields);
+  } catch (err) {
+    console.error(err);
+    audit.record(req, 'export', { ...auditFields, outcome: 'failure', error: err.message });
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+app.get('/api/conversations/:id/messages/:messageId/references', requireKeyOrSession, (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!references.FORMATS[format]) {
+    return res.status(400).json({ error: 'Format must be bibtex, ris or json' });
+  }
+  const conversation = conversations.getConversation(req.user.uid, req.params.id);
+  const turn = conversations.getTurn(req.user.uid, req.params.id, req.params.messageId);
+  if (!turn || !turn.references || !apiKeys.allowsBot(req.apiKey, conversation.botId)) {
+    return res.status(404).json({ error: 'References not found' });
+  }
+  res.set('Content-Type', references.FORMATS[format].mimeType);
+  res.attachment(`references.${references.FORMATS[format].extension}`);
+  res.send(references.renderReferences(turn.references, format));
+  audit.record(req, 'export', { uid: req.user.uid, kind: 'references', botId: conversation.botId, conversationId: conversation.id, messageId: turn.id, format });
+});
+
+app.patch('/api/conversations/:id', requireApiAuth, (req, res) => {
+  const title = (req.body.title || '').trim();
+  if (!title) {
+    return res.status(400).json({ error: 'Title required' });
+  }
+  const conversation = conversations.renameConversation(req.session.uid, req.params.id, title.slice(0, 120));
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.json({ ok: true, conversation: conversations.summarize(conversation) });
+});
+
+app.delete('/api/conversations/:id', requireApiAuth, (req, res) => {
+  if (!conversations.deleteConversation(req.session.uid, req.params.id)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  fileStore.deleteConversationFiles(req.session.uid, req.params.id)
+    .catch(err => console.error('Could not remove conversation files', err.message));
+  res.json({ ok: true });
+});
+
+const isKnownBot = id => !!bots.getBot(id);
+
+app.get('/api/templates', requireApiAuth, (req, res) => {
+  const botId = req.query.botId ? String(req.query.botId) : '';
+  const list = templates.listTemplates(req.session.uid, botId);
+  res.json({ templates: list.map(t => templates.publicTemplate(t, req.user)) });
+});
+
+app.get('/api/templates/export', requireApiAuth, (req, res) => {
+  const botId = req.query.botId ? String(req.query.botId) : '';
+  const list = templates.listTemplates(req.session.uid, botId);
+  audit.record(req, 'export', { kind: 'templates', botId: botId || undefined, count: list.length });
+  res.attachment(`templates${botId ? `-${botId}` : ''}.json`);
+  res.json(templates.exportTemplates(list));
+});
+
+app.post('/api/templates/import', requireApiAuth, (req, res) => {
+  const scope = req.body.scope ? String(req.body.scope) : 'user';
+  if (!templates.SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `Scope must be one of ${templates.SCOPES.join(', ')}` });
+  }
+  const result = templates.importTemplates(req.session.uid, req.body, scope, isKnownBot);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({
+    ok: true,
+    imported: result.imported.map(t => templates.publicTemplate(t, req.user)),
+    skipped: result.skipped
+  });
+});
+
+app.post('/api/templates', requireApiAuth, (req, res) => {
+  const result = templates.validateTemplate(req.body, isKnownBot);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  const template = templates.createTemplate(req.session.uid, result.template);
+  res.status(201).json({ ok: true, template: templates.publicTemplate(template, req.user) });
+});
+
+app.patch('/api/templates/:id', requireApiAuth, (req, res) => {
+  const existing = templates.findTemplate(req.session.uid, req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!templates.publicTemplate(existing, req.user).editable) {
+    return res.status(403).json({ error: 'Only the owner can change a shared template' });
+  }
+  const result = templates.validateTemplate({ ...existing, ...req.body }, isKnownBot);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  const template = templates.updateTemplate(req.session.uid, existing.id, result.template);
+  res.json({ ok: true, template: templates.publicTemplate(template, req.user) });
+});
+
+app.delete('/api/templates/:id', requireApiAuth, (req, res) => {
+  const existing = templates.findTemplate(req.session.uid, req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!templates.publicTemplate(existing, req.user).editable) {
+    return res.status(403).json({ error: 'Only the owner can delete a shared template' });
+  }
+  templates.deleteTemplate(req.session.uid, existing.id);
+  res.json({ ok: true });
+});
+
+app.get('/api/gallery', requireApiAuth, (req, res) => {
+  const records = gallery.listImages(req.session.uid, req.query.q);
+  res.json({ images: records.map(gallery.publicImage) });
+});
+
+// Key auth too: bot replies and conversations hand these URLs to API clients.
+app.get('/api/gallery/:id/image', requireKeyOrSession, async (req, res) => {
+  const record = gallery.getImage(req.user.uid, req.params.id);
+  if (!record || !apiKeys.allowsBot(req.apiKey, record.botId)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  try {
+    const body = await gallery.openImage(record);
+    res.set('Content-Type', record.mimeType);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=86400');
+    if (req.query.download === '1') {
+      res.attachment(`image-${record.id}.${mime.extension(record.mimeType) || 'png'}`);
+    }
+    body.on('error', () => res.destroy());
+    body.pipe(res);
+  } catch (err) {
+    console.error(err);
+    res.status(502).json({ error: 'Image storage unavailable' });
+  }
+});
+
+app.delete('/api/gallery/:id', requireApiAuth, async (req, res) => {
+  try {
+    if (!(await gallery.deleteImage(req.session.uid, req.params.id))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    res.status(502).json({ error: 'Image storage unavailable' });
+  }
+});
+
+app.get('/api/files', requireKeyOrSession, (req, res) => {
+  const conversationId = req.query.conversationId ? String(req.query.conversationId) : '';
+  const list = fileStore.listFiles(req.user.uid, { conversationId }).filter(f => apiKeys.allowsBot(req.apiKey, f.botId));
+  res.json({ files: list.map(fileStore.publicFile), retentionDays: fileStore.RETENTION_DAYS });
+});
+
+app.get('/api/files/:id', requireFileAccess, async (req, res) => {
+  const record = fileStore.getFile(req.user.uid, req.params.id);
+  if (!record || !apiKeys.allowsBot(req.apiKey, record.botId)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  try {
+    const body = await fileStore.openFile(record);
+    res.set('Content-Type', record.mimeType);
+    res.set('Cache-Control', 'private, no-store');
+    // Always a download: an uploaded HTML or SVG file must never render on
+    // this origin.
+    res.attachment(record.name);
+    audit.record(req, 'export', { uid: req.user.uid, kind: 'file', botId: record.botId || undefined, fileId: record.id, signed: !!req.query.signature });
+    body.on('error', () => res.destroy());
+    body.pipe(res);
+  } catch (err) {
+    console.error(err);
+    res.status(502).json({ error: 'File storage unavailable' });
+  }
+});
+
+app.delete('/api/files/:id', requireApiAuth, async (req, res) => {
+  try {
+    if (!(await fileStore.deleteFile(req.session.uid, req.params.id))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    res.status(502).json({ error: 'File storage unavailable' });
+  }
+});
+
+app.get('/api/library', requireApiAuth, (req, res) => {
+  const tag = req.query.tag ? String(req.query.tag).toLowerCase() : '';
+  res.json({
+    documents: library.listDocuments(req.user.uid, { tag }).map(library.publicDocument),
+    tags: library.listTags(req.user.uid),
+    maxDocuments: library.MAX_DOCUMENTS
+  });
+});
+
+app.get('/api/library/search', requireApiAuth, (req, res) => {
+  const query = req.query.q ? String(req.query.q) : '';
+  const parsed = library.parseScope(req.query.library || 'all');
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  res.json({ passages: query ? library.searchLibrary(req.user.uid, query, parsed.scope) : [] });
+});
+
+app.post('/api/library', requireApiAuth, upload.array('file', attachments.MAX_ATTACHMENTS), async (req, res) => {
+  const uploads = req.files || [];
+  const discard = () => uploads.forEach(item => fs.rmSync(item.path, { force: true }));
+  const tags = library.normalizeTags(req.body.tags);
+  if (tags.error) {
+    discard();
+    return res.status(400).json({ error: tags.error });
+  }
+  if (!uploads.length) {
+    return res.status(400).json({ error: 'Choose at least one document' });
+  }
+  if (uploads.some(item => (item.mimetype || '').startsWith('image/'))) {
+    discard();
+    return res.status(400).json({ error: 'Images cannot be added to the library' });
+  }
+  if (library.listDocuments(req.user.uid).length + uploads.length > library.MAX_DOCUMENTS) {
+    discard();
+    return res.status(409).json({ error: `Your library is limited to ${library.MAX_DOCUMENTS} documents. Delete some first.` });
+  }
+  audit.record(req, 'upload', { uid: req.user.uid, kind: 'library', files: audit.fileEntries(uploads) });
+  try {
+    const documents = [];
+    for (const item of uploads) {
+      documents.push(await library.addDocument(req.user.uid, item, { tags: tags.tags }, extractFromFile));
+    }
+    res.status(201).json({ documents: documents.map(library.publicDocument) });
+  } catch (err) {
+    console.error(err);
+    res.status(502).json({ error: 'File storage unavailable' });
+  } finally {
+    discard();
+  }
+});
+
+app.patch('/api/library/:id', requireApiAuth, (req, res) => {
+  const tags = library.normalizeTags(req.body.tags);
+  if (tags.error) {
+    return res.status(400).json({ error: tags.error });
+  }
+  const doc = library.updateTags(req.user.uid, req.params.id, tags.tags);
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json({ ok: true, document: library.publicDocument(doc) });
+});
+
+app.post('/api/library/:id/reindex', requireApiAuth, async (req, res) => {
+  try {
+    const doc = await library.reindexDocument(req.user.uid, req.params.id, extractFromFile);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ ok: true, document: library.publicDocument(doc) });
+  } catch (err) {
+    console.error(err);
+    res.status(502).json({ error: 'File storage unavailable' });
+  }
+});
+
+app.delete('/api/library/:id', requireApiAuth, async (req, res) => {
+  try {
+    if (!(await library.deleteDocument(req.user.uid, req.params.id))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    res.status(502).json({ error: 'File storage unavailable' });
+  }
+});
+
+app.get('/api/usage', requireApiAuth, (req, res) => {
+  const { from, to } = usageRange(req.query);
+  const report = usage.userUsage(req.user.uid, from, to);
+  res.json({
+    from,
+    to,
+    quota: req.user.quota || {},
+    current: usage.periodTotals(req.user.uid),
+    rows: report.rows,
+    totals: report.totals
+  });
+});
+
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  const { from, to } = usageRange(req.query);
+  const report = usage.usageReport(from, to);
+  if (req.query.format === 'csv') {
+    audit.record(req, 'export', { kind: 'usage', format: 'csv', from, to });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="usage-${from}-to-${to}.csv"`);
+    return res.send(usage.toCsv(report.rows));
+  }
+  res.json({ from, to, ...report });
+});
+
+app.put('/api/admin/users/:uid/quota', requireAdmin, (req, res) => {
+  const data = readUsers();
+  const user = findUser(data, req.params.uid);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  const quota = usage.normalizeQuota(req.body);
+  if (Object.keys(quota).length) {
+    user.quota = quota;
+  } else {
+    delete user.quota;
+  }
+  writeUsers(data);
+  res.json({ ok: true, user: publicUser(user) });
+});
+
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  const { from, to } = usageRange(req.query);
+  const pick = (name, allowed) => {
+    const value = req.query[name] ? String(req.query[name]) : '';
+    return !allowed || allowed.includes(value) ? value : '';
+  };
+  const filter = {
+    from,
+    to,
+    event: pick('event', audit.EVENTS),
+    outcome: pick('outcome', audit.OUTCOMES),
+    uid: pick('uid'),
+    botId: pick('botId')
+  };
+  if (req.query.format === 'csv' || req.query.format === 'jsonl') {
+    const entries = audit.exportAudit(filter);
+    audit.record(req, 'export', { kind: 'audit', format: req.query.format, from, to, count: entries.length });
+    res.attachment(`audit-${from}-to-${to}.${req.query.format}`);
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(audit.toCsv(entries));
+    }
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    return res.send(entries.map(entry => JSON.stringify(entry)).join('\n'));
+  }
+  res.json({
+    ...filter,
+    retentionDays: audit.RETENTION_DAYS,
+    events: audit.EVENTS,
+    outcomes: audit.OUTCOMES,
+    ...audit.queryAudit(filter, { page: req.query.page, pageSize: req.query.pageSize })
+  });
+});
+
+app.get('/api/bots', requireKeyOrSession, (req, res) => {
+  const list = bots.listBots().filter(bot => apiKeys.allowsBot(req.apiKey, bot.id));
+  res.json({ bots: list.map(bots.publicBot) });
+});
+
+app.get('/api/keys', requireApiAuth, (req, res) => {
+  res.json({ keys: apiKeys.listKeys(req.session.uid).map(apiKeys.publicKey) });
+});
+
+app.post('/api/keys', requireApiAuth, (req, res) => {
+  const created = apiKeys.createKey(req.session.uid, req.body, isKnownBot);
+  if (created.error) {
+    return res.status(400).json({ error: created.error });
+  }
+  res.status(201).json({ key: apiKeys.publicKey(created.key), token: created.token });
+});
+
+app.delete('/api/keys/:id', requireApiAuth, (req, res) => {
+  const key = apiKeys.revokeKey(req.session.uid, req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.json({ ok: true, key: apiKeys.publicKey(key) });
+});
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec(bots.listBots()));
+});
+
+app.get('/api/jobs', requireKeyOrSession, (req, res) => {
+  const botId = req.query.botId ? String(req.query.botId) : '';
+  const list = jobs.listJobs(req.user.uid, botId).filter(job => apiKeys.allowsBot(req.apiKey, job.botId));
+  res.json({ jobs: list.map(job => jobs.publicJob(job)) });
+});
+
+app.get('/api/jobs/:id', requireKeyOrSession, (req, res) => {
+  const job = jobs.getJob(req.user.uid, req.params.id);
+  if (!job || !apiKeys.allowsBot(req.apiKey, job.botId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: jobs.publicJob(job, { withResult: true }) });
+});
+
+app.get('/api/jobs/:id/events', requireKeyOrSession, (req, res) => {
+  const job = jobs.getJob(req.user.uid, req.params.id);
+  if (!job || !apiKeys.allowsBot(req.apiKey, job.botId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const unsubscribe = jobs.subscribe(job, (event, payload) => sendEvent(res, event, payload), () => {
+    sendEvent(res, 'job', jobs.publicJob(job, { withResult: true }));
+    res.end();
+  });
+  res.on('close', unsubscribe);
+});
+
+app.post('/api/jobs/:id/cancel', requireKeyOrSession, (req, res) => {
+  const job = jobs.getJob(req.user.uid, req.params.id);
+  if (!job || !apiKeys.allowsBot(req.apiKey, job.botId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!jobs.cancelJob(job)) {
+    return res.status(409).json({ error: 'Job has already finished' });
+  }
+  res.json({ ok: true, job: jobs.publicJob(job) });
+});
+
+app.delete('/api/jobs/:id', requireKeyOrSession, (req, res) => {
+  const job = jobs.getJob(req.user.uid, req.params.id);
+  if (!job || !apiKeys.allowsBot(req.apiKey, job.botId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!jobs.removeJob(job)) {
+    return res.status(409).json({ error: 'Cancel the job before removing it' });
+  }
+  res.json({ ok: true });
+});
+
+app.post('/api/bot/:botId', requireKeyOrSession, resolveBot, enforceQuota, upload.array('file', attachments.MAX_ATTACHMENTS), async (req, res) => {
+  const { bot } = req;
+  const botId = bot.id;
+  const botConfig = resolveBotConfig(bot);
+  const startedAt = Date.now();
+  const uploads = req.files || [];
+  const discardUploads = () => {
+    uploads.forEach((item) => {
+      if (fs.existsSync(item.path)) fs.unlink(item.path, () => {});
+    });
+  };
+  const auditFiles = audit.fileEntries(uploads);
+  const auditRequest = (outcome, fields = {}) => audit.record(req, 'bot.request', {
+    uid: req.user.uid,
+    botId,
+    via: req.apiKey ? 'apiKey' : 'session',
+    keyId: req.apiKey ? req.apiKey.id : undefined,
+    prompt: req.body && req.body.text ? String(req.body.text) : '',
+    files: auditFiles.length ? auditFiles : undefined,
+    outcome,
+    latencyMs: Date.now() - startedAt,
+    ...fields
+  });
+  const reject = (status, error) => {
+    discardUploads();
+    auditRequest('rejected', { status, error });
+    return res.status(status).json({ error });
+  };
+  if (uploads.length) {
+    audit.record(req, 'upload', { uid: req.user.uid, botId, files: auditFiles });
+  }
+
+  if (!botConfig.configured) {
+    return reject(501, 'Bot API not configured');
+  }
+  const { provider } = botConfig;
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) upstream.abort();
+  });
 
   try {
     const userText = (req.body && req.body.text) ? String(req.body.text) : '';
     const chartType = (req.body && req.body.chartType) ? String(req.body.chartType) : '';
-    const file = req.file || null;
-    const extracted = await extractFromFile(file);
-    const fileUrl = file ? await uploadToR2(file) : null;
-    const systemPrompt = buildSystemPrompt(botId, chartType);
-
-    const parts = [];
-    if (userText) {
-      parts.push({ text: userText });
+    const conversationId = (req.body && req.body.conversationId) ? String(req.body.conversationId) : '';
+    if (uploads.reduce((sum, item) => sum + item.size, 0) > attachments.MAX_TOTAL_BYTES) {
+      return reject(413, 'Attachments are too large in total');
     }
-    if (extracted.text) {
-      parts.push({ text: `\n\n[File Content]\n${extracted.text}` });
+    const filesMeta = uploads.map(attachments.attachmentMeta);
+    let conversation = null;
+    if (conversationId) {
+      conversation = conversations.getConversation(req.user.uid, conversationId);
+      if (!conversation || conversation.botId !== botId) {
+        return reject(404, 'Conversation not found');
+      }
     }
-    if (extracted.inlineImage) {
-      parts.push({
-        inline_data: {
-          mime_type: extracted.inlineImage.mimeType,
-          data: extracted.inlineImage.data
-        }
-      });
+    const extractedFiles = [];
+    for (const item of uploads) {
+      extractedFiles.push({ name: item.originalname, extracted: await extractFromFile(item) });
+    }
+    const extracted = attachments.combineAttachments(extractedFiles);
+    let imageOptions = null;
+    if (bots.hasFeature(bot, 'images')) {
+      if (extractedFiles.some(item => !item.extracted.inlineImage)) {
+        return reject(400, 'Reference files must be images');
+      }
+      const parsed = images.parseImageOptions(req.body, extracted.inlineImages.length);
+      if (parsed.error) {
+        return reject(400, parsed.error);
+      }
+      imageOptions = parsed.options;
+      const violation = usage.checkQuota(req.user, imageOptions.count);
+      if (violation) {
+        discardUploads();
+        return rejectQuota(req, res, violation);
+      }
+    }
+    let passages = [];
+    if (bots.hasFeature(bot, 'library')) {
+      const parsed = library.parseScope(req.body.library);
+      if (parsed.error) {
+        return reject(400, parsed.error);
+      }
+      if (parsed.scope && userText) {
+        passages = library.searchLibrary(req.user.uid, userText, parsed.scope);
+      }
+    }
+    const compareMode = bots.hasFeature(bot, 'compare') && req.body.compare === '1';
+    if (compareMode && extracted.documents.length < 2) {
+      return reject(400, 'Attach at least two papers to compare');
+    }
+    if (compareMode && extracted.documents.length > comparison.MAX_PAPERS) {
+      return reject(400, `At most ${comparison.MAX_PAPERS} papers can be compared at once`);
+    }
+    const paperReferences = bots.hasFeature(bot, 'references')
+      ? references.extractFromDocuments(extracted.documents.filter(doc => /\.(pdf|docx)$/i.test(doc.name)))
+      : [];
+    let dataset = null;
+    if (bots.hasFeature(bot, 'query') && userText) {
+      const tables = extractedFiles.flatMap(item => item.extracted.tables || []).filter(t => t.rows.length);
+      if (tables.length) {
+        dataset = { tables, profile: extracted.profile || [], file: null };
+      } else if (conversation) {
+        dataset = await query.loadConversationDataset(req.user.uid, conversation.id, extractFromFile).catch((err) => {
+          console.error('Could not reload dataset', err.message);
+          return null;
+        });
+      }
+    }
+    const structuredMode = !!bot.responseSchema && !imageOptions && !compareMode && req.body.structured === '1';
+    const history = conversations.buildHistory(conversation);
+    let systemPrompt = imageOptions ? images.buildImagePrompt(bot.systemPrompt, imageOptions) : buildSystemPrompt(bot, chartType);
+    if (structuredMode) {
+      systemPrompt += ' Reply with a single JSON object that matches the response schema and nothing else.';
     }
-    if (parts.length === 0) {
-      parts.push({ text: 'No input provided.' });
+    if (passages.length) {
+      systemPrompt += ` ${library.CITATION_INSTRUCTIONS}`;
     }
+    if (history.summary) {
+      systemPrompt += `\n\nSummary of the earlier conversation:\n${history.summary}`;
+    }
+
+    const jobMode = req.body.job === '1';
+    const stream = !jobMode && (req.body.stream === '1' || (req.get('accept') || '').includes('text/event-stream'));
+    const title = conversations.deriveTitle(userText, filesMeta[0]);
+    const mode = jobMode ? 'job' : (stream ? 'stream' : 'json');
+
+    // Everything from here on talks to the model, so it can run either for
+    // this request or later as a background job.
+    const runTurn = async (out, signal) => {
+      const openStream = () => {
+        if (out.started) return;
+        out.open();
+        if (!conversation) {
+          conversation = conversations.createConversation(req.user.uid, botId, title);
+        }
+        out.event('start', { conversationId: conversation.id });
+        if (extracted.profile) {
+          out.event('profile', { profile: extracted.profile });
+        }
+      };
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': key
-      },
-      body: JSON.stringify({
-        systemInstruction: {
-          role: 'system',
-          parts: [{ text: systemPrompt }]
-        },
-        generationConfig: botId === 'image' ? { responseModalities: ['TEXT', 'IMAGE'] } : {},
-        contents: [
-          {
-            role: 'user',
-            parts
+      try {
+        if (jobMode) openStream();
+
+        let prepUsage = null;
+        let sections = null;
+        if (!compareMode && bots.hasFeature(bot, 'longDocuments') && papers.isLongDocument(extracted.documents.map(doc => doc.text).join('\n\n'))) {
+          const chunks = papers.buildDocumentChunks(extracted.documents);
+          sections = chunks.map(c => c.label);
+          if (out.live) openStream();
+          const digest = await papers.analyzeChunks({
+            provider,
+            request: { botId, model: botConfig.model, key: botConfig.key, baseUrl: botConfig.baseUrl, generationConfig: bot.generationConfig },
+            chunks,
+            signal,
+            onProgress: out.live ? progress => out.event('progress', progress) : null
+          });
+          extracted.text = digest.notes;
+          prepUsage = digest.usage;
+        }
+
+        let queryOutcome = null;
+        if (dataset) {
+          if (out.live) openStream();
+          const planned = await query.planQuery({
+            provider,
+            request: { botId, model: botConfig.model, key: botConfig.key, baseUrl: botConfig.baseUrl, generationConfig: bot.generationConfig, contents: history.contents },
+            question: userText,
+            dataset,
+            signal
+          });
+          prepUsage = papers.mergeUsage(prepUsage, planned.usage);
+          if (planned.query) {
+            queryOutcome = { ...planned.query, file: dataset.file };
+            if (out.live) out.event('query', { query: queryOutcome });
           }
-        ]
-      })
-    });
+        }
 
-    const data = await response.json();
-    if (!response.ok) {
-      return res.status(response.status).json({ error: 'Bot request failed', details: data });
-    }
-    const partsOut = data?.candidates?.[0]?.content?.parts || [];
-    const textParts = partsOut.filter(p => typeof p.text === 'string').map(p => p.text);
-    const text = textParts.join('\n\n').trim();
-    const imagePart = partsOut.find(p => p.inlineData || p.inline_data);
-    const inline = imagePart ? (imagePart.inlineData || imagePart.inline_data) : null;
-    const image = inline && inline.data ? `data:${inline.mimeType || inline.mime_type};base64,${inline.data}` : null;
-    if (file && fs.existsSync(file.path)) {
-      fs.unlink(file.path, () => {});
+        const parts = [];
+        if (userText) {
+          parts.push({ text: userText });
+        }
+        if (extracted.text) {
+          const intro = sections ? `${papers.REDUCE_INSTRUCTIONS}\n\n` : '';
+          parts.push({ text: `\n\n[File Content]\n${intro}${extracted.text}` });
+        }
+        if (passages.length) {
+          parts.push({ text: `\n\n${library.formatPassages(passages)}` });
+        }
+        if (queryOutcome) {
+          parts.push({ text: `\n\n${query.formatQuery(queryOutcome)}` });
+        }
+        extracted.inlineImages.forEach((inlineImage) => {
+          parts.push({ inlineImage });
+        });
+        if (parts.length === 0) {
+          parts.push({ text: 'No input provided.' });
+        }
+
+        const modelRequest = {
+          botId,
+          model: botConfig.model,
+          key: botConfig.key,
+          baseUrl: botConfig.baseUrl,
+          systemPrompt: queryOutcome ? `${systemPrompt} ${query.NARRATION_INSTRUCTIONS}` : systemPrompt,
+          generationConfig: bot.generationConfig,
+          imageOutput: bots.hasFeature(bot, 'images'),
+          aspectRatio: imageOptions ? imageOptions.aspectRatio : '',
+          contents: [
+            ...history.contents,
+            {
+              role: 'user',
+              parts
+            }
+          ]
+        };
+
+        const shapeReply = (rawText) => {
+          if (!bots.hasFeature(bot, 'charts')) {
+            return { text: rawText, chart: null };
+          }
+          const { request, narrative } = extractChartRequest(rawText);
+          const table = extracted.table || (dataset ? dataset.tables[0] : null);
+          const built = table ? buildChart(request, table, chartType) : {};
+          return { text: narrative, chart: built.chart || null };
+        };
+
+        const finishTurn = async (text, imageList, tokenUsage, extra = {}) => {
+          const totalUsage = papers.mergeUsage(prepUsage, tokenUsage);
+          usage.recordUsage(req.user.uid, botId, { usage: totalUsage, images: imageList.length });
+          if (!conversation) {
+            conversation = conversations.createConversation(req.user.uid, botId, title);
+          }
+          const fileRecords = [];
+          for (const item of uploads) {
+            try {
+              fileRecords.push(await fileStore.saveUpload(req.user.uid, item, { botId, conversationId: conversation.id }));
+            } catch (err) {
+              console.error('File save failed', err.message);
+              fileRecords.push(null);
+            }
+          }
+          discardUploads();
+          const stored = [];
+          for (const image of imageList) {
+            try {
+              const record = await gallery.saveImage(req.user.uid, {
+                image,
+                prompt: userText,
+                model: extra.model || botConfig.model,
+                botId,
+                options: imageOptions,
+                conversationId: conversation.id
+              });
+              if (record) stored.push(record);
+            } catch (err) {
+              console.error('Gallery save failed', err.message);
+            }
+          }
+          let report = null;
+          if (bots.hasFeature(bot, 'reportExport')) {
+            // A structured reply that failed validation leaves only raw JSON
+            // in `text`, which is no report at all.
+            if (extra.structured) report = reports.reportFromStructured(extra.structured, { images: imageList });
+            else if (!structuredMode && text) report = reports.buildReport(text, { images: imageList });
+          }
+          const citations = passages.length ? library.citationList(passages) : null;
+          const saved = conversations.appendTurns(req.user.uid, conversation.id, [
+            { role: 'user', text: userText, files: filesMeta.map((meta, i) => (fileRecords[i] ? { ...meta, id: fileRecords[i].id } : meta)), fileText: extracted.text || '', profile: extracted.profile || null },
+            { role: 'model', text, image: imageList.length > 0, imageIds: stored.map(r => r.id), imageOptions, sections, report, citations, references: paperReferences.length ? paperReferences : null, query: queryOutcome, ...extra }
+          ]);
+          auditRequest(extra.stopped ? 'stopped' : 'success', {
+            mode,
+            model: extra.model || undefined,
+            tokens: totalUsage || undefined,
+            images: imageList.length || undefined,
+            libraryPassages: passages.length || undefined,
+            references: paperReferences.length || undefined,
+            comparedPapers: compareMode ? extracted.documents.length : undefined,
+            query: queryOutcome ? (queryOutcome.error ? 'failed' : 'ok') : undefined,
+            conversationId: conversation.id,
+            fileText: extracted.text || undefined
+          });
+          return {
+            conversationId: conversation.id,
+            messageId: saved.turns[saved.turns.length - 1].id,
+            report: !!report,
+            imageUrls: stored.map(r => gallery.publicImage(r).url),
+            fileUrls: fileRecords.filter(Boolean).map(r => fileStore.signedUrl(r, SESSION_SECRET)),
+            citations,
+            references: paperReferences,
+            query: queryOutcome,
+            model: extra.model || null
+          };
+        };
+
+        if (imageOptions) {
+          if (out.live) openStream();
+          const output = await images.generateImages({
+            provider,
+            request: modelRequest,
+            count: imageOptions.count,
+            signal,
+            onImage: out.live ? image => out.event('image', { image }) : null
+          });
+          const stopped = signal.aborted;
+          const saved = await finishTurn(output.text, output.images, output.usage, stopped ? { stopped: true, model: output.model } : { model: output.model });
+          if (!stream) {
+            return out.json({
+              text: output.text,
+              image: output.images[0] || null,
+              images: output.images,
+              ...saved
+            });
+          }
+          if (stopped) return;
+          if (output.text) out.event('chunk', { text: output.text });
+          out.event('done', { ...saved, sections });
+          return out.end();
+        }
+
+        if (compareMode) {
+          if (out.live) openStream();
+          const output = await comparison.comparePapers({
+            provider,
+            request: modelRequest,
+            documents: extracted.documents,
+            focus: userText,
+            signal,
+            onProgress: out.live ? progress => out.event('progress', progress) : null
+          });
+          const stopped = signal.aborted;
+          const extra = { comparison: output.table, model: output.model };
+          if (stopped) extra.stopped = true;
+          const saved = await finishTurn(output.text, [], output.usage, extra);
+          if (!stream) {
+            return out.json({
+              text: output.text,
+              comparison: output.table,
+              image: null,
+              images: [],
+              chart: null,
+              profile: extracted.profile || null,
+              sections,
+              ...saved
+            });
+          }
+          if (stopped) return;
+          out.event('chunk', { text: output.text });
+          out.event('done', { ...saved, sections, comparison: output.table });
+          return out.end();
+        }
+
+        if (structuredMode) {
+          if (out.live) openStream();
+          const output = await structured.generateStructured({
+            provider,
+            request: modelRequest,
+            schema: bot.responseSchema,
+            signal
+          });
+          const stopped = signal.aborted;
+          const extra = { structured: output.data, model: output.model };
+          if (output.errors.length) extra.structuredErrors = output.errors;
+          if (stopped) extra.stopped = true;
+          const saved = await finishTurn(output.text, [], output.usage, extra);
+          if (!stream) {
+            return out.json({
+              text: output.text,
+              structured: output.data,
+              structuredErrors: output.errors,
+              image: null,
+              images: [],
+              chart: null,
+              profile: extracted.profile || null,
+              sections,
+              ...saved,
+              raw: output.raw
+            });
+          }
+          if (stopped) return;
+          if (output.text) out.event('chunk', { text: output.text });
+          out.event('done', { ...saved, sections, structured: output.data, structuredErrors: output.errors });
+          return out.end();
+        }
+
+        if (!stream) {
+          const result = await provider.generate({ ...modelRequest, signal });
+          const reply = shapeReply(result.text);
+          const saved = await finishTurn(reply.text, result.image ? [result.image] : [], result.usage, { chart: reply.chart, model: result.model });
+          return out.json({
+            text: reply.text,
+            image: result.image,
+            images: result.image ? [result.image] : [],
+            chart: reply.chart,
+            profile: extracted.profile || null,
+            sections,
+            ...saved,
+            raw: result.raw
+          });
+        }
+
+        const chunks = provider.stream({ ...modelRequest, signal });
+        const first = await chunks.next();
+        openStream();
+
+        let text = '';
+        let image = null;
+        let tokenUsage = null;
+        let model = null;
+        try {
+          for (let step = first; !step.done; step = await chunks.next()) {
+            const piece = step.value;
+            if (piece.usage) {
+              tokenUsage = piece.usage;
+            }
+            if (piece.model) {
+              model = piece.model;
+            }
+            if (piece.text) {
+              text += piece.text;
+              out.event('chunk', { text: piece.text });
+            }
+            if (piece.image && !image) {
+              image = piece.image;
+              out.event('image', { image });
+            }
+          }
+        } catch (err) {
+          if (signal.aborted) {
+            await finishTurn(text.trim(), image ? [image] : [], tokenUsage, { stopped: true, model });
+            return;
+          }
+          auditRequest('failure', { mode, status: err.status || 500, error: err.message });
+          out.event('error', { error: providerMessage(err) });
+          return out.end();
+        }
+        if (signal.aborted) {
+          await finishTurn(text.trim(), image ? [image] : [], tokenUsage, { stopped: true, model });
+          return;
+        }
+        const reply = shapeReply(text.trim());
+        if (bots.hasFeature(bot, 'charts')) {
+          out.event('chart', { text: reply.text, chart: reply.chart });
+        }
+        const saved = await finishTurn(reply.text, image ? [image] : [], tokenUsage, { chart: reply.chart, model });
+        out.event('done', { ...saved, sections });
+        out.end();
+      } catch (err) {
+        if (!(err instanceof ProviderError)) {
+          console.error('Bot request failed', err);
+        }
+        auditRequest(signal.aborted ? 'stopped' : 'failure', { mode, status: err.status || 500, error: err.message });
+        if (out.started) {
+          if (!signal.aborted) {
+            out.event('error', { error: providerMessage(err) });
+          }
+          return out.end();
+        }
+        if (err instanceof ProviderError) {
+          const { status, error, retryAfter } = describeProviderError(err);
+          return out.error(status, retryAfter ? { error, retryAfter } : { error });
+        }
+        out.error(500, { error: 'Bot request failed' });
+      }
+    };
+
+    if (jobMode) {
+      const queued = jobs.enqueue(req.user.uid, { botId, title, run: runTurn, cleanup: discardUploads });
+      if (queued.error) {
+        discardUploads();
+        return res.status(queued.status).json({ error: queued.error });
+      }
+      return res.status(202).json({ job: jobs.publicJob(queued.job) });
     }
-    res.json({ text, image, fileUrl, raw: data });
+    await runTurn(responseOutput(res, stream), upstream.signal);
+    discardUploads();
   } catch (err) {
+    discardUploads();
+    console.error('Bot request failed', err);
+    auditRequest('failure', { status: 500, error: err.message });
     res.status(500).json({ error: 'Bot request failed' });
   }
 });
 
 app.use((err, req, res, next) => {
+  if (err instanceof UserStoreError) {
+    console.error(err.message);
+    return res.status(500).json({ error: 'User store unavailable' });
+  }
+  if (err && err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({ error: `Up to ${attachments.MAX_ATTACHMENTS} files per message` });
+  }
   if (err) {
     const message = err.message || 'Upload failed';
     return res.status(400).json({ error: message });
@@ -364,4 +1827,4 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
+});
@@ -0,0 +1,338 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const totp = require('../lib/totp');
+
+const root = path.join(__dirname, '..');
+// Left out of the copy: git, dependencies (linked instead) and the stores
+// the server creates under data/.
+const SKIP = new Set([
+  ...['.git', 'node_modules', 'uploads', 'test'].map(name => path.join(root, name)),
+  ...['conversations', 'usage', 'gallery', 'templates', 'apikeys.json', 'audit', 'files', 'storage', 'library'].map(name => path.join(root, 'data', name))
+]);
+const PORT = 3900 + Math.floor(Math.random() * 100);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let workDir;
+let server;
+
+// The server writes to data/ next to itself, so it runs from a throwaway
+// copy of the tree and the checkout stays clean.
+function copyTree() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suite-test-'));
+  fs.cpSync(root, dir, { recursive: true, filter: src => !SKIP.has(src) });
+  fs.symlinkSync(path.join(root, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  return dir;
+}
+
+function startServer(dir) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server.js'], {
+      cwd: dir,
+      env: { ...process.env, MODEL_PROVIDER: 'mock', PORT: String(PORT), NODE_ENV: 'test' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) resolve(child);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+}
+
+// fetch with a cookie jar, enough for the cookie-session login.
+function client() {
+  const cookies = new Map();
+  return async (url, options = {}) => {
+    const headers = { ...(options.headers || {}) };
+    if (cookies.size) {
+      headers.cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    const res = await fetch(`${BASE}${url}`, { ...options, headers });
+    res.headers.getSetCookie().forEach((line) => {
+      const [pair] = line.split(';');
+      const index = pair.indexOf('=');
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    });
+    return res;
+  };
+}
+
+const json = body => ({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+function form(fields) {
+  const body = new FormData();
+  Object.entries(fields).forEach(([key, value]) => body.append(key, value));
+  return { method: 'POST', body };
+}
+
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const event = (block.match(/^event: (.*)$/m) || [])[1];
+    const data = (block.match(/^data: (.*)$/m) || [])[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+async function login(request, uid = 'UID002', password = 'Pass1002') {
+  const res = await request('/api/login', json({ uid, password }));
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+before(async () => {
+  workDir = copyTree();
+  server = await startServer(workDir);
+});
+
+after(() => {
+  if (server) {
+    server.removeAllListeners('exit');
+    server.kill();
+  }
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('login rejects a wrong password and accepts the right one', async () => {
+  const request = client();
+  const bad = await request('/api/login', json({ uid: 'UID002', password: 'wrong' }));
+  assert.equal(bad.status, 401);
+  assert.equal((await (await request('/api/session')).json()).authenticated, false);
+
+  const body = await login(request);
+  assert.equal(body.ok, true);
+  const session = await (await request('/api/session')).json();
+  assert.equal(session.authenticated, true);
+  assert.equal(session.uid, 'UID002');
+});
+
+test('bot requests need a session', async () => {
+  const res = await client()('/api/bot/report', form({ text: 'hello' }));
+  assert.equal(res.status, 401);
+});
+
+test('a JSON bot request returns the mock reply and saves the turn', async () => {
+  const request = client();
+  await login(request);
+  const res = await request('/api/bot/data', form({ text: 'quarterly numbers' }));
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.match(body.text, /canned overview for quarterly numbers/);
+  assert.ok(body.conversationId);
+  assert.ok(body.messageId);
+
+  const conversation = await (await request(`/api/conversations/${body.conversationId}`)).json();
+  assert.equal(conversation.botId, 'data');
+  assert.deepEqual(conversation.turns.map(turn => turn.role), ['user', 'model']);
+  assert.equal(conversation.turns[0].text, 'quarterly numbers');
+  assert.equal(conversation.turns[1].id, body.messageId);
+});
+
+test('a streamed bot request sends start, chunks and done', async () => {
+  const request = client();
+  await login(request);
+  const res = await request('/api/bot/report', form({ text: 'mobile app', stream: '1' }));
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+  const events = parseEvents(await res.text());
+  const names = events.map(e => e.event);
+  assert.equal(names[0], 'start');
+  assert.equal(names[names.length - 1], 'done');
+  const chunks = events.filter(e => e.event === 'chunk');
+  assert.ok(chunks.length > 1, 'reply arrives in several chunks');
+  assert.match(chunks.map(e => e.data.text).join(''), /canned report for: \*\*mobile app\*\*/);
+  const done = events[events.length - 1].data;
+  assert.equal(done.conversationId, events[0].data.conversationId);
+  assert.equal(done.report, true);
+});
+
+test('conversations can be listed, continued, renamed and deleted', async () => {
+  const request = client();
+  await login(request);
+  const first = await (await request('/api/bot/paper', form({ text: 'first question' }))).json();
+  const id = first.conversationId;
+  await (await request('/api/bot/paper', form({ text: 'follow-up', conversationId: id }))).json();
+
+  const list = await (await request('/api/conversations?botId=paper')).json();
+  assert.ok(list.conversations.some(c => c.id === id));
+  const conversation = await (await request(`/api/conversations/${id}`)).json();
+  assert.equal(conversation.turns.length, 4);
+
+  const renamed = await request(`/api/conversations/${id}`, { ...json({ title: 'Renamed' }), method: 'PATCH' });
+  assert.equal((await renamed.json()).conversation.title, 'Renamed');
+
+  const removed = await request(`/api/conversations/${id}`, { method: 'DELETE' });
+  assert.equal(removed.status, 200);
+  assert.equal((await request(`/api/conversations/${id}`)).status, 404);
+});
+
+test('conversations are private to their owner', async () => {
+  const owner = client();
+  await login(owner);
+  const { conversationId } = await (await owner('/api/bot/data', form({ text: 'mine' }))).json();
+  const other = client();
+  await login(other, 'UID001', 'Pass1001');
+  assert.equal((await other(`/api/conversations/${conversationId}`)).status, 404);
+});
+
+test('a deleted user leaves nothing behind for an account re-created with the same uid', async () => {
+  const admin = client();
+  await login(admin, 'UID001', 'Pass1001');
+  const create = () => admin('/api/admin/users', json({ uid: 'temp-user', password: 'Temporary-123' }));
+  const activate = async () => {
+    const request = client();
+    await login(request, 'temp-user', 'Temporary-123');
+    const changed = await request('/api/password', json({ currentPassword: 'Temporary-123', newPassword: 'Permanent-456' }));
+    assert.equal(changed.status, 200);
+    return request;
+  };
+
+  assert.equal((await admin('/api/admin/users', json({ uid: 'temp.user', password: 'Temporary-123' }))).status, 400);
+  assert.equal((await create()).status, 201);
+  const first = await activate();
+  assert.equal((await first('/api/bot/data', form({ text: 'private notes' }))).status, 200);
+
+  assert.equal((await admin('/api/admin/users/temp-user', { method: 'DELETE' })).status, 200);
+  assert.equal((await create()).status, 201);
+  const second = await activate();
+  const list = await (await second('/api/conversations')).json();
+  assert.deepEqual(list.conversations, []);
+});
+
+test('API key clients can fetch the image URLs they are given', async () => {
+  const request = client();
+  await login(request);
+  const { token } = await (await request('/api/keys', json({ label: 'script' }))).json();
+  const auth = { headers: { authorization: `Bearer ${token}` } };
+  const reply = await (await fetch(`${BASE}/api/bot/image`, { ...form({ text: 'a cat' }), ...auth })).json();
+  assert.equal(reply.imageUrls.length, 1);
+  const image = await fetch(`${BASE}${reply.imageUrls[0]}`, auth);
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get('content-type'), 'image/png');
+});
+
+test('deleting a user revokes their API keys', async () => {
+  const admin = client();
+  await login(admin, 'UID001', 'Pass1001');
+  const create = () => admin('/api/admin/users', json({ uid: 'key-user', password: 'Temporary-123' }));
+  const activate = async () => {
+    const request = client();
+    await login(request, 'key-user', 'Temporary-123');
+    await request('/api/password', json({ currentPassword: 'Temporary-123', newPassword: 'Permanent-456' }));
+    return request;
+  };
+  await create();
+  const { token } = await (await (await activate())('/api/keys', json({ label: 'script' }))).json();
+  const withKey = () => fetch(`${BASE}/api/conversations`, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal((await withKey()).status, 200);
+
+  await admin('/api/admin/users/key-user', { method: 'DELETE' });
+  await create();
+  await activate();
+  assert.equal((await withKey()).status, 401);
+});
+
+test('wrong passwords and codes on the 2FA settings count towards the lockout', async () => {
+  const admin = client();
+  await login(admin, 'UID001', 'Pass1001');
+  await admin('/api/admin/users', json({ uid: 'tfa-user', password: 'Temporary-123' }));
+  const request = client();
+  await login(request, 'tfa-user', 'Temporary-123');
+  await request('/api/password', json({ currentPassword: 'Temporary-123', newPassword: 'Permanent-456' }));
+  const { secret } = await (await request('/api/account/2fa/setup', json({ password: 'Permanent-456' }))).json();
+  const enabled = await request('/api/account/2fa/enable', json({ code: totp.codeAt(secret, totp.currentStep()) }));
+  assert.equal(enabled.status, 200);
+
+  for (let i = 0; i < 3; i += 1) {
+    const res = await request('/api/account/2fa/disable', json({ password: 'wrong', code: '000000' }));
+    assert.equal(res.status, 401);
+  }
+  for (let i = 0; i < 3; i += 1) {
+    const res = await request('/api/account/2fa/recovery-codes', json({ code: 'abcdef' }));
+    assert.equal(res.status, 401);
+  }
+  const locked = await request('/api/account/2fa/disable', json({ password: 'Permanent-456', code: '000000' }));
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  assert.equal((await request('/api/account/2fa/recovery-codes', json({ code: '000000' }))).status, 429);
+  assert.equal((await client()('/api/login', json({ uid: 'tfa-user', password: 'Permanent-456' }))).status, 429);
+});
+
+test('an image request must fit in what is left of the image quota', async () => {
+  const admin = client();
+  await login(admin, 'UID001', 'Pass1001');
+  await admin('/api/admin/users', json({ uid: 'image-user', password: 'Temporary-123' }));
+  await admin('/api/admin/users/image-user/quota', { ...json({ dailyImages: 3 }), method: 'PUT' });
+  const request = client();
+  await login(request, 'image-user', 'Temporary-123');
+  await request('/api/password', json({ currentPassword: 'Temporary-123', newPassword: 'Permanent-456' }));
+  const generate = count => request('/api/bot/image', form({ text: 'a cat', count: String(count) }));
+
+  const first = await generate(2);
+  assert.equal(first.status, 200);
+  assert.equal((await first.json()).imageUrls.length, 2);
+  const tooMany = await generate(2);
+  assert.equal(tooMany.status, 429);
+  assert.match((await tooMany.json()).error, /room for 1 more image\b/);
+  assert.equal((await generate(1)).status, 200);
+  assert.equal((await generate(1)).status, 429);
+});
+
+test('an image request with more reference images than allowed is rejected', async () => {
+  const request = client();
+  await login(request);
+  const pixel = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+  const body = new FormData();
+  body.append('text', 'combine these');
+  body.append('mode', 'combine');
+  for (let i = 0; i < 5; i += 1) body.append('file', new Blob([pixel], { type: 'image/png' }), `ref${i}.png`);
+  const res = await request('/api/bot/image', { method: 'POST', body });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /at most 4 reference images/);
+});
+
+test('a structured request returns a validated object with a Markdown rendering', async () => {
+  const request = client();
+  await login(request);
+  const res = await request('/api/bot/report', form({ text: 'mobile app', structured: '1' }));
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(typeof body.structured, 'object');
+  assert.ok(body.structured);
+  assert.deepEqual(body.structuredErrors, []);
+  assert.match(body.text, /^# /);
+});
+
+test('library search ranks passages with BM25 and honours the scope', async () => {
+  const request = client();
+  await login(request, 'UID001', 'Pass1001');
+  const upload = async (name, text, tags) => {
+    const body = new FormData();
+    body.append('file', new Blob([text], { type: 'text/plain' }), name);
+    body.append('tags', tags);
+    const res = await request('/api/library', { method: 'POST', body });
+    assert.equal(res.status, 201);
+    return (await res.json()).documents[0];
+  };
+  const focused = await upload('focused.txt', 'Graphene conducts heat. Graphene sheets are strong. Graphene is thin.', 'physics');
+  const passing = await upload('passing.txt', 'This long survey covers polymers, ceramics, alloys, composites and, once, graphene among many other materials.', 'survey');
+  await upload('unrelated.txt', 'Sourdough bread needs a lively starter and a long proof.', 'survey');
+
+  const search = async (q, scope = 'all') => (await (await request(`/api/library/search?q=${encodeURIComponent(q)}&library=${encodeURIComponent(scope)}`)).json()).passages;
+  const ranked = await search('graphene heat');
+  assert.deepEqual(ranked.map(p => p.documentId), [focused.id, passing.id]);
+  assert.ok(ranked[0].score > ranked[1].score);
+  assert.deepEqual((await search('graphene', 'tag:survey')).map(p => p.documentId), [passing.id]);
+  assert.deepEqual((await search('graphene', `docs:${passing.id}`)).map(p => p.documentId), [passing.id]);
+  assert.deepEqual(await search('the and of'), []);
+
+  const other = client();
+  await login(other);
+  assert.deepEqual((await (await other('/api/library/search?q=graphene')).json()).passages, []);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractChartRequest, buildChart } = require('../lib/charts');
+
+const TABLE = {
+  columns: ['region', 'month', 'sales', 'cost'],
+  rows: [
+    { region: 'North', month: 3, sales: '1,000', cost: 400 },
+    { region: 'South', month: 1, sales: 2500, cost: 900 },
+    { region: 'North', month: 2, sales: 500, cost: 'n/a' },
+    { region: '', month: 10, sales: 100, cost: 50 }
+  ]
+};
+
+test('extractChartRequest takes the last chart block and strips it from the text', () => {
+  const text = 'Intro\n```chart\n{"type":"pie"}\n```\nMore\n```chart\n{"type":"bar","x":"region"}\n```';
+  assert.deepEqual(extractChartRequest(text), { request: { type: 'bar', x: 'region' }, narrative: 'Intro\n\nMore' });
+  assert.deepEqual(extractChartRequest('Text\n```chart\nnot json\n```'), { request: null, narrative: 'Text' });
+  assert.deepEqual(extractChartRequest('No chart'), { request: null, narrative: 'No chart' });
+});
+
+test('bar charts aggregate every row and sort by value', () => {
+  const { chart } = buildChart({ type: 'bar', x: 'region', y: 'sales', aggregate: 'sum' }, TABLE);
+  assert.deepEqual(chart.labels, ['South', 'North', '(blank)']);
+  assert.deepEqual(chart.series, [{ name: 'sales', values: [2500, 1500, 100] }]);
+  assert.equal(chart.yTitle, 'sum of sales');
+  assert.equal(chart.rowCount, 4);
+});
+
+test('numbers come from the data, never from the request', () => {
+  const { chart } = buildChart({ type: 'bar', x: 'region', y: ['sales', 'cost'], aggregate: 'mean', values: [1, 2, 3] }, TABLE);
+  assert.deepEqual(chart.series, [{ name: 'sales', values: [2500, 750, 100] }, { name: 'cost', values: [900, 400, 50] }]);
+  assert.equal(chart.values, undefined);
+});
+
+test('unknown columns fall back and the preferred type wins', () => {
+  const { chart } = buildChart({ type: 'pie', x: 'nope', y: ['missing'], aggregate: 'median' }, TABLE, 'table');
+  assert.equal(chart.type, 'table');
+  assert.equal(chart.xTitle, 'region');
+  assert.deepEqual(chart.series, [{ name: 'count', values: [2, 1, 1] }]);
+});
+
+test('line charts sort numeric labels and scatter charts pair numeric columns', () => {
+  const line = buildChart({ type: 'line', x: 'month', y: 'sales' }, TABLE).chart;
+  assert.deepEqual(line.labels, ['1', '2', '3', '10']);
+  const scatter = buildChart({ type: 'graph', x: 'sales', y: 'cost' }, TABLE).chart;
+  assert.equal(scatter.type, 'scatter');
+  assert.deepEqual(scatter.series[0].points, [[1000, 400], [2500, 900], [100, 50]]);
+  assert.match(buildChart({ type: 'scatter', x: 'sales' }, TABLE).error, /need a numeric y column/);
+});
+
+test('pie charts fold the smallest slices into Other', () => {
+  const rows = Array.from({ length: 10 }, (_, i) => ({ name: `n${i}`, value: 10 - i }));
+  const { chart } = buildChart({ type: 'pie', x: 'name', y: 'value' }, { columns: ['name', 'value'], rows });
+  assert.equal(chart.labels.length, 9);
+  assert.equal(chart.labels[8], 'Other');
+  assert.equal(chart.series[0].values[8], 3);
+});
+
+test('an empty dataset is an error', () => {
+  assert.deepEqual(buildChart({ type: 'bar' }, { columns: [], rows: [] }), { error: 'No tabular dataset attached' });
+  assert.deepEqual(buildChart({ type: 'bar' }, null), { error: 'No tabular dataset attached' });
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../lib/audit');
+const usage = require('../lib/usage');
+
+// Each value a spreadsheet could read as a formula, and the cell it
+// should come out as.
+const CASES = [
+  ['=HYPERLINK("http://x")', '"\'=HYPERLINK(""http://x"")"'],
+  ['+1+1', "'+1+1"],
+  ['-2+3', "'-2+3"],
+  ['@SUM(A1)', "'@SUM(A1)"],
+  ['\t=1', "'\t=1"],
+  ['\r=1', '"\'\r=1"'],
+  ['plain', 'plain'],
+  ['a,b', '"a,b"']
+];
+
+test('audit CSV defuses formula prefixes', () => {
+  CASES.forEach(([uid, cell]) => {
+    const [, line] = audit.toCsv([{ at: '2026-01-01T00:00:00.000Z', event: 'login.failure', uid }]).split('\n');
+    assert.equal(line, `2026-01-01T00:00:00.000Z,login.failure,,${cell}${','.repeat(10)}`, `uid ${JSON.stringify(uid)}`);
+  });
+});
+
+test('usage CSV defuses formula prefixes', () => {
+  CASES.forEach(([botId, cell]) => {
+    const [, line] = usage.toCsv([{ day: '2026-01-01', uid: 'UID002', botId, requests: 1, promptTokens: 2, outputTokens: 3, totalTokens: 5, images: 0 }]).split('\n');
+    assert.equal(line, `2026-01-01,UID002,${cell},1,2,3,5,0`, `botId ${JSON.stringify(botId)}`);
+  });
+});
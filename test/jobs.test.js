@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jobs = require('../lib/jobs');
+
+// Defaults: two jobs run at once, one per user, five pending per user.
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// A job whose run waits until the test releases it.
+function held(uid, fields = {}) {
+  const gate = deferred();
+  const calls = { signal: null, output: null, cleanedUp: 0 };
+  const { job, error } = jobs.enqueue(uid, {
+    botId: 'data',
+    title: 'test',
+    run: async (output, signal) => {
+      calls.output = output;
+      calls.signal = signal;
+      await gate.promise;
+    },
+    cleanup: () => {
+      calls.cleanedUp += 1;
+    },
+    ...fields
+  });
+  return { job, error, gate, calls };
+}
+
+test('runs one job per user at a time and the next when it finishes', async () => {
+  const first = held('jobs-a');
+  const second = held('jobs-a');
+  assert.equal(first.job.status, 'running');
+  assert.equal(second.job.status, 'queued');
+  assert.equal(jobs.publicJob(second.job).position, 1);
+
+  first.gate.resolve();
+  await settle();
+  assert.equal(first.job.status, 'succeeded');
+  assert.equal(first.calls.cleanedUp, 1);
+  assert.equal(second.job.status, 'running');
+  second.gate.resolve();
+  await settle();
+  assert.equal(second.job.status, 'succeeded');
+});
+
+test('caps how many jobs run at once across users', async () => {
+  const running = [held('jobs-b'), held('jobs-c')];
+  const waiting = held('jobs-d');
+  assert.deepEqual(running.map(r => r.job.status), ['running', 'running']);
+  assert.equal(waiting.job.status, 'queued');
+  running[0].gate.resolve();
+  await settle();
+  assert.equal(waiting.job.status, 'running');
+  running[1].gate.resolve();
+  waiting.gate.resolve();
+  await settle();
+});
+
+test('refuses more than five pending jobs per user', async () => {
+  const pending = Array.from({ length: 5 }, () => held('jobs-e'));
+  const extra = held('jobs-e');
+  assert.equal(extra.job, undefined);
+  assert.match(extra.error, /at most 5 jobs/);
+  pending.forEach(p => p.gate.resolve());
+  for (let i = 0; i < 5; i += 1) await settle();
+  assert.ok(pending.every(p => p.job.status === 'succeeded'));
+});
+
+test('canceling a queued job never runs it; canceling a running one aborts its signal', async () => {
+  const running = held('jobs-f');
+  const queued = held('jobs-f');
+  assert.equal(jobs.cancelJob(queued.job), true);
+  assert.equal(queued.job.status, 'canceled');
+  assert.equal(queued.calls.cleanedUp, 1);
+  assert.equal(queued.calls.output, null);
+
+  assert.equal(jobs.cancelJob(running.job), true);
+  assert.equal(running.calls.signal.aborted, true);
+  running.gate.resolve();
+  await settle();
+  assert.equal(running.job.status, 'canceled');
+  assert.equal(jobs.cancelJob(running.job), false);
+  assert.equal(jobs.removeJob(running.job), true);
+  assert.equal(jobs.getJob('jobs-f', running.job.id), null);
+});
+
+test('errors reported by the pipeline or thrown by it fail the job', async () => {
+  const reported = held('jobs-g');
+  reported.calls.output.error(502, { error: 'Upstream failed' });
+  reported.gate.resolve();
+  await settle();
+  assert.equal(reported.job.status, 'failed');
+  assert.equal(reported.job.error, 'Upstream failed');
+
+  const thrown = held('jobs-g');
+  thrown.gate.reject(new Error('boom'));
+  await settle();
+  assert.equal(thrown.job.status, 'failed');
+  assert.equal(thrown.job.error, 'Bot request failed');
+});
+
+test('subscribers get the recorded events replayed, without chunks', async () => {
+  const { job, gate, calls } = held('jobs-h');
+  calls.output.event('start', { conversationId: 'c1' });
+  calls.output.event('chunk', { text: 'partial' });
+  calls.output.event('progress', { index: 1, total: 2 });
+  calls.output.json({ text: 'done', raw: { big: true }, images: ['x'] });
+  assert.equal(job.conversationId, 'c1');
+  assert.deepEqual(job.progress, { index: 1, total: 2 });
+  assert.deepEqual(job.result, { text: 'done' });
+
+  const seen = [];
+  let ended = false;
+  jobs.subscribe(job, event => seen.push(event), () => {
+    ended = true;
+  });
+  assert.deepEqual(seen, ['status', 'start', 'progress']);
+  calls.output.event('chunk', { text: 'live' });
+  gate.resolve();
+  await settle();
+  assert.deepEqual(seen, ['status', 'start', 'progress', 'chunk', 'status']);
+  assert.equal(ended, true);
+});
+
+test('jobs are only visible to their owner', () => {
+  const { job, gate } = held('jobs-i');
+  assert.equal(jobs.getJob('jobs-i', job.id), job);
+  assert.equal(jobs.getJob('someone-else', job.id), null);
+  assert.deepEqual(jobs.listJobs('jobs-i').map(j => j.id), [job.id]);
+  assert.deepEqual(jobs.listJobs('jobs-i', 'image'), []);
+  gate.resolve();
+});
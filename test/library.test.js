@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const library = require('../lib/library');
+
+test('tokenize drops stopwords and one-letter words and folds plurals', () => {
+  assert.deepEqual(library.tokenize('The Models and a model of Glass, x 42'), ['model', 'model', 'glass', '42']);
+});
+
+test('buildPassages keeps page and section and leaves out the reference list', () => {
+  const passages = library.buildPassages([
+    { page: 1, text: 'Introduction\nTransformers read tokens.' },
+    { page: 2, text: 'Results\nAccuracy rose sharply.\nReferences\n[1] Someone, Transformers.' }
+  ]);
+  assert.deepEqual(passages.map(p => [p.page, p.section, p.text]), [
+    [1, 'Introduction', 'Transformers read tokens.'],
+    [2, 'Results', 'Accuracy rose sharply.']
+  ]);
+  assert.deepEqual(passages[0].terms, { transformer: 1, read: 1, token: 1 });
+  assert.equal(passages[1].length, 3);
+});
+
+test('parseScope and normalizeTags validate what the forms send', () => {
+  assert.deepEqual(library.parseScope(''), { scope: null });
+  assert.deepEqual(library.parseScope('all'), { scope: {} });
+  assert.deepEqual(library.parseScope('tag:Thesis'), { scope: { tag: 'thesis' } });
+  assert.deepEqual(library.parseScope('docs:a, b,'), { scope: { docIds: ['a', 'b'] } });
+  assert.ok(library.parseScope('docs:').error);
+  assert.deepEqual(library.normalizeTags(' Thesis, thesis,drafts '), { tags: ['thesis', 'drafts'] });
+  assert.ok(library.normalizeTags('bad/tag').error);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const lockout = require('../lib/lockout');
+
+// Defaults: five free attempts, then 30 seconds doubling per failure.
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+test('an account locks after the free attempts and the wait doubles', () => {
+  const uid = 'lock-a';
+  for (let i = 0; i < 5; i += 1) {
+    assert.equal(lockout.recordFailure(uid, START).locked, false);
+  }
+  assert.deepEqual(lockout.check(uid, START), { locked: false, retryAfter: 0 });
+
+  assert.deepEqual(lockout.recordFailure(uid, START), { failures: 6, locked: true, retryAfter: 30 });
+  assert.deepEqual(lockout.check(uid, START + 10 * 1000), { locked: true, retryAfter: 20 });
+  assert.equal(lockout.lockedUntil(uid, START), new Date(START + 30 * 1000).toISOString());
+
+  const later = START + 31 * 1000;
+  assert.equal(lockout.check(uid, later).locked, false);
+  assert.equal(lockout.recordFailure(uid, later).retryAfter, 60);
+});
+
+test('UIDs are matched case-insensitively', () => {
+  for (let i = 0; i < 6; i += 1) lockout.recordFailure('Lock-B', START);
+  assert.equal(lockout.check('lock-b', START).locked, true);
+  assert.equal(lockout.check(' LOCK-B ', START).locked, true);
+});
+
+test('a reset clears the failures', () => {
+  const uid = 'lock-c';
+  for (let i = 0; i < 6; i += 1) lockout.recordFailure(uid, START);
+  lockout.reset(uid);
+  assert.equal(lockout.check(uid, START).locked, false);
+  assert.equal(lockout.lockedUntil(uid, START), null);
+  assert.equal(lockout.recordFailure(uid, START).failures, 1);
+});
+
+test('failures are forgotten after a day without new ones', () => {
+  const uid = 'lock-d';
+  for (let i = 0; i < 6; i += 1) lockout.recordFailure(uid, START);
+  const nextDay = START + 24 * 60 * 60 * 1000 + 1;
+  assert.equal(lockout.check(uid, nextDay).locked, false);
+  assert.equal(lockout.recordFailure(uid, nextDay).failures, 1);
+});
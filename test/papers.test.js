@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const papers = require('../lib/papers');
+
+test('splits a paper on its headings and skips the references', () => {
+  const text = ['A Study', '1. Introduction', 'Why.', 'Methods:', 'How.', 'References', '[1] Someone.'].join('\n');
+  const sections = papers.splitSections(text);
+  assert.deepEqual(sections.map(s => s.section), ['Front matter', 'Introduction', 'Methods', 'References']);
+  const chunks = papers.buildChunks(sections);
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].label, 'Front matter + 1. Introduction + Methods');
+  assert.doesNotMatch(chunks[0].text, /Someone/);
+});
+
+test('the digest holds only the notes the model wrote', async () => {
+  const requests = [];
+  const provider = {
+    async generate(request) {
+      requests.push(request);
+      return { text: `notes ${requests.length}`, usage: { promptTokens: 10, outputTokens: 2, totalTokens: 12 } };
+    }
+  };
+  const chunks = [{ label: 'Introduction', text: 'a' }, { label: 'Results', text: 'b' }];
+  const digest = await papers.analyzeChunks({ provider, request: { model: 'm' }, chunks });
+  assert.equal(digest.notes, '### Notes from Introduction\nnotes 1\n\n### Notes from Results\nnotes 2');
+  assert.ok(!digest.notes.includes(papers.REDUCE_INSTRUCTIONS));
+  assert.deepEqual(digest.usage, { promptTokens: 20, outputTokens: 4, totalTokens: 24 });
+  assert.equal(requests[0].imageOutput, false);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { profileTable, formatProfile } = require('../lib/profile');
+
+const ROWS = [
+  { city: 'Oslo', temp: '1.5', sales: '1,000', date: '2024-01-01', open: 'yes' },
+  { city: 'Rome', temp: 12, sales: 2100, date: '2024-02-01', open: 'no' },
+  { city: 'Oslo', temp: 'n/a', sales: 2900, date: '2024-03-15', open: 'true' },
+  { city: 'Lima', temp: 20, sales: 4200, date: '', open: 'false' }
+];
+const profile = profileTable('Sheet1', ['city', 'temp', 'sales', 'date', 'open'], ROWS);
+const column = name => profile.columns.find(c => c.name === name);
+
+test('infers column types and counts null tokens', () => {
+  assert.deepEqual(profile.columns.map(c => c.type), ['string', 'number', 'number', 'date', 'boolean']);
+  assert.deepEqual([column('temp').count, column('temp').nulls], [3, 1]);
+  assert.deepEqual([column('date').count, column('date').nulls], [3, 1]);
+  assert.deepEqual([profile.rowCount, profile.columnCount], [4, 5]);
+});
+
+test('computes numeric statistics from thousands separators and strings', () => {
+  const { min, max, mean, median, stddev } = column('sales');
+  assert.deepEqual({ min, max, mean, median, stddev }, { min: 1000, max: 4200, mean: 2550, median: 2500, stddev: 1347.8378 });
+  assert.equal(column('temp').mean, 11.1667);
+  assert.equal(column('sales').top, undefined);
+});
+
+test('lists top categories and date ranges', () => {
+  assert.deepEqual(column('city').top[0], { value: 'Oslo', count: 2 });
+  assert.equal(column('city').distinct, 3);
+  assert.deepEqual(column('date').dateRange, { min: '2024-01-01T00:00:00.000Z', max: '2024-03-15T00:00:00.000Z' });
+});
+
+test('reports correlations between numeric columns over the rows both have', () => {
+  assert.deepEqual(profile.correlations, [{ a: 'temp', b: 'sales', r: 0.967, n: 3 }]);
+});
+
+test('statistics cover every row of a large table', () => {
+  const rows = Array.from({ length: 50000 }, (_, i) => ({ n: i, group: `g${i % 3}` }));
+  rows.push({ n: 1e9, group: 'last' });
+  const big = profileTable('big', ['n', 'group'], rows);
+  assert.equal(big.rowCount, 50001);
+  assert.equal(big.columns[0].max, 1e9);
+  assert.equal(big.columns[1].distinct, 4);
+});
+
+test('formatProfile summarises each sheet for the prompt', () => {
+  const text = formatProfile([profile]);
+  assert.match(text, /^Sheet "Sheet1": 4 rows x 5 columns \(statistics cover every row\)/);
+  assert.match(text, /- temp \[number\] non-null=3 nulls=1 distinct=3 min=1\.5 max=20 mean=11\.1667 median=12 stddev=9\.2781/);
+  assert.match(text, /range=2024-01-01\.\.2024-03-15/);
+  assert.match(text, /Strongest correlations: temp~sales r=0\.967$/);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError, compileExpression, compilePlan, execute, runQuery, extractQueryPlan } = require('../lib/query');
+
+const sales = {
+  name: 'sales',
+  columns: ['region', 'rep', 'amount', 'closed'],
+  rows: [
+    { region: 'North', rep: 'Ana', amount: 120, closed: '2024-01-15' },
+    { region: 'North', rep: 'Ben', amount: 80, closed: '2024-04-02' },
+    { region: 'South', rep: 'Cy', amount: 200, closed: '2024-04-20' },
+    { region: 'South', rep: 'Di', amount: null, closed: '2024-07-09' },
+    { region: 'East', rep: 'Ed', amount: 50, closed: '2024-10-30' }
+  ]
+};
+
+const run = plan => execute(compilePlan(plan, [sales]));
+
+test('groups, aggregates and sorts over every row', () => {
+  const result = run({
+    groupBy: ['region'],
+    aggregates: [{ fn: 'sum', column: 'amount', as: 'total' }, { fn: 'count' }, { fn: 'avg', column: 'amount', as: 'avg' }],
+    sort: [{ column: 'total', direction: 'desc' }]
+  });
+  assert.deepEqual(result.columns, ['region', 'total', 'count', 'avg']);
+  assert.deepEqual(result.rows, [['North', 200, 2, 100], ['South', 200, 2, 200], ['East', 50, 1, 50]]);
+  assert.equal(result.scannedRows, 5);
+});
+
+test('derives columns with whitelisted functions and filters on them', () => {
+  const result = run({
+    derive: [{ name: 'q', expr: 'quarter(closed)' }, { name: 'double', expr: 'amount * 2' }],
+    filter: [{ column: 'q', op: 'in', value: [2] }, { column: 'amount', op: 'not null' }],
+    select: ['rep', 'double'],
+    sort: [{ column: 'rep' }]
+  });
+  assert.deepEqual(result.rows, [['Ben', 160], ['Cy', 400]]);
+});
+
+test('having filters groups and an empty match still aggregates to one row', () => {
+  const grouped = run({ groupBy: ['region'], aggregates: [{ fn: 'count', as: 'n' }], having: [{ column: 'n', op: '>=', value: 2 }], sort: [{ column: 'region' }] });
+  assert.deepEqual(grouped.rows, [['North', 2], ['South', 2]]);
+  const empty = run({ filter: [{ column: 'region', op: '=', value: 'West' }], aggregates: [{ fn: 'sum', column: 'amount', as: 'total' }] });
+  assert.deepEqual(empty.rows, [[0]]);
+});
+
+test('limits the rows returned and reports truncation', () => {
+  const result = run({ limit: 2 });
+  assert.equal(result.rows.length, 2);
+  assert.equal(result.rowCount, 5);
+  assert.equal(result.truncated, true);
+  assert.throws(() => compilePlan({ limit: 201 }, [sales]), /limit must be a whole number from 1 to 200/);
+  assert.throws(() => compilePlan({ limit: 0 }, [sales]), QueryError);
+});
+
+test('caps the number of plan steps', () => {
+  const derive = Array.from({ length: 11 }, (_, i) => ({ name: `d${i}`, expr: 'amount' }));
+  assert.throws(() => compilePlan({ derive }, [sales]), /derive allows at most 10 entries/);
+  const filter = Array.from({ length: 21 }, () => ({ column: 'amount', op: 'not null' }));
+  assert.throws(() => compilePlan({ filter }, [sales]), /filter allows at most 20 entries/);
+  assert.throws(() => compileExpression('a'.repeat(301), ['a']), /limited to 300 characters/);
+  assert.throws(() => compileExpression(`${'('.repeat(25)}amount${')'.repeat(25)}`, ['amount']), /nested too deeply/);
+});
+
+test('stops a query that runs past the time limit', () => {
+  const big = { name: 'big', columns: ['n'], rows: Array.from({ length: 3000 }, (_, n) => ({ n })) };
+  let clock = 0;
+  const now = () => {
+    clock += 10000;
+    return clock;
+  };
+  assert.throws(() => execute(compilePlan({}, [big]), now), /took too long/);
+});
+
+test('rejects unknown columns, functions and operators', () => {
+  assert.throws(() => compilePlan({ groupBy: ['country'] }, [sales]), /groupBy uses unknown column "country"/);
+  assert.throws(() => compilePlan({ filter: [{ column: 'amount', op: 'like', value: 1 }] }, [sales]), /unknown op "like"/);
+  assert.throws(() => compilePlan({ aggregates: [{ fn: 'stddev', column: 'amount' }] }, [sales]), /unknown fn "stddev"/);
+  assert.throws(() => compileExpression('eval(amount)', ['amount']), /Unknown function "eval"/);
+  assert.throws(() => compileExpression('constructor(amount)', ['amount']), /Unknown function "constructor"/);
+  assert.throws(() => compileExpression('process', ['amount']), /Unknown column "process"/);
+  assert.throws(() => compileExpression('amount; 1', ['amount']), /Unexpected character ";"/);
+  assert.throws(() => compilePlan({ table: 'missing' }, [sales]), /Unknown table "missing"/);
+});
+
+test('runQuery returns plan errors instead of throwing', () => {
+  const outcome = runQuery({ groupBy: ['region'], sort: [{ column: 'amount' }] }, [sales]);
+  assert.equal(outcome.result, null);
+  assert.match(outcome.error, /sort\[0\] uses unknown column "amount"/);
+});
+
+test('extractQueryPlan reads the last query block', () => {
+  const text = 'First\n```query\n{"limit": 1}\n```\nthen\n```query\n{"limit": 2}\n```';
+  assert.deepEqual(extractQueryPlan(text), { found: true, plan: { limit: 2 } });
+  assert.deepEqual(extractQueryPlan('no plan here'), { found: false });
+});
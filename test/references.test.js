@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const references = require('../lib/references');
+
+test('parses APA, IEEE and Vancouver entries', () => {
+  const apa = references.parseEntry('Vaswani, A., Shazeer, N., & Parmar, N. (2017). Attention is all you need. Advances in Neural Information Processing Systems, 30, 5998-6008.');
+  assert.deepEqual(apa.authors, ['Vaswani, A.', 'Shazeer, N.', 'Parmar, N.']);
+  assert.equal(apa.title, 'Attention is all you need');
+  assert.equal(apa.year, '2017');
+
+  const ieee = references.parseEntry('A. Vaswani and N. Shazeer, "Attention is all you need," in Proc. Conference on Neural Information Processing Systems, 2017, pp. 5998-6008, doi: 10.5555/3295222.3295349.');
+  assert.deepEqual(ieee.authors, ['Vaswani, A.', 'Shazeer, N.']);
+  assert.equal(ieee.title, 'Attention is all you need');
+  assert.equal(ieee.venue, 'Proc. Conference on Neural Information Processing Systems');
+  assert.equal(ieee.doi, '10.5555/3295222.3295349');
+
+  const vancouver = references.parseEntry('Smith JK, Doe A. Deep learning for cells. Nature Methods. 2019;16(1):67-70.');
+  assert.deepEqual(vancouver.authors, ['Smith, J. K.', 'Doe, A.']);
+  assert.equal(vancouver.title, 'Deep learning for cells');
+  assert.equal(vancouver.venue, 'Nature Methods');
+  assert.equal(vancouver.year, '2019');
+});
+
+test('keeps name particles and drops "et al."', () => {
+  assert.deepEqual(references.parseEntry('van der Berg, J.-P., & Smith, A. (2020). A title here. Journal of Things.').authors, ['van der Berg, J.-P.', 'Smith, A.']);
+  assert.deepEqual(references.parseEntry('Vaswani A, Shazeer N, et al. Attention is all you need. arXiv. 2017.').authors, ['Vaswani, A.', 'Shazeer, N.']);
+});
+
+const PAPER = [
+  'A Paper',
+  'Introduction',
+  'As shown in [1] and [2].',
+  'References',
+  '[1] A. Vaswani and N. Shazeer, "Attention is all you need," in Proc. Conference on Neural Information Processing Systems, 2017, pp. 5998-6008.',
+  '[2] Smith JK, Doe A. Deep learning for ce-',
+  'lls in tissue. Nature Methods. 2019;16(1):67-70.',
+  'Appendix',
+  '[3] Not a reference at all, just a numbered appendix note.'
+].join('\n');
+
+test('extracts the numbered reference list, joining wrapped lines', () => {
+  const entries = references.extractReferences(PAPER);
+  assert.deepEqual(entries.map(e => [e.type, e.title, e.year]), [
+    ['inproceedings', 'Attention is all you need', '2017'],
+    ['misc', 'Deep learning for cells in tissue', '2019']
+  ]);
+  assert.deepEqual(references.extractReferences('No reference list here.'), []);
+  const tagged = references.extractFromDocuments([{ name: 'paper.pdf', text: PAPER }]);
+  assert.deepEqual(tagged.map(e => e.source), ['paper.pdf', 'paper.pdf']);
+});
+
+test('splits unnumbered author-year lists at each new author', () => {
+  const text = [
+    'References',
+    'Doe, J., & Roe, R. (2018). First paper title. Journal of Tests,',
+    '  4(2), 10-20.',
+    'Poe, E. (2019). Second paper title. Proceedings of the Workshop.'
+  ].join('\n');
+  assert.deepEqual(references.extractReferences(text).map(e => [e.authors, e.type]), [
+    [['Doe, J.', 'Roe, R.'], 'article'],
+    [['Poe, E.'], 'inproceedings']
+  ]);
+});
+
+test('renders BibTeX and RIS with unique keys', () => {
+  const entries = references.extractReferences(PAPER);
+  entries.push({ ...entries[0] });
+  const bibtex = references.renderReferences(entries, 'bibtex');
+  assert.match(bibtex, /^@inproceedings\{vaswani2017attention,\n {2}author = \{Vaswani, A\. and Shazeer, N\.\},/);
+  assert.match(bibtex, /@misc\{smith2019deep,/);
+  assert.match(bibtex, /@inproceedings\{vaswani2017attentionb,/);
+  assert.match(bibtex, /howpublished = \{Nature Methods\}/);
+
+  const ris = references.renderReferences(entries.slice(0, 1), 'ris');
+  assert.equal(ris, 'TY  - CONF\r\nAU  - Vaswani, A.\r\nAU  - Shazeer, N.\r\nTI  - Attention is all you need\r\nT2  - Proc. Conference on Neural Information Processing Systems\r\nPY  - 2017\r\nER  - \r\n');
+  assert.deepEqual(JSON.parse(references.renderReferences(entries, 'json')).references.length, 3);
+  assert.equal(references.renderReferences([], 'bibtex'), '');
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const structured = require('../lib/structured');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['title', 'findings'],
+  properties: {
+    title: { type: 'string' },
+    confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+    findings: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', required: ['heading'], properties: { heading: { type: 'string' }, score: { type: 'number' } } }
+    }
+  }
+};
+
+test('validate reports missing, mistyped and out-of-enum values with their path', () => {
+  assert.deepEqual(structured.validate({ title: 'T', findings: [{ heading: 'h', score: 1.5 }] }, SCHEMA), []);
+  assert.deepEqual(structured.validate([], SCHEMA), ['$ should be object but is array']);
+  assert.deepEqual(structured.validate({ title: 'T', confidence: 'sure', findings: [] }, SCHEMA), [
+    '$.confidence should be one of low, medium, high',
+    '$.findings should have at least 1 item(s)'
+  ]);
+  assert.deepEqual(structured.validate({ findings: [{ score: 'x' }] }, SCHEMA), [
+    '$.title is required',
+    '$.findings[0].heading is required',
+    '$.findings[0].score should be number but is string'
+  ]);
+});
+
+test('checkSchema rejects schemas the validator cannot enforce', () => {
+  assert.deepEqual(structured.checkSchema(SCHEMA), []);
+  assert.deepEqual(structured.checkSchema({ type: 'map' }), ['responseSchema.type must be one of object, array, string, number, integer, boolean']);
+  assert.deepEqual(structured.checkSchema({ type: 'object', properties: { a: { type: 'string' } }, required: ['b'] }), [
+    'responseSchema.required lists unknown property "b"'
+  ]);
+  assert.deepEqual(structured.checkSchema({ type: 'array' }), ['responseSchema.items must be an object']);
+});
+
+test('parseJson repairs fences, surrounding prose and trailing commas', () => {
+  assert.deepEqual(structured.parseJson('```json\n{"a": [1, 2,],}\n```'), { a: [1, 2] });
+  assert.deepEqual(structured.parseJson('Here you go: {"a": 1} Hope that helps.'), { a: 1 });
+  assert.equal(structured.parseJson('no json here'), undefined);
+  assert.equal(structured.parseJson('{"a": }'), undefined);
+});
+
+test('parseStructured coerces near-misses before validating', () => {
+  const { data, errors } = structured.parseStructured('{"title": 42, "findings": {"heading": "only one", "score": "0.5"}}', SCHEMA);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, { title: '42', findings: [{ heading: 'only one', score: 0.5 }] });
+  const bad = structured.parseStructured('{"findings": []}', SCHEMA);
+  assert.equal(bad.data, null);
+  assert.ok(bad.errors.length > 0);
+  assert.deepEqual(structured.parseStructured('plain prose', SCHEMA), { data: null, errors: ['Reply is not valid JSON'] });
+});
+
+test('toMarkdown renders the title, sections and list items', () => {
+  const markdown = structured.toMarkdown({ title: 'Report', confidence: 'high', findings: [{ heading: 'Speed', score: 2 }] }, SCHEMA);
+  assert.equal(markdown, '# Report\n\n## Confidence\nhigh\n\n## Findings\n\n### Speed\n2');
+});
+
+test('generateStructured re-asks with the validation errors and then succeeds', async () => {
+  const replies = ['{"title": "T"}', '{"title": "T", "findings": [{"heading": "h"}]}'];
+  const requests = [];
+  const provider = {
+    async generate(request) {
+      requests.push(request);
+      return { text: replies[requests.length - 1], usage: { promptTokens: 1, outputTokens: 1, totalTokens: 2 }, model: 'm' };
+    }
+  };
+  const contents = [{ role: 'user', parts: [{ text: 'go' }] }];
+  const result = await structured.generateStructured({ provider, request: { contents }, schema: SCHEMA });
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.data, { title: 'T', findings: [{ heading: 'h' }] });
+  assert.deepEqual(result.usage, { promptTokens: 2, outputTokens: 2, totalTokens: 4 });
+  assert.equal(requests[0].responseSchema, SCHEMA);
+  const retry = requests[1].contents;
+  assert.equal(retry.length, 3);
+  assert.match(retry[2].parts[0].text, /\$\.findings is required/);
+});
+
+test('generateStructured gives up after two attempts and returns the raw text', async () => {
+  const provider = { generate: async () => ({ text: 'not json', usage: null }) };
+  const result = await structured.generateStructured({ provider, request: { contents: [] }, schema: SCHEMA });
+  assert.equal(result.data, null);
+  assert.equal(result.attempts, 2);
+  assert.equal(result.text, 'not json');
+  assert.deepEqual(result.errors, ['Reply is not valid JSON']);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../lib/totp');
+
+// The RFC 6238 SHA-1 test key, "12345678901234567890" in base32.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.equal(totp.codeAt(SECRET, totp.currentStep(59 * 1000)), '287082');
+  assert.equal(totp.codeAt(SECRET, totp.currentStep(1111111109 * 1000)), '081804');
+});
+
+test('verifyCode accepts the current step and one either side', () => {
+  const now = 1111111109 * 1000;
+  const step = totp.currentStep(now);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step), { now }), step);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step - 1), { now }), step - 1);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step + 1), { now }), step + 1);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step - 2), { now }), null);
+  assert.equal(totp.verifyCode(SECRET, '081 804', { now }), step);
+  assert.equal(totp.verifyCode(SECRET, '12345', { now }), null);
+  assert.equal(totp.verifyCode(SECRET, 'abcdef', { now }), null);
+});
+
+test('verifyCode refuses a code from a step that was already used', () => {
+  const now = 1111111109 * 1000;
+  const step = totp.currentStep(now);
+  const code = totp.codeAt(SECRET, step);
+  assert.equal(totp.verifyCode(SECRET, code, { lastStep: step, now }), null);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step - 1), { lastStep: step, now }), null);
+  assert.equal(totp.verifyCode(SECRET, totp.codeAt(SECRET, step + 1), { lastStep: step, now }), step + 1);
+});
+
+test('a fresh secret round-trips through the otpauth URL', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const url = new URL(totp.otpauthUrl(secret, 'UID002'));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.searchParams.get('secret'), secret);
+  const step = totp.currentStep();
+  assert.equal(totp.verifyCode(secret, totp.codeAt(secret, step)), step);
+});
+
+test('recovery codes are stored hashed and match loosely typed input', () => {
+  const { codes, hashes } = totp.generateRecoveryCodes(3);
+  assert.equal(codes.length, 3);
+  assert.ok(hashes.every(hash => /^[0-9a-f]{64}$/.test(hash) && !codes.includes(hash)));
+  assert.equal(totp.matchRecoveryCode(hashes, codes[1]), 1);
+  assert.equal(totp.matchRecoveryCode(hashes, ` ${codes[2].toUpperCase().replace('-', '')} `), 2);
+  assert.equal(totp.matchRecoveryCode(hashes, '00000-00000'), -1);
+  assert.equal(totp.matchRecoveryCode(hashes, ''), -1);
+});